@@ -1,100 +1,279 @@
 /**
- * 阿里云边缘函数 - ROM 文件 API
- * 从 KV 存储读取游戏 ROM 文件
+ * 阿里云边缘函数 - ROM 文件 API + 游戏目录 API + WebSocket 信令
+ * 从 KV 存储读取游戏 ROM 文件；/api/games 提供搜索分页；/ws 提供与 server/signaling-server.mjs 相同的信令协议
  * 
- * KV 存储格式 (由 scripts/upload-roms.py 上传):
- * - key: roms:{游戏名.zip} 或 roms:{游戏名.nes}
- * - value: ROM 文件的 base64 编码数据
+ * KV 存储格式 (由 scripts/upload-roms.mjs 上传):
+ * - romidx:{游戏名.zip}        分块索引 JSON {file, size, chunkSize, chunks, sha256, contentType, ext}
+ * - romchunk:{游戏名.zip}:{n}  第 n 块的 base64 编码数据
+ * - roms:{游戏名.zip}          旧格式：整个文件的 base64 编码数据（仍可读取）
+ * - meta:catalog               游戏目录（与 roms-manifest.json 格式相同）
+ * - meta:games                 游戏元数据（与 game-metadata.json 格式相同，按 ROM CRC32 索引）
  */
 
 export async function handleRequest(request, context) {
     const url = new URL(request.url);
     const path = url.pathname;
 
+    // loadJson 读站点文件的子请求：路由把它又交回了边缘函数，直接拒绝，避免自己请求自己
+    if (request.headers.get(INTERNAL_HEADER)) {
+        return new Response('Loop Detected', { status: 508 });
+    }
+
     // CORS 预检
     if (request.method === 'OPTIONS') {
         return new Response(null, {
             headers: {
                 'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Methods': 'GET, OPTIONS',
-                'Access-Control-Allow-Headers': 'Content-Type',
+                'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Range, If-None-Match, If-Range',
                 'Access-Control-Max-Age': '86400'
             }
         });
     }
 
+    // 信令: /ws
+    if (path === '/ws') {
+        return handleWebSocket(request, context);
+    }
+
+    // 游戏目录: /api/games?q=&page=&pageSize=&sort=&order=&players=&genre=&region=
+    if (path === '/api/games') {
+        return await listGames(url, request, context);
+    }
+
+    // 单个游戏信息: /api/games/{游戏名}
+    if (path.startsWith('/api/games/')) {
+        const gameName = decodeURIComponent(path.substring(11));
+        return await getGameInfo(gameName, request, context);
+    }
+
+    // 上传接口（scripts/upload-roms.mjs 使用）: PUT/DELETE /api/admin/kv/{key}
+    if (path.startsWith('/api/admin/kv/')) {
+        const key = decodeURIComponent(path.substring(14));
+        return await handleKvWrite(key, request, context);
+    }
+
     // ROM API: /api/rom/{游戏名}
     if (path.startsWith('/api/rom/')) {
         const gameName = decodeURIComponent(path.substring(9));
-        return await getRom(gameName, context);
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            return new Response('Method Not Allowed', { status: 405, headers: { 'Allow': 'GET, HEAD, OPTIONS' } });
+        }
+        return await getRom(gameName, request, context);
     }
 
     return new Response('Not Found', { status: 404 });
 }
 
 /**
- * 清理key名称，与 upload-roms.py 保持一致
+ * 清理key名称，与 scripts/upload-roms.mjs 保持一致
  */
 function sanitizeKey(name) {
     return name.replace(/ /g, '_').replace(/，/g, '_').replace(/,/g, '_');
 }
 
+function base64ToBytes(value) {
+    return Uint8Array.from(atob(value), c => c.charCodeAt(0));
+}
+
 /**
- * 获取 ROM 文件
+ * 查找 ROM，尝试多种文件名
+ * - 分块存储（upload-roms.mjs 上传）: romidx:{文件名} 为索引，romchunk:{文件名}:{序号} 为各块 base64
+ * - 旧格式: roms:{文件名} 整个文件的 base64
+ * 返回 { key, index } 或 { key, value }（旧格式的 base64 原文，需要时再解码）
  */
-async function getRom(gameName, context) {
-    try {
-        const sanitized = sanitizeKey(gameName);
-        
-        // 尝试多种 key 格式
-        const keysToTry = [
-            `roms:${sanitized}.zip`,
-            `roms:${sanitized}.nes`,
-            `roms:${sanitized}`,
-        ];
-        
-        let romData = null;
-        
-        for (const key of keysToTry) {
+async function findRom(gameName, context) {
+    const sanitized = sanitizeKey(gameName);
+    const filesToTry = [`${sanitized}.zip`, `${sanitized}.nes`, `${sanitized}.fds`, sanitized];
+
+    for (const file of filesToTry) {
+        try {
+            const index = await context.env.KV.get(`romidx:${file}`, { type: 'text' });
+            if (index) return { key: `romidx:${file}`, index: JSON.parse(index) };
+        } catch {}
+
+        try {
+            // 阿里云 ESA EdgeKV 返回 base64 编码的数据
+            const value = await context.env.KV.get(`roms:${file}`, { type: 'text' });
+            if (value) return { key: `roms:${file}`, value };
+        } catch {}
+    }
+    return null;
+}
+
+/**
+ * 按需读取分块并拼接为流，只读取 [start, end] 覆盖到的块
+ */
+function streamChunks(index, context, start, end) {
+    const lastChunk = Math.floor(end / index.chunkSize);
+    let chunk = Math.floor(start / index.chunkSize);
+
+    return new ReadableStream({
+        async pull(controller) {
+            if (chunk > lastChunk) {
+                controller.close();
+                return;
+            }
             try {
-                // 阿里云 ESA EdgeKV 返回 base64 编码的数据
-                const value = await context.env.KV.get(key, { type: 'text' });
-                if (value) {
-                    // 解码 base64
-                    romData = Uint8Array.from(atob(value), c => c.charCodeAt(0));
-                    break;
-                }
-            } catch {}
-        }
-        
-        if (!romData) {
+                const value = await context.env.KV.get(`romchunk:${index.file}:${chunk}`, { type: 'text' });
+                if (!value) throw new Error(`ROM 分块缺失: ${index.file} #${chunk}`);
+                const bytes = base64ToBytes(value);
+                const chunkStart = chunk * index.chunkSize;
+                const from = Math.max(0, start - chunkStart);
+                const to = Math.min(bytes.length, end - chunkStart + 1);
+                controller.enqueue(bytes.subarray(from, to));
+                chunk++;
+            } catch (error) {
+                console.error('读取ROM分块失败:', error);
+                controller.error(error);
+            }
+        }
+    });
+}
+
+/**
+ * 由内容 SHA-256 生成强 ETag（取前 128 位）
+ */
+function etagFromSha256(hex) {
+    return `"${hex.slice(0, 32)}"`;
+}
+
+/**
+ * 旧格式没有随值写入的哈希，对 KV 里的 base64 原文取 SHA-256：原文相同内容就相同，
+ * 不必先解码整个 ROM 就能回答 304 / HEAD
+ */
+async function legacyEtag(value) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+    return etagFromSha256(Array.from(digest, b => b.toString(16).padStart(2, '0')).join(''));
+}
+
+/**
+ * base64 原文解码后的字节数
+ */
+function base64Size(value) {
+    const padding = value.endsWith('==') ? 2 : value.endsWith('=') ? 1 : 0;
+    return Math.floor(value.length / 4) * 3 - padding;
+}
+
+/**
+ * If-None-Match 是否命中（支持列表和 *）
+ */
+function etagMatches(header, etag) {
+    if (!header) return false;
+    if (header.trim() === '*') return true;
+    return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+/**
+ * 解析单段 Range 头，返回 {start, end}；无法满足返回 'invalid'；忽略时返回 null
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match) return null; // 多段或格式不支持时返回完整内容
+    const [, startText, endText] = match;
+
+    let start;
+    let end;
+    if (startText === '') {
+        // 后缀范围: bytes=-500
+        const suffix = parseInt(endText, 10);
+        if (!suffix) return 'invalid';
+        start = Math.max(0, size - suffix);
+        end = size - 1;
+    } else {
+        start = parseInt(startText, 10);
+        end = endText === '' ? size - 1 : Math.min(parseInt(endText, 10), size - 1);
+    }
+
+    if (start >= size || start > end) return 'invalid';
+    return { start, end };
+}
+
+/**
+ * 根据文件头判断类型
+ */
+function detectRomType(bytes) {
+    // ZIP 文件头: PK
+    if (bytes[0] === 0x50 && bytes[1] === 0x4B) {
+        return { contentType: 'application/zip', ext: '.zip' };
+    }
+    // NES 文件头: NES\x1A
+    if (bytes[0] === 0x4E && bytes[1] === 0x45 && bytes[2] === 0x53 && bytes[3] === 0x1A) {
+        return { contentType: 'application/x-nes-rom', ext: '.nes' };
+    }
+    // FDS 磁碟镜像: FDS\x1A 文件头，或直接以磁碟信息块（0x01 "*NINTENDO-HVC*"）开头
+    if ((bytes[0] === 0x46 && bytes[1] === 0x44 && bytes[2] === 0x53 && bytes[3] === 0x1A) || (bytes[0] === 0x01 && bytes[1] === 0x2A)) {
+        return { contentType: 'application/x-fds-disk', ext: '.fds' };
+    }
+    return { contentType: 'application/octet-stream', ext: '.nes' };
+}
+
+/**
+ * 获取 ROM 文件，支持 ETag / If-None-Match / Range / HEAD
+ */
+async function getRom(gameName, request, context) {
+    try {
+        const rom = await findRom(gameName, context);
+        if (!rom) {
             return jsonResponse({ error: '游戏不存在', game: gameName }, 404);
         }
 
-        // 检测文件类型
-        const bytes = romData.slice(0, 4);
-        let contentType = 'application/octet-stream';
-        let ext = '.nes';
-        
-        // ZIP 文件头: PK
-        if (bytes[0] === 0x50 && bytes[1] === 0x4B) {
-            contentType = 'application/zip';
-            ext = '.zip';
+        let size;
+        let etag;
+        let type;
+        if (rom.index) {
+            size = rom.index.size;
+            etag = etagFromSha256(rom.index.sha256);
+            type = { contentType: rom.index.contentType, ext: rom.index.ext };
+        } else {
+            size = base64Size(rom.value);
+            etag = await legacyEtag(rom.value);
+            type = detectRomType(base64ToBytes(rom.value.slice(0, 8)));
         }
-        // NES 文件头: NES\x1A
-        else if (bytes[0] === 0x4E && bytes[1] === 0x45 && bytes[2] === 0x53 && bytes[3] === 0x1A) {
-            contentType = 'application/x-nes-rom';
-            ext = '.nes';
+
+        const headers = {
+            'Content-Type': type.contentType,
+            'Content-Disposition': `attachment; filename="${encodeURIComponent(gameName)}${type.ext}"`,
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Expose-Headers': 'ETag, Content-Length, Content-Range, Accept-Ranges',
+            'Cache-Control': 'public, max-age=86400',
+            'Accept-Ranges': 'bytes',
+            'ETag': etag
+        };
+        const isHead = request.method === 'HEAD';
+
+        // 条件请求：内容未变返回 304
+        if (etagMatches(request.headers.get('If-None-Match'), etag)) {
+            return new Response(null, { status: 304, headers });
         }
 
-        return new Response(romData, {
-            headers: {
-                'Content-Type': contentType,
-                'Content-Disposition': `attachment; filename="${encodeURIComponent(gameName)}${ext}"`,
-                'Access-Control-Allow-Origin': '*',
-                'Cache-Control': 'public, max-age=86400'
-            }
-        });
+        // Range 请求；If-Range 与当前 ETag 不符时返回完整内容
+        const ifRange = request.headers.get('If-Range');
+        const range = !ifRange || ifRange === etag
+            ? parseRange(request.headers.get('Range'), size)
+            : null;
+
+        if (range === 'invalid') {
+            return new Response(null, {
+                status: 416,
+                headers: { ...headers, 'Content-Range': `bytes */${size}` }
+            });
+        }
+
+        const start = range ? range.start : 0;
+        const end = range ? range.end : size - 1;
+        let body = null;
+        if (!isHead) {
+            body = rom.index
+                ? streamChunks(rom.index, context, start, end)
+                : base64ToBytes(rom.value).subarray(start, end + 1);
+        }
+
+        if (range) {
+            headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+        }
+        headers['Content-Length'] = String(end - start + 1);
+        return new Response(body, { status: range ? 206 : 200, headers });
 
     } catch (error) {
         console.error('获取ROM失败:', error);
@@ -102,12 +281,550 @@ async function getRom(gameName, context) {
     }
 }
 
-function jsonResponse(data, status = 200) {
+/**
+ * 写入/删除 KV，需要 Authorization: Bearer {UPLOAD_TOKEN}
+ */
+async function handleKvWrite(key, request, context) {
+    const token = context.env.UPLOAD_TOKEN;
+    if (!token || request.headers.get('Authorization') !== `Bearer ${token}`) {
+        return jsonResponse({ error: '未授权' }, 401);
+    }
+    if (!/^(romidx|romchunk|roms|meta):/.test(key)) {
+        return jsonResponse({ error: '不允许的 key', key }, 400);
+    }
+
+    try {
+        if (request.method === 'PUT') {
+            await context.env.KV.put(key, await request.text());
+        } else if (request.method === 'DELETE') {
+            await context.env.KV.delete(key);
+        } else {
+            return new Response('Method Not Allowed', { status: 405, headers: { 'Allow': 'PUT, DELETE' } });
+        }
+    } catch (error) {
+        console.error('写入KV失败:', error);
+        return jsonResponse({ error: '写入KV失败', message: error.message }, 500);
+    }
+
+    if (key === CATALOG_KV_KEY || key === METADATA_KV_KEY) catalogCache = null;
+    return jsonResponse({ ok: true, key });
+}
+
+// ========== 游戏目录 ==========
+
+const CATALOG_KV_KEY = 'meta:catalog';
+const METADATA_KV_KEY = 'meta:games';
+const CATALOG_TTL = 5 * 60 * 1000;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+let catalogCache = null;
+let catalogLoadedAt = 0;
+
+// 边缘函数发给本站的子请求带上这个头
+const INTERNAL_HEADER = 'X-Edge-Internal';
+
+/**
+ * 读取 KV 中的 JSON，没有时读取站点上的同名文件
+ * 站点文件由静态源站提供；如果边缘函数的路由也覆盖了它，子请求会回到 handleRequest 并被拒绝（508）
+ */
+async function loadJson(kvKey, sitePath, request, context) {
+    try {
+        const value = await context.env.KV.get(kvKey, { type: 'text' });
+        if (value) return JSON.parse(value);
+    } catch {}
+
+    const response = await fetch(new URL(sitePath, request.url), { headers: { [INTERNAL_HEADER]: '1' } });
+    if (response.status === 508) throw new Error(`${sitePath} 被路由到了边缘函数，请用上传脚本写入 ${kvKey}`);
+    if (!response.ok) throw new Error(`无法读取 ${sitePath}`);
+    return await response.json();
+}
+
+/**
+ * 读取游戏目录：优先 KV 中上传脚本写入的目录，否则读取站点的 roms-manifest.json
+ * 元数据（meta:games / game-metadata.json）按清单里的 crc32 合并；地区标记、人数、类型都在
+ * scripts/upload-roms.mjs 生成元数据时写好，这里不按名称推断，没有记录的字段为 null
+ */
+async function loadCatalog(request, context) {
+    if (catalogCache && Date.now() - catalogLoadedAt < CATALOG_TTL) {
+        return catalogCache;
+    }
+
+    const manifest = await loadJson(CATALOG_KV_KEY, '/roms-manifest.json', request, context);
+    let metadata = {};
+    try {
+        metadata = (await loadJson(METADATA_KV_KEY, '/game-metadata.json', request, context)).games || {};
+    } catch (error) {
+        console.warn('游戏元数据不可用:', error.message);
+    }
+
+    catalogCache = manifest.files.map(file => toCatalogEntry(file, metadata[file.crc32]));
+    catalogLoadedAt = Date.now();
+    return catalogCache;
+}
+
+function toCatalogEntry(file, meta = {}) {
+    const id = file.name.replace(/\.(zip|nes|fds)$/i, '');
+    const altNames = meta.altNames || [];
+    return {
+        id,
+        name: file.title || id,
+        file: file.name,
+        size: file.size || 0,
+        hash: file.crc32 || null,
+        players: meta.players || file.players || null,
+        verified: !!meta.players,
+        genre: meta.genre || file.genre || null,
+        mapper: meta.mapper ?? file.mapper ?? null,
+        region: meta.region || null,
+        altNames,
+        boxArt: meta.boxArt || null,
+        searchText: [id, ...altNames].join('\n').toLowerCase()
+    };
+}
+
+// 匹配度：完全相同 > 前缀 > 包含（越靠前越好），不匹配返回 -1
+function matchScore(entry, query) {
+    const pos = entry.searchText.indexOf(query);
+    if (pos < 0) return -1;
+    if (entry.searchText === query) return 1000;
+    if (pos === 0) return 500 - entry.searchText.length;
+    return 200 - pos;
+}
+
+function publicEntry(entry) {
+    const { searchText, ...rest } = entry;
+    return rest;
+}
+
+async function listGames(url, request, context) {
+    let catalog;
+    try {
+        catalog = await loadCatalog(request, context);
+    } catch (error) {
+        return jsonResponse({ error: '游戏目录不可用', message: error.message }, 503);
+    }
+
+    const params = url.searchParams;
+    const query = (params.get('q') || '').trim().toLowerCase();
+    const players = parseInt(params.get('players'), 10);
+    const genre = params.get('genre');
+    const region = params.get('region');
+    const page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(params.get('pageSize'), 10) || DEFAULT_PAGE_SIZE));
+    const sort = params.get('sort') || (query ? 'relevance' : 'name');
+    const desc = params.get('order') === 'desc';
+
+    let results = catalog.map(entry => ({ entry, score: query ? matchScore(entry, query) : 0 }));
+    if (query) results = results.filter(r => r.score >= 0);
+    if (players) results = results.filter(r => r.entry.players >= players);
+    if (genre) results = results.filter(r => r.entry.genre === genre);
+    if (region) results = results.filter(r => r.entry.region === region);
+
+    const byName = (a, b) => a.entry.name.localeCompare(b.entry.name, 'zh-Hans-CN');
+    const comparators = {
+        relevance: (a, b) => b.score - a.score || byName(a, b),
+        name: byName,
+        size: (a, b) => a.entry.size - b.entry.size || byName(a, b),
+        players: (a, b) => (a.entry.players || 0) - (b.entry.players || 0) || byName(a, b)
+    };
+    const compare = comparators[sort] || byName;
+    results.sort(desc ? (a, b) => compare(b, a) : compare);
+
+    const start = (page - 1) * pageSize;
+    return jsonResponse({
+        total: results.length,
+        page,
+        pageSize,
+        sort,
+        games: results.slice(start, start + pageSize).map(r => publicEntry(r.entry))
+    }, 200, { 'Cache-Control': 'public, max-age=300' });
+}
+
+async function getGameInfo(gameName, request, context) {
+    let catalog;
+    try {
+        catalog = await loadCatalog(request, context);
+    } catch (error) {
+        return jsonResponse({ error: '游戏目录不可用', message: error.message }, 503);
+    }
+
+    const entry = catalog.find(e => e.id === gameName);
+    if (!entry) {
+        return jsonResponse({ error: '游戏不存在', game: gameName }, 404);
+    }
+    return jsonResponse(publicEntry(entry), 200, { 'Cache-Control': 'public, max-age=300' });
+}
+
+// ========== WebSocket 信令 ==========
+
+const MAX_PLAYERS = 4;
+const HOST_SEAT = 1;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// 默认的房主选举：在线玩家中座位号最小的一个，没有在线玩家时关闭房间
+// 与 server/rooms.mjs 的 electNewHost 规则必须保持一致（边缘函数单文件部署，无法共用模块）
+export function electNewHost(room) {
+    const online = Object.entries(room.seats)
+        .filter(([, seat]) => seat.connected)
+        .map(([num]) => Number(num));
+    return online.length > 0 ? Math.min(...online) : null;
+}
+
+const signalingOptions = {
+    idleTimeout: 30 * 60 * 1000, // 房间无任何消息多久后关闭
+    rejoinGrace: 30 * 1000,      // 断线后保留座位的时间
+    // 房主离开时调用 (room, leftPlayerNum) => 新房主座位号，返回 null 则关闭房间
+    migrateHost: electNewHost,
+    now: () => Date.now()        // 时钟，测试时可替换
+};
+
+/**
+ * 内存房间存储 - 默认实现，也用作本地调试替身
+ * 房间记录是可序列化的普通对象，连接只保存在当前实例内存中。
+ * 多实例部署时可替换为基于 KV + 消息通道的实现，接口保持一致：
+ * getRoom / putRoom / deleteRoom / attach / detach / deliver
+ */
+export class MemoryRoomStore {
+    constructor() {
+        this.rooms = new Map();
+        this.sessions = new Map(); // peerId -> session
+    }
+
+    async getRoom(code) {
+        return this.rooms.get(code) || null;
+    }
+
+    async putRoom(room) {
+        this.rooms.set(room.code, room);
+    }
+
+    async deleteRoom(code) {
+        this.rooms.delete(code);
+    }
+
+    attach(peerId, session) {
+        this.sessions.set(peerId, session);
+    }
+
+    detach(peerId, session) {
+        if (this.sessions.get(peerId) === session) this.sessions.delete(peerId);
+    }
+
+    // 投递消息给某个连接，对方不在线返回 false
+    async deliver(peerId, data) {
+        const session = this.sessions.get(peerId);
+        if (!session) return false;
+        return session.send(data);
+    }
+}
+
+let roomStore = new MemoryRoomStore();
+
+/**
+ * 替换房间存储（如接入平台 KV），需在处理请求前调用
+ */
+export function setRoomStore(store) {
+    roomStore = store;
+}
+
+export function configureSignaling(options) {
+    Object.assign(signalingOptions, options);
+}
+
+function handleWebSocket(request, context) {
+    if ((request.headers.get('Upgrade') || '').toLowerCase() !== 'websocket') {
+        return new Response('需要 WebSocket 连接', { status: 426 });
+    }
+    if (typeof WebSocketPair === 'undefined') {
+        return jsonResponse({ error: '当前环境不支持 WebSocket' }, 501);
+    }
+
+    const [client, server] = Object.values(new WebSocketPair());
+    server.accept();
+
+    const session = new SignalingSession(server, context?.roomStore || roomStore);
+    server.addEventListener('message', (event) => {
+        session.onMessage(event.data).catch((error) => {
+            console.error('信令处理失败:', error);
+            session.sendError('服务器内部错误');
+        });
+    });
+    server.addEventListener('close', () => session.onClose());
+    server.addEventListener('error', () => session.onClose());
+
+    return new Response(null, { status: 101, webSocket: client });
+}
+
+function randomId(length = 8) {
+    const bytes = crypto.getRandomValues(new Uint8Array(length));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function generateRoomCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+    return Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+}
+
+// 字段与 server/rooms.mjs 的 RoomRegistry.listPlayers 保持一致
+function listPlayers(room) {
+    return Object.entries(room.seats)
+        .map(([num, seat]) => ({ playerNum: Number(num), name: seat.name, connected: seat.connected }))
+        .sort((a, b) => a.playerNum - b.playerNum);
+}
+
+/**
+ * 单个 WebSocket 连接的信令会话，协议与 RoomManager 一致
+ */
+export class SignalingSession {
+    constructor(socket, store) {
+        this.socket = socket;
+        this.store = store;
+        this.peerId = randomId();
+        this.sessionId = randomId(); // 区分同一座位的新旧连接，重连后 peerId 相同
+        this.roomCode = null;
+        this.playerNum = 0;
+        this.closed = false;
+        store.attach(this.peerId, this);
+    }
+
+    send(data) {
+        if (this.closed) return false;
+        try {
+            this.socket.send(JSON.stringify(data));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    sendError(message) {
+        this.send({ type: 'error', message });
+    }
+
+    async onMessage(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            this.sendError('消息格式错误');
+            return;
+        }
+        if (!data || typeof data.type !== 'string') {
+            this.sendError('无效的消息');
+            return;
+        }
+
+        switch (data.type) {
+            case 'create':
+                return this.create();
+            case 'join':
+                return this.join(data.roomCode);
+            case 'rejoin':
+                return this.rejoin(data.roomCode, data.playerNum, data.peerId);
+            case 'leave':
+                return this.leave();
+            case 'signal':
+                return this.signal(data.toPlayer, data.data);
+            default:
+                this.sendError(`未知消息类型: ${data.type}`);
+        }
+    }
+
+    // 断线：保留座位等待重连
+    async onClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.store.detach(this.peerId, this);
+
+        const room = await this.loadRoom(this.roomCode);
+        // 已被重连顶替的旧连接关闭时不影响座位
+        if (!this.ownsSeat(room)) return;
+        const seat = room.seats[this.playerNum];
+        seat.connected = false;
+        seat.disconnectedAt = signalingOptions.now();
+        await this.store.putRoom(room);
+    }
+
+    // 读取房间并顺带清理超时座位、过期房间（边缘环境没有可靠的定时器）
+    // 清理由 removeSeat / closeRoom 立即写回，调用方在出错分支直接返回也不会丢失
+    async loadRoom(code) {
+        if (!code) return null;
+        const room = await this.store.getRoom(code);
+        if (!room) return null;
+
+        const now = signalingOptions.now();
+        if (now - room.lastActivity > signalingOptions.idleTimeout) {
+            await this.closeRoom(room, '房间长时间无活动，已关闭');
+            return null;
+        }
+        for (const [num, seat] of Object.entries(room.seats)) {
+            if (!seat.connected && now - seat.disconnectedAt > signalingOptions.rejoinGrace) {
+                if (!await this.removeSeat(room, Number(num))) return null;
+            }
+        }
+        return room;
+    }
+
+    async create() {
+        await this.leave();
+
+        let code = generateRoomCode();
+        for (let i = 0; i < 100 && await this.store.getRoom(code); i++) {
+            code = generateRoomCode();
+        }
+
+        const room = { code, hostSeat: HOST_SEAT, seats: {}, lastActivity: signalingOptions.now() };
+        this.takeSeat(room, HOST_SEAT, '房主');
+        await this.store.putRoom(room);
+
+        this.send({ type: 'created', roomCode: code, playerNum: HOST_SEAT, peerId: this.peerId });
+    }
+
+    async join(roomCode) {
+        const code = String(roomCode || '').toUpperCase();
+        const room = await this.loadRoom(code);
+        if (!room) {
+            this.sendError('房间不存在');
+            return;
+        }
+        if (this.roomCode === code) {
+            this.sendError('已在房间中');
+            return;
+        }
+
+        let playerNum = 0;
+        for (let n = 1; n <= MAX_PLAYERS; n++) {
+            if (!room.seats[n]) {
+                playerNum = n;
+                break;
+            }
+        }
+        if (!playerNum) {
+            this.sendError('房间已满');
+            return;
+        }
+
+        await this.leave();
+        const name = `玩家${playerNum}`;
+        this.takeSeat(room, playerNum, name);
+        await this.store.putRoom(room);
+
+        this.send({ type: 'joined', roomCode: code, playerNum, peerId: this.peerId, hostSeat: room.hostSeat, players: listPlayers(room) });
+        await this.broadcast(room, { type: 'player-joined', playerNum, name }, playerNum);
+    }
+
+    // peerId 只发给座位的主人，作为重连凭证，防止其他玩家冒用座位号顶替
+    async rejoin(roomCode, playerNum, peerId) {
+        const code = String(roomCode || '').toUpperCase();
+        const room = await this.loadRoom(code);
+        const seat = room?.seats[playerNum];
+        if (!seat || !peerId || seat.peerId !== peerId) {
+            this.sendError('房间不存在或座位已失效');
+            return;
+        }
+
+        // 沿用座位原来的 peerId，旧连接（如果还在）被顶替
+        this.store.detach(this.peerId, this);
+        this.peerId = seat.peerId;
+        this.store.attach(this.peerId, this);
+        this.roomCode = code;
+        this.playerNum = playerNum;
+
+        seat.sessionId = this.sessionId;
+        seat.connected = true;
+        seat.disconnectedAt = null;
+        room.lastActivity = signalingOptions.now();
+        await this.store.putRoom(room);
+
+        this.send({ type: 'rejoined', roomCode: code, playerNum, peerId: seat.peerId, hostSeat: room.hostSeat });
+    }
+
+    async leave() {
+        const room = await this.loadRoom(this.roomCode);
+        const playerNum = this.playerNum;
+        this.roomCode = null;
+        this.playerNum = 0;
+        if (!this.ownsSeat(room, playerNum)) return;
+        await this.removeSeat(room, playerNum);
+    }
+
+    async signal(toPlayer, signalData) {
+        const room = await this.loadRoom(this.roomCode);
+        if (!room) {
+            this.sendError('未加入房间');
+            return;
+        }
+        room.lastActivity = signalingOptions.now();
+        await this.store.putRoom(room);
+
+        const target = room.seats[toPlayer];
+        if (target?.connected) {
+            await this.store.deliver(target.peerId, { type: 'signal', fromPlayer: this.playerNum, data: signalData });
+        }
+    }
+
+    // 座位当前是否属于本连接（重连后旧连接不再拥有座位）
+    ownsSeat(room, playerNum = this.playerNum) {
+        return room?.seats[playerNum]?.sessionId === this.sessionId;
+    }
+
+    takeSeat(room, playerNum, name) {
+        room.seats[playerNum] = { peerId: this.peerId, sessionId: this.sessionId, name, connected: true, disconnectedAt: null };
+        room.lastActivity = signalingOptions.now();
+        this.roomCode = room.code;
+        this.playerNum = playerNum;
+    }
+
+    // 移除座位并写回，房间因此关闭时返回 false
+    // 先写回再通知：其他玩家收到通知后马上发来的请求要能读到新状态
+    async removeSeat(room, playerNum) {
+        delete room.seats[playerNum];
+
+        if (playerNum !== room.hostSeat) {
+            await this.store.putRoom(room);
+            await this.broadcast(room, { type: 'player-left', playerNum });
+            return true;
+        }
+
+        const hasPlayers = Object.keys(room.seats).length > 0;
+        const newHost = hasPlayers && signalingOptions.migrateHost
+            ? signalingOptions.migrateHost(room, playerNum)
+            : null;
+        if (newHost && room.seats[newHost]) {
+            room.hostSeat = newHost;
+            await this.store.putRoom(room);
+            await this.broadcast(room, { type: 'player-left', playerNum });
+            await this.broadcast(room, { type: 'host-migrated', playerNum: newHost, players: listPlayers(room) });
+            return true;
+        }
+
+        await this.closeRoom(room, '房主已离开，房间已关闭');
+        return false;
+    }
+
+    async closeRoom(room, message) {
+        await this.store.deleteRoom(room.code);
+        await this.broadcast(room, { type: 'room-closed', message });
+    }
+
+    async broadcast(room, data, excludePlayer = null) {
+        for (const [num, seat] of Object.entries(room.seats)) {
+            if (Number(num) !== excludePlayer && seat.connected) {
+                await this.store.deliver(seat.peerId, data);
+            }
+        }
+    }
+}
+
+function jsonResponse(data, status = 200, extraHeaders = {}) {
     return new Response(JSON.stringify(data), {
         status,
         headers: {
             'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
+            'Access-Control-Allow-Origin': '*',
+            ...extraHeaders
         }
     });
 }
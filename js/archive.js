@@ -0,0 +1,131 @@
+// 压缩包 - 列出 .zip（JSZip）和 .7z（7-Zip WASM，第一次用到时才加载）中的 ROM
+export const ROM_EXTENSIONS = ['.nes', '.unf', '.unif', '.fds'];
+
+// 放在 vendor/ 下，7zz.wasm 与脚本同目录，离线时从 Service Worker 缓存读取
+const SEVEN_ZIP_URL = '../vendor/7z-wasm-1.2.0/7zz.es6.js';
+
+export function isZip(data) {
+    return data.length >= 4 && data[0] === 0x50 && data[1] === 0x4B;
+}
+
+// 7z 文件头: '7z' BC AF 27 1C
+export function is7z(data) {
+    return data.length >= 6 && data[0] === 0x37 && data[1] === 0x7A && data[2] === 0xBC &&
+        data[3] === 0xAF && data[4] === 0x27 && data[5] === 0x1C;
+}
+
+export function isArchive(data) {
+    return isZip(data) || is7z(data);
+}
+
+export function romExtension(name) {
+    const lower = name.toLowerCase();
+    return ROM_EXTENSIONS.find(ext => lower.endsWith(ext)) || null;
+}
+
+function baseName(path) {
+    return path.split('/').pop();
+}
+
+/**
+ * 列出压缩包中的 ROM，返回 [{ name, path, ext, load() }]
+ * 按扩展名优先级（.nes > .unf > .unif > .fds）排序，同类按路径排序
+ */
+export async function listArchiveRoms(data) {
+    const files = is7z(data) ? await list7z(data) : await listZip(data);
+    return files
+        .map(file => ({ ...file, ext: romExtension(file.path) }))
+        .filter(file => file.ext)
+        .sort((a, b) =>
+            ROM_EXTENSIONS.indexOf(a.ext) - ROM_EXTENSIONS.indexOf(b.ext) ||
+            a.path.localeCompare(b.path, 'zh-Hans-CN'));
+}
+
+async function listZip(data) {
+    const zip = await window.JSZip.loadAsync(data);
+    return Object.values(zip.files)
+        .filter(file => !file.dir)
+        .map(file => ({ path: file.name, name: baseName(file.name), load: () => file.async('uint8array') }));
+}
+
+// ========== 7z ==========
+let sevenZipPromise = null;
+let sevenZipErrors = [];
+let extractCount = 0;
+
+function loadSevenZip() {
+    if (!sevenZipPromise) {
+        sevenZipPromise = import(SEVEN_ZIP_URL)
+            .then(module => module.default({
+                print: () => {},
+                printErr: (line) => sevenZipErrors.push(line),
+                stdin: () => null
+            }))
+            .catch((e) => {
+                sevenZipPromise = null;
+                console.error('7-Zip 加载失败:', e);
+                throw new Error('7z 解压组件加载失败');
+            });
+    }
+    return sevenZipPromise;
+}
+
+function removeTree(FS, path) {
+    for (const name of FS.readdir(path)) {
+        if (name === '.' || name === '..') continue;
+        const child = `${path}/${name}`;
+        if (FS.isDir(FS.stat(child).mode)) {
+            removeTree(FS, child);
+        } else {
+            FS.unlink(child);
+        }
+    }
+    FS.rmdir(path);
+}
+
+// 整包解压到 WASM 虚拟文件系统，读出 ROM 后立即清理
+async function list7z(data) {
+    const sevenZip = await loadSevenZip();
+    const { FS } = sevenZip;
+    const id = ++extractCount;
+    const archive = `/archive${id}.7z`;
+    const dir = `/archive${id}`;
+
+    FS.writeFile(archive, data);
+    FS.mkdir(dir);
+    sevenZipErrors = [];
+    try {
+        // 固定一个密码，加密的压缩包直接报错而不是弹出输入框
+        // 7-Zip 内部的 C++ 异常（如密码错误）抛出的是数字，和非零退出码一样处理
+        let code;
+        try {
+            code = sevenZip.callMain(['x', archive, `-o${dir}`, '-y', '-bd', '-pnopassword']);
+        } catch {
+            code = -1;
+        }
+        if (code !== 0) {
+            console.warn('7-Zip 解压失败:', code, sevenZipErrors.join('\n'));
+            throw new Error('无法解压，压缩包可能已加密或损坏');
+        }
+
+        const files = [];
+        const walk = (path, prefix) => {
+            for (const name of FS.readdir(path)) {
+                if (name === '.' || name === '..') continue;
+                const full = `${path}/${name}`;
+                const relative = prefix ? `${prefix}/${name}` : name;
+                if (FS.isDir(FS.stat(full).mode)) {
+                    walk(full, relative);
+                } else if (romExtension(name)) {
+                    const bytes = FS.readFile(full);
+                    files.push({ path: relative, name, load: async () => bytes });
+                }
+            }
+        };
+        walk(dir, '');
+        return files;
+    } finally {
+        removeTree(FS, dir);
+        FS.unlink(archive);
+    }
+}
@@ -0,0 +1,185 @@
+// 音频输出 - AudioWorklet 环形缓冲播放，带主音量和静音
+// 不支持 AudioWorklet 的环境（如非 HTTPS）退回 ScriptProcessor，共用同一环形缓冲逻辑
+import { AudioRingBuffer } from './audioring.js';
+
+export const SAMPLE_RATE = 44100;
+const BATCH_SIZE = 1024; // 攒够多少个采样（立体声 ×2）发送一次
+const SETTINGS_KEY = 'nesAudioSettings';
+
+export class AudioOutput {
+    constructor() {
+        this.ctx = null;
+        this.node = null;
+        this.gainNode = null;
+        this.fallbackRing = null; // ScriptProcessor 模式下的主线程缓冲
+        this.ready = false;
+
+        this.batch = new Float32Array(BATCH_SIZE * 2);
+        this.batchLength = 0;
+
+        this.targetLatency = 0.06;
+        this.dynamicRate = true;
+        this.stats = { latency: 0, rate: 1, underruns: 0, overruns: 0 };
+
+        const settings = this.loadSettings();
+        this.volume = settings.volume;
+        this.muted = settings.muted;
+    }
+
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+            if (saved) {
+                return {
+                    volume: Math.max(0, Math.min(1, Number(saved.volume) || 0)),
+                    muted: !!saved.muted
+                };
+            }
+        } catch (e) {}
+        return { volume: 0.8, muted: false };
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify({ volume: this.volume, muted: this.muted }));
+        } catch (e) {}
+    }
+
+    async start() {
+        if (this.ctx) return;
+
+        try {
+            this.ctx = new (window.AudioContext || window.webkitAudioContext)({
+                sampleRate: SAMPLE_RATE
+            });
+        } catch (e) {
+            console.warn('音频初始化失败:', e);
+            return;
+        }
+
+        // 客户端由网络消息启动，浏览器可能要求用户交互后才能出声
+        if (this.ctx.state === 'suspended') {
+            const resume = () => this.ctx?.resume();
+            document.addEventListener('keydown', resume, { once: true });
+            document.addEventListener('pointerdown', resume, { once: true });
+        }
+
+        const ctx = this.ctx;
+        this.gainNode = ctx.createGain();
+        this.applyGain();
+        this.gainNode.connect(ctx.destination);
+
+        try {
+            if (!ctx.audioWorklet) throw new Error('不支持 AudioWorklet');
+            await ctx.audioWorklet.addModule(new URL('./audioworklet.js', import.meta.url));
+            if (this.ctx !== ctx) return; // 加载期间已停止
+
+            this.node = new AudioWorkletNode(ctx, 'nes-audio-processor', {
+                numberOfInputs: 0,
+                outputChannelCount: [2],
+                processorOptions: { targetLatency: this.targetLatency, dynamicRate: this.dynamicRate }
+            });
+            this.node.port.onmessage = (event) => {
+                if (event.data.type === 'stats') this.stats = event.data;
+            };
+        } catch (e) {
+            if (this.ctx !== ctx) return;
+            console.warn('AudioWorklet 不可用，改用 ScriptProcessor:', e.message);
+            this.fallbackRing = new AudioRingBuffer(ctx.sampleRate, this.targetLatency);
+            this.fallbackRing.dynamicRate = this.dynamicRate;
+            this.node = ctx.createScriptProcessor(1024, 0, 2);
+            this.node.onaudioprocess = (event) => {
+                const out = event.outputBuffer;
+                this.fallbackRing.read(out.getChannelData(0), out.getChannelData(1));
+            };
+        }
+
+        this.node.connect(this.gainNode);
+        this.ready = true;
+    }
+
+    stop() {
+        this.ready = false;
+        this.batchLength = 0;
+        if (this.node) {
+            try {
+                this.node.disconnect();
+            } catch (e) {}
+            this.node = null;
+        }
+        this.fallbackRing = null;
+        if (this.ctx) {
+            this.ctx.close();
+            this.ctx = null;
+        }
+        this.gainNode = null;
+    }
+
+    push(left, right) {
+        this.batch[this.batchLength++] = left;
+        this.batch[this.batchLength++] = right;
+        if (this.batchLength >= this.batch.length) this.flush();
+    }
+
+    // 每帧结束时调用，尽快把采样送到音频线程
+    flush() {
+        if (this.batchLength === 0) return;
+        if (!this.ready) {
+            this.batchLength = 0;
+            return;
+        }
+
+        const samples = this.batch.slice(0, this.batchLength);
+        this.batchLength = 0;
+        if (this.fallbackRing) {
+            this.fallbackRing.write(samples);
+        } else {
+            this.node.port.postMessage({ type: 'samples', samples }, [samples.buffer]);
+        }
+    }
+
+    // 暂停、读档等场景丢弃已缓冲的声音
+    clear() {
+        this.batchLength = 0;
+        if (this.fallbackRing) {
+            this.fallbackRing.clear();
+        } else if (this.ready) {
+            this.node.port.postMessage({ type: 'clear' });
+        }
+    }
+
+    setDynamicRate(enabled) {
+        this.dynamicRate = enabled;
+        if (this.fallbackRing) {
+            this.fallbackRing.dynamicRate = enabled;
+        } else if (this.ready) {
+            this.node.port.postMessage({ type: 'config', dynamicRate: enabled });
+        }
+    }
+
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
+        this.applyGain();
+        this.saveSettings();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyGain();
+        this.saveSettings();
+    }
+
+    applyGain() {
+        if (this.gainNode) {
+            this.gainNode.gain.value = this.muted ? 0 : this.volume;
+        }
+    }
+
+    getStats() {
+        if (this.fallbackRing) {
+            const ring = this.fallbackRing;
+            return { latency: ring.latency, rate: ring.rate, underruns: ring.underruns, overruns: ring.overruns };
+        }
+        return this.stats;
+    }
+}
@@ -0,0 +1,65 @@
+// 音频编解码 - 主机 APU 输出随画面帧发送给客户端
+// 格式: [标志 u8][采样数 varint][每声道: 16位量化后的差分 zigzag varint]
+// 左右声道完全相同时只发一个声道
+import { ByteWriter, ByteReader } from './binary.js';
+
+const FLAG_MONO = 1;
+
+function quantize(value) {
+    const v = Math.round(value * 32767);
+    return v > 32767 ? 32767 : v < -32768 ? -32768 : v;
+}
+
+function writeChannel(writer, samples, channel, stride) {
+    let prev = 0;
+    for (let i = channel; i < samples.length; i += stride) {
+        const v = quantize(samples[i]);
+        const d = v - prev;
+        writer.varint((d << 1) ^ (d >> 31));
+        prev = v;
+    }
+}
+
+function readChannel(reader, out, channel, stride, count) {
+    let prev = 0;
+    for (let i = 0; i < count; i++) {
+        const z = reader.varint();
+        prev += (z >>> 1) ^ -(z & 1);
+        out[i * stride + channel] = prev / 32767;
+    }
+}
+
+// samples: 交错的立体声浮点采样 [L, R, L, R, ...]
+export function encodeAudioChunk(samples) {
+    const count = samples.length >> 1;
+    let mono = true;
+    for (let i = 0; i < samples.length; i += 2) {
+        if (quantize(samples[i]) !== quantize(samples[i + 1])) {
+            mono = false;
+            break;
+        }
+    }
+
+    const writer = new ByteWriter(count * 2 + 8);
+    writer.u8(mono ? FLAG_MONO : 0);
+    writer.varint(count);
+    writeChannel(writer, samples, 0, 2);
+    if (!mono) writeChannel(writer, samples, 1, 2);
+    return writer.toUint8Array();
+}
+
+// 返回交错的立体声 Float32Array
+export function decodeAudioChunk(data) {
+    const reader = new ByteReader(data);
+    const flags = reader.u8();
+    const count = reader.varint();
+    const out = new Float32Array(count * 2);
+
+    readChannel(reader, out, 0, 2, count);
+    if (flags & FLAG_MONO) {
+        for (let i = 0; i < count; i++) out[i * 2 + 1] = out[i * 2];
+    } else {
+        readChannel(reader, out, 1, 2, count);
+    }
+    return out;
+}
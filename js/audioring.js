@@ -0,0 +1,122 @@
+// 音频环形缓冲 - AudioWorklet 与 ScriptProcessor 备用方案共用
+// 模拟器写入，音频线程按固定块读取；处理欠载/溢出，并微调播放速率使缓冲保持在目标延迟附近
+const MAX_RATE_ADJUST = 0.005; // 最多 ±0.5%，听不出音调变化
+
+export class AudioRingBuffer {
+    constructor(sampleRate, targetLatency = 0.06) {
+        this.sampleRate = sampleRate;
+        this.capacity = Math.ceil(sampleRate * 0.5);
+        this.left = new Float32Array(this.capacity);
+        this.right = new Float32Array(this.capacity);
+        this.readIndex = 0;
+        this.writeIndex = 0;
+        this.count = 0;
+        this.frac = 0;
+
+        this.dynamicRate = true;
+        this.rate = 1;
+        this.starved = true; // 欠载后先攒够一半目标量再播放，避免断断续续
+        this.lastLeft = 0;
+        this.lastRight = 0;
+
+        this.underruns = 0;
+        this.overruns = 0;
+        this.setTargetLatency(targetLatency);
+    }
+
+    setTargetLatency(seconds) {
+        this.targetFill = Math.max(256, Math.round(this.sampleRate * seconds));
+        this.maxFill = Math.min(this.capacity - 1, this.targetFill * 4);
+    }
+
+    clear() {
+        this.readIndex = 0;
+        this.writeIndex = 0;
+        this.count = 0;
+        this.frac = 0;
+        this.rate = 1;
+        this.starved = true;
+    }
+
+    // samples: 交错立体声 [L, R, L, R, ...]
+    write(samples) {
+        for (let i = 0; i + 1 < samples.length; i += 2) {
+            this.left[this.writeIndex] = samples[i];
+            this.right[this.writeIndex] = samples[i + 1];
+            this.writeIndex = (this.writeIndex + 1) % this.capacity;
+            if (this.count < this.capacity) {
+                this.count++;
+            } else {
+                this.readIndex = (this.readIndex + 1) % this.capacity;
+            }
+        }
+
+        // 溢出：生产太快（如标签页切回后补帧），丢弃最旧的数据回到目标延迟
+        if (this.count > this.maxFill) {
+            const drop = this.count - this.targetFill;
+            this.readIndex = (this.readIndex + drop) % this.capacity;
+            this.count -= drop;
+            this.overruns++;
+        }
+    }
+
+    updateRate() {
+        if (!this.dynamicRate) {
+            this.rate = 1;
+            return;
+        }
+        const error = (this.count - this.targetFill) / this.targetFill;
+        const target = 1 + Math.max(-1, Math.min(1, error)) * MAX_RATE_ADJUST;
+        this.rate += (target - this.rate) * 0.05; // 平滑，避免速率跳变
+    }
+
+    // 填充输出块，返回是否发生欠载
+    read(outLeft, outRight) {
+        const length = outLeft.length;
+
+        if (this.starved && this.count < this.targetFill / 2) {
+            this.fadeOut(outLeft, outRight, 0);
+            return false;
+        }
+        this.starved = false;
+        this.updateRate();
+
+        for (let i = 0; i < length; i++) {
+            if (this.count < 2) {
+                this.fadeOut(outLeft, outRight, i);
+                this.starved = true;
+                this.underruns++;
+                return true;
+            }
+            const next = (this.readIndex + 1) % this.capacity;
+            const l = this.left[this.readIndex] + (this.left[next] - this.left[this.readIndex]) * this.frac;
+            const r = this.right[this.readIndex] + (this.right[next] - this.right[this.readIndex]) * this.frac;
+            outLeft[i] = l;
+            outRight[i] = r;
+            this.lastLeft = l;
+            this.lastRight = r;
+
+            this.frac += this.rate;
+            while (this.frac >= 1) {
+                this.frac -= 1;
+                this.readIndex = (this.readIndex + 1) % this.capacity;
+                this.count--;
+            }
+        }
+        return false;
+    }
+
+    // 没有数据时从最后一个采样渐弱到静音，避免爆音
+    fadeOut(outLeft, outRight, start) {
+        for (let i = start; i < outLeft.length; i++) {
+            this.lastLeft *= 0.95;
+            this.lastRight *= 0.95;
+            outLeft[i] = this.lastLeft;
+            outRight[i] = this.lastRight;
+        }
+    }
+
+    get latency() {
+        return this.count / this.sampleRate;
+    }
+}
@@ -0,0 +1,52 @@
+// AudioWorklet 处理器 - 在音频线程从环形缓冲读取模拟器输出
+import { AudioRingBuffer } from './audioring.js';
+
+const STATS_INTERVAL = 1; // 秒
+
+class NESAudioProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { targetLatency, dynamicRate } = options.processorOptions || {};
+        this.ring = new AudioRingBuffer(sampleRate, targetLatency);
+        if (dynamicRate !== undefined) this.ring.dynamicRate = dynamicRate;
+        this.framesSinceStats = 0;
+
+        this.port.onmessage = (event) => {
+            const data = event.data;
+            switch (data.type) {
+                case 'samples':
+                    this.ring.write(data.samples);
+                    break;
+                case 'clear':
+                    this.ring.clear();
+                    break;
+                case 'config':
+                    if (data.targetLatency !== undefined) this.ring.setTargetLatency(data.targetLatency);
+                    if (data.dynamicRate !== undefined) this.ring.dynamicRate = data.dynamicRate;
+                    break;
+            }
+        };
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0];
+        const left = output[0];
+        const right = output[1] || output[0];
+        this.ring.read(left, right);
+
+        this.framesSinceStats += left.length;
+        if (this.framesSinceStats >= sampleRate * STATS_INTERVAL) {
+            this.framesSinceStats = 0;
+            this.port.postMessage({
+                type: 'stats',
+                latency: this.ring.latency,
+                rate: this.ring.rate,
+                underruns: this.ring.underruns,
+                overruns: this.ring.overruns
+            });
+        }
+        return true;
+    }
+}
+
+registerProcessor('nes-audio-processor', NESAudioProcessor);
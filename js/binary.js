@@ -0,0 +1,178 @@
+// 二进制读写工具 - 存档、帧编码等共用
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// 可自动扩容的二进制写入器（小端序）
+export class ByteWriter {
+    constructor(initialSize = 1024) {
+        this.buffer = new Uint8Array(initialSize);
+        this.view = new DataView(this.buffer.buffer);
+        this.offset = 0;
+    }
+
+    ensure(size) {
+        if (this.offset + size <= this.buffer.length) return;
+        let newSize = this.buffer.length * 2;
+        while (newSize < this.offset + size) newSize *= 2;
+        const newBuffer = new Uint8Array(newSize);
+        newBuffer.set(this.buffer.subarray(0, this.offset));
+        this.buffer = newBuffer;
+        this.view = new DataView(newBuffer.buffer);
+    }
+
+    u8(value) {
+        this.ensure(1);
+        this.buffer[this.offset++] = value;
+    }
+
+    u16(value) {
+        this.ensure(2);
+        this.view.setUint16(this.offset, value, true);
+        this.offset += 2;
+    }
+
+    u32(value) {
+        this.ensure(4);
+        this.view.setUint32(this.offset, value >>> 0, true);
+        this.offset += 4;
+    }
+
+    i32(value) {
+        this.ensure(4);
+        this.view.setInt32(this.offset, value, true);
+        this.offset += 4;
+    }
+
+    f64(value) {
+        this.ensure(8);
+        this.view.setFloat64(this.offset, value, true);
+        this.offset += 8;
+    }
+
+    // 无符号变长整数（LEB128）
+    varint(value) {
+        let v = value >>> 0;
+        while (v >= 0x80) {
+            this.u8((v & 0x7F) | 0x80);
+            v >>>= 7;
+        }
+        this.u8(v);
+    }
+
+    bytes(data) {
+        this.ensure(data.length);
+        this.buffer.set(data, this.offset);
+        this.offset += data.length;
+    }
+
+    string(str) {
+        const encoded = textEncoder.encode(str);
+        this.varint(encoded.length);
+        this.bytes(encoded);
+    }
+
+    // 返回实际写入部分的拷贝
+    toArrayBuffer() {
+        return this.buffer.slice(0, this.offset).buffer;
+    }
+
+    toUint8Array() {
+        return this.buffer.slice(0, this.offset);
+    }
+}
+
+// 二进制读取器（小端序）
+export class ByteReader {
+    constructor(data) {
+        this.buffer = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.view = new DataView(this.buffer.buffer, this.buffer.byteOffset, this.buffer.byteLength);
+        this.offset = 0;
+    }
+
+    check(size) {
+        if (this.offset + size > this.buffer.length) {
+            throw new Error('数据不完整');
+        }
+    }
+
+    u8() {
+        this.check(1);
+        return this.buffer[this.offset++];
+    }
+
+    u16() {
+        this.check(2);
+        const v = this.view.getUint16(this.offset, true);
+        this.offset += 2;
+        return v;
+    }
+
+    u32() {
+        this.check(4);
+        const v = this.view.getUint32(this.offset, true);
+        this.offset += 4;
+        return v;
+    }
+
+    i32() {
+        this.check(4);
+        const v = this.view.getInt32(this.offset, true);
+        this.offset += 4;
+        return v;
+    }
+
+    f64() {
+        this.check(8);
+        const v = this.view.getFloat64(this.offset, true);
+        this.offset += 8;
+        return v;
+    }
+
+    varint() {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = this.u8();
+            result |= (byte & 0x7F) << shift;
+            shift += 7;
+        } while (byte & 0x80);
+        return result >>> 0;
+    }
+
+    bytes(length) {
+        this.check(length);
+        const data = this.buffer.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return data;
+    }
+
+    string() {
+        const length = this.varint();
+        return textDecoder.decode(this.bytes(length));
+    }
+
+    get remaining() {
+        return this.buffer.length - this.offset;
+    }
+}
+
+// Base64 编解码（用于在 JSON 消息中携带二进制数据）
+export function bytesToBase64(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+export function base64ToBytes(str) {
+    const binary = atob(str);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
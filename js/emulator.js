@@ -1,4 +1,14 @@
 // NES模拟器封装 - 支持帧同步
+import { crc32, toHex32 } from './hash.js';
+import { FrameEncoder, FrameDecoder } from './framecodec.js';
+import { decodeAudioChunk } from './audiocodec.js';
+import { AudioOutput, SAMPLE_RATE } from './audio.js';
+import { captureMachineState, restoreMachineState, encodeState, decodeState } from './savestate.js';
+import { inspectRom, toJsnesRom, describeRom } from './rominfo.js';
+import { isUnif, convertUnif } from './unif.js';
+import { isFds, parseFds, FdsDrive, buildBiosCartridge, attachFdsDrive, detachFdsDrive } from './fds.js';
+import { SRAM_SIZE } from './sram.js';
+
 export class NESEmulator {
     constructor(canvasId) {
         this.canvas = document.getElementById(canvasId);
@@ -14,13 +24,29 @@ export class NESEmulator {
         // 帧同步回调
         this.onFrameReady = null;
         
+        // 联机同步会话（帧锁定/回滚模式下由会话驱动每一帧）
+        this.netplay = null;
+        this.resimulating = false; // 回滚重新模拟中，不输出画面和声音
+        
         // 音频
-        this.audioCtx = null;
-        this.audioBuffer = [];
-        this.audioBufferSize = 4096;
+        this.audio = new AudioOutput();
+        this.streamAudio = []; // 当前帧的音频采样，随画面发送给客户端
+        
+        // 帧数据编解码（主机编码，客户端解码）
+        this.frameEncoder = new FrameEncoder();
+        this.frameDecoder = new FrameDecoder();
+        
+        // 当前ROM校验（CRC32），用于存档匹配
+        this.romCrc = null;
+        this.romHash = null;
+        this.romInfo = null;
         
-        // 帧数据压缩用
-        this.lastFrameBuffer = null;
+        // 磁碟机：BIOS 由用户提供，驱动器在加载 .fds 时创建
+        this.fdsBios = null;
+        this.fdsDrive = null;
+        
+        // 电池存档：游戏写入卡带 RAM 后标记，由 main.js 定时写回本地
+        this.sramDirty = false;
         
         // 固定帧率控制 - NES运行在60.0988 FPS (NTSC)
         this.targetFPS = 60.0988;
@@ -46,22 +72,32 @@ export class NESEmulator {
         
         try {
             this.nes = new jsnes.NES({
+                // jsnes 默认按 48000Hz 产生采样，必须与 AudioContext 一致，否则环形缓冲持续溢出
+                sampleRate: this.audio.ctx?.sampleRate ?? SAMPLE_RATE,
                 onFrame: (frameBuffer) => {
+                    if (this.resimulating) return;
                     this.renderFrame(frameBuffer);
+                    this.audio.flush();
                     
-                    // 如果是主机，发送帧数据给其他玩家
+                    // 如果是主机，发送帧数据（连同这一帧的音频）给其他玩家
                     if (this.isHost && this.onFrameReady) {
+                        const audio = this.streamAudio;
+                        this.streamAudio = [];
                         try {
-                            this.onFrameReady(frameBuffer);
+                            this.onFrameReady(frameBuffer, audio);
                         } catch (e) {
                             console.warn('帧回调错误:', e);
                         }
                     }
                 },
                 onAudioSample: (left, right) => {
-                    if (this.isHost) {
+                    if (this.isHost && !this.resimulating) {
                         this.handleAudio(left, right);
+                        if (this.onFrameReady) this.streamAudio.push(left, right);
                     }
+                },
+                onBatteryRamWrite: () => {
+                    this.sramDirty = true;
                 }
             });
             
@@ -99,126 +135,73 @@ export class NESEmulator {
         this.ctx.putImageData(this.imageData, 0, 0);
     }
 
-    // P2接收并显示远程帧
-    receiveFrame(frameData) {
-        if (this.isHost) return;
+    // P2接收并显示远程帧，返回 false 表示需要房主补发关键帧
+    receiveFrame(frameData, lost = false) {
+        if (this.isHost) return true;
+        
+        // 中间有帧丢失，差分链断开，等待下一个关键帧
+        if (lost) this.frameDecoder.invalidate();
         
         try {
             // 解压帧数据
             const frameBuffer = this.decompressFrame(frameData);
-            if (frameBuffer && frameBuffer.length > 0) {
-                this.renderFrame(frameBuffer);
-            }
+            if (!frameBuffer) return false;
+            this.renderFrame(frameBuffer);
+            return true;
         } catch (e) {
             console.warn('帧解压失败:', e);
+            this.frameDecoder.invalidate();
+            return false;
         }
     }
 
-    // 压缩帧数据（使用差分编码 + RLE）
+    // 压缩帧数据（调色板索引 + 差分 + RLE，无损），返回 ArrayBuffer
     compressFrame(frameBuffer) {
-        // 简单压缩：只发送变化的像素
-        const changes = [];
-        
-        if (!this.lastFrameBuffer) {
-            // 第一帧，发送完整数据（采样降低数据量）
-            this.lastFrameBuffer = new Uint32Array(frameBuffer);
-            // 每4个像素采样1个，大幅减少数据量
-            for (let i = 0; i < frameBuffer.length; i += 2) {
-                changes.push(frameBuffer[i]);
-            }
-            return { type: 'full', data: changes };
+        if (this.nes?.ppu?.palTable) {
+            this.frameEncoder.setBasePalette(Array.from(this.nes.ppu.palTable.curTable));
         }
-        
-        // 差分帧：只发送变化
-        for (let i = 0; i < frameBuffer.length; i++) {
-            if (frameBuffer[i] !== this.lastFrameBuffer[i]) {
-                changes.push(i, frameBuffer[i]);
-            }
-        }
-        
-        this.lastFrameBuffer = new Uint32Array(frameBuffer);
-        
-        // 如果变化太多，发送完整帧
-        if (changes.length > frameBuffer.length / 2) {
-            const sampled = [];
-            for (let i = 0; i < frameBuffer.length; i += 2) {
-                sampled.push(frameBuffer[i]);
-            }
-            return { type: 'full', data: sampled };
-        }
-        
-        return { type: 'diff', data: changes };
+        return this.frameEncoder.encode(frameBuffer);
     }
 
-    // 解压帧数据
+    // 解压帧数据，尚未收到关键帧时返回 null
     decompressFrame(frameData) {
-        if (frameData.type === 'full') {
-            // 完整帧（采样的），需要插值还原
-            const buffer = new Uint32Array(256 * 240);
-            for (let i = 0; i < frameData.data.length; i++) {
-                const idx = i * 2;
-                buffer[idx] = frameData.data[i];
-                // 简单复制到相邻像素
-                if (idx + 1 < buffer.length) {
-                    buffer[idx + 1] = frameData.data[i];
-                }
-            }
-            this.lastFrameBuffer = buffer;
-            return buffer;
-        } else {
-            // 差分帧
-            if (!this.lastFrameBuffer) {
-                this.lastFrameBuffer = new Uint32Array(256 * 240);
-            }
-            const buffer = new Uint32Array(this.lastFrameBuffer);
-            for (let i = 0; i < frameData.data.length; i += 2) {
-                const idx = frameData.data[i];
-                const pixel = frameData.data[i + 1];
-                buffer[idx] = pixel;
-            }
-            this.lastFrameBuffer = buffer;
-            return buffer;
-        }
+        return this.frameDecoder.decode(frameData);
     }
 
     handleAudio(left, right) {
-        if (!this.audioCtx) return;
-        
-        this.audioBuffer.push(left, right);
-        
-        if (this.audioBuffer.length >= this.audioBufferSize) {
-            this.playAudioBuffer();
-        }
+        this.audio.push(left, right);
     }
 
-    initAudio() {
+    // 客户端播放房主发来的音频
+    receiveAudio(audioData) {
+        if (this.isHost || !this.audio.ready || this.isPaused) return;
+        
         try {
-            this.audioCtx = new (window.AudioContext || window.webkitAudioContext)({
-                sampleRate: 44100
-            });
+            const samples = decodeAudioChunk(audioData);
+            for (let i = 0; i < samples.length; i += 2) {
+                this.handleAudio(samples[i], samples[i + 1]);
+            }
+            this.audio.flush();
         } catch (e) {
-            console.warn('音频初始化失败:', e);
+            console.warn('音频解码失败:', e);
         }
     }
 
-    playAudioBuffer() {
-        if (!this.audioCtx || this.audioBuffer.length === 0) return;
-
-        const buffer = this.audioCtx.createBuffer(2, this.audioBuffer.length / 2, 44100);
-        const leftChannel = buffer.getChannelData(0);
-        const rightChannel = buffer.getChannelData(1);
-
-        for (let i = 0; i < this.audioBuffer.length / 2; i++) {
-            leftChannel[i] = this.audioBuffer[i * 2];
-            rightChannel[i] = this.audioBuffer[i * 2 + 1];
-        }
-
-        const source = this.audioCtx.createBufferSource();
-        source.buffer = buffer;
-        source.connect(this.audioCtx.destination);
-        source.start();
+    initAudio() {
+        this.audio.start()
+            .then(() => this.syncSampleRate())
+            .catch(e => console.warn('音频初始化失败:', e));
+    }
 
-        this.audioBuffer = [];
+    // 个别浏览器不接受指定的采样率（如 webkitAudioContext），按实际采样率重算 APU 的采样间隔
+    syncSampleRate() {
+        const rate = this.audio.ctx?.sampleRate;
+        if (!this.nes || !rate || this.nes.opts.sampleRate === rate) return;
+        const papu = this.nes.papu;
+        this.nes.opts.sampleRate = rate;
+        papu.sampleRate = rate;
+        papu.sampleTimerMax = Math.floor((1024 * 1789772.5 * this.nes.opts.preferredFrameRate) / (rate * 60));
+        console.log('APU 采样率改为', rate);
     }
 
     loadRom(romData) {
@@ -233,9 +216,35 @@ export class NESEmulator {
         
         try {
             // 检查ROM格式并转换
+            const info = inspectRom(romData);
+            if (!info.supported) {
+                console.error('ROM无法运行:', info.errors.join('；'));
+                return false;
+            }
+            if (info.format === 'fds' && !this.fdsBios) {
+                console.error('ROM无法运行: 需要 FDS BIOS');
+                return false;
+            }
+            info.warnings.forEach(w => console.warn('ROM提示:', w));
+            console.log('ROM信息:', describeRom(info));
+
+            detachFdsDrive(this.nes);
+            this.fdsDrive = null;
             const processedRom = this.preprocessRom(romData);
-            this.nes.loadROM(this.arrayToString(processedRom));
-            this.lastFrameBuffer = null; // 重置帧缓存
+            if (info.format === 'fds') {
+                this.nes.loadROM(this.arrayToString(buildBiosCartridge(this.fdsBios)));
+                this.fdsDrive = new FdsDrive(parseFds(processedRom).sides);
+                attachFdsDrive(this.nes, this.fdsDrive);
+            } else {
+                this.nes.loadROM(this.arrayToString(toJsnesRom(processedRom)));
+            }
+            this.romInfo = info;
+            // 哈希按修正文件头之前的数据计算（UNIF 为转换后的数据，FDS 为去掉文件头的磁碟数据），与存档和元数据保持一致
+            this.romCrc = crc32(processedRom);
+            this.romHash = toHex32(this.romCrc);
+            this.sramDirty = false;
+            this.frameEncoder.reset(); // 下一帧发送关键帧
+            this.frameDecoder.reset();
             console.log('ROM加载成功');
             return true;
         } catch (e) {
@@ -244,105 +253,73 @@ export class NESEmulator {
         }
     }
 
-    // 预处理ROM - 支持UNF/UNIF格式转换
+    // 与 loadRom 之后的 romHash 相同：按预处理后的数据计算，游戏元数据也以此为键
+    hashRom(romData) {
+        return toHex32(crc32(this.preprocessRom(romData)));
+    }
+
+    // 预处理ROM - UNIF 转换为 NES 2.0，FDS 去掉 fwNES 文件头，iNES / NES 2.0 以及无法识别的格式原样返回
     preprocessRom(romData) {
-        // 检查是否是UNIF格式 (以"UNIF"开头)
-        if (romData.length >= 4 && 
-            romData[0] === 0x55 && romData[1] === 0x4E && 
-            romData[2] === 0x49 && romData[3] === 0x46) {
-            console.log('检测到UNIF格式ROM，尝试转换...');
-            return this.convertUnifToNes(romData);
+        if (isUnif(romData)) {
+            const unif = convertUnif(romData);
+            console.log(`检测到UNIF格式ROM: ${unif.board} -> Mapper ${unif.mapper}`);
+            return unif.rom || romData;
         }
-        
-        // 检查是否是标准NES格式 (以"NES\x1A"开头)
-        if (romData.length >= 4 && 
-            romData[0] === 0x4E && romData[1] === 0x45 && 
-            romData[2] === 0x53 && romData[3] === 0x1A) {
-            console.log('标准NES格式ROM');
-            return romData;
+        if (isFds(romData)) {
+            const disk = parseFds(romData);
+            console.log(`检测到FDS磁碟镜像: ${disk.sides.length} 面`);
+            return disk.body;
         }
-        
-        // 尝试作为原始ROM数据处理
-        console.log('未知ROM格式，尝试直接加载');
         return romData;
     }
 
-    // 简单的UNIF到NES转换（基本支持）
-    convertUnifToNes(unifData) {
-        // UNIF格式解析
-        // Header: "UNIF" + 4字节版本 + 24字节保留
-        // 然后是多个chunk，每个chunk: 4字节ID + 4字节长度 + 数据
-        
-        let prgData = null;
-        let chrData = null;
-        let mapper = 0;
-        let mirroring = 0;
-        
-        let offset = 32; // 跳过header
-        
-        while (offset < unifData.length - 8) {
-            const chunkId = String.fromCharCode(unifData[offset], unifData[offset+1], unifData[offset+2], unifData[offset+3]);
-            const chunkLen = unifData[offset+4] | (unifData[offset+5] << 8) | (unifData[offset+6] << 16) | (unifData[offset+7] << 24);
-            offset += 8;
-            
-            if (offset + chunkLen > unifData.length) break;
-            
-            const chunkData = unifData.slice(offset, offset + chunkLen);
-            
-            if (chunkId.startsWith('PRG')) {
-                prgData = prgData ? this.concatArrays(prgData, chunkData) : chunkData;
-            } else if (chunkId.startsWith('CHR')) {
-                chrData = chrData ? this.concatArrays(chrData, chunkData) : chunkData;
-            } else if (chunkId === 'MAPR') {
-                // Mapper名称，尝试解析
-                const mapperName = String.fromCharCode(...chunkData).replace(/\0/g, '');
-                console.log('UNIF Mapper:', mapperName);
-            } else if (chunkId === 'MIRR') {
-                mirroring = chunkData[0];
-            }
-            
-            offset += chunkLen;
-        }
-        
-        if (!prgData) {
-            console.warn('UNIF转换失败：未找到PRG数据');
-            return unifData; // 返回原始数据让jsnes尝试
-        }
-        
-        // 构建iNES格式
-        const prgSize = prgData.length;
-        const chrSize = chrData ? chrData.length : 0;
-        const prgBanks = Math.ceil(prgSize / 16384);
-        const chrBanks = Math.ceil(chrSize / 8192);
-        
-        const nesHeader = new Uint8Array(16);
-        nesHeader[0] = 0x4E; // N
-        nesHeader[1] = 0x45; // E
-        nesHeader[2] = 0x53; // S
-        nesHeader[3] = 0x1A; // EOF
-        nesHeader[4] = prgBanks;
-        nesHeader[5] = chrBanks;
-        nesHeader[6] = (mapper & 0x0F) << 4 | (mirroring & 1);
-        nesHeader[7] = mapper & 0xF0;
-        
-        // 组合最终ROM
-        const totalSize = 16 + prgSize + chrSize;
-        const nesRom = new Uint8Array(totalSize);
-        nesRom.set(nesHeader, 0);
-        nesRom.set(prgData, 16);
-        if (chrData) {
-            nesRom.set(chrData, 16 + prgSize);
-        }
-        
-        console.log(`UNIF转换完成: PRG=${prgSize}, CHR=${chrSize}`);
-        return nesRom;
+    // ========== 磁碟机 ==========
+    setFdsBios(bios) {
+        this.fdsBios = bios;
+    }
+
+    get diskSideCount() {
+        return this.fdsDrive ? this.fdsDrive.sideCount : 0;
+    }
+
+    get diskSide() {
+        return this.fdsDrive ? this.fdsDrive.currentSide : -1;
+    }
+
+    // 换面：先弹出，约 1 秒后插入，只有运行模拟器的一端可以操作
+    insertDiskSide(index) {
+        if (!this.fdsDrive || !this.isHost) return false;
+        return this.fdsDrive.insertSide(index);
     }
 
-    concatArrays(a, b) {
-        const result = new Uint8Array(a.length + b.length);
-        result.set(a, 0);
-        result.set(b, a.length);
-        return result;
+    // ========== 电池存档 ==========
+    // 磁碟游戏的存档写在磁碟上，$6000-$7FFF 是磁碟机的工作内存，不算电池存档
+    get hasBattery() {
+        return !!this.romInfo?.battery && !this.fdsDrive;
+    }
+
+    readSram() {
+        if (!this.nes?.mmap || !this.hasBattery) return null;
+        return Uint8Array.from(this.nes.cpu.mem.slice(0x6000, 0x6000 + SRAM_SIZE));
+    }
+
+    writeSram(data) {
+        if (!this.nes?.mmap || !this.hasBattery) return false;
+        const mem = this.nes.cpu.mem;
+        for (let i = 0; i < SRAM_SIZE; i++) mem[0x6000 + i] = data[i] ?? 0;
+        this.sramDirty = false;
+        return true;
+    }
+
+    // 导入存档：游戏只在开机时读取存档，重新加载卡带后写入
+    reloadWithSram(data) {
+        if (!this.isHost || !this.hasBattery) return false;
+        this.nes.reloadROM();
+        this.writeSram(data);
+        this.sramDirty = true;
+        this.audio.clear();
+        this.frameEncoder.reset();
+        return true;
     }
 
     arrayToString(array) {
@@ -370,9 +347,9 @@ export class NESEmulator {
         this.lastFrameTime = performance.now();
         this.accumulator = 0;
         
-        // 只有主机需要音频和游戏循环
+        // 主机运行游戏循环；客户端播放房主发来的音频
+        this.initAudio();
         if (this.isHost) {
-            this.initAudio();
             this.gameLoop(performance.now());
             console.log('主机模拟器已启动，nes对象状态:', this.nes ? '正常' : '异常');
         } else {
@@ -395,7 +372,11 @@ export class NESEmulator {
             
             // 固定时间步长更新 - 确保帧率一致
             while (this.accumulator >= this.frameInterval) {
-                this.nes.frame();
+                if (!this.stepFrame()) {
+                    // 等待远端输入，丢弃积压时间避免恢复后快进
+                    this.accumulator = Math.min(this.accumulator, this.frameInterval);
+                    break;
+                }
                 this.accumulator -= this.frameInterval;
             }
         }
@@ -403,16 +384,24 @@ export class NESEmulator {
         this.frameId = requestAnimationFrame((time) => this.gameLoop(time));
     }
 
+    // 推进一帧，联机会话未收齐输入时返回 false
+    stepFrame() {
+        if (this.netplay) {
+            return this.netplay.advance();
+        }
+        this.nes.frame();
+        return true;
+    }
+
     stop() {
         this.isRunning = false;
         if (this.frameId) {
             cancelAnimationFrame(this.frameId);
         }
-        if (this.audioCtx) {
-            this.audioCtx.close();
-            this.audioCtx = null;
-        }
-        this.lastFrameBuffer = null;
+        this.audio.stop();
+        this.streamAudio = [];
+        this.frameEncoder.reset();
+        this.frameDecoder.reset();
     }
 
     togglePause() {
@@ -422,8 +411,11 @@ export class NESEmulator {
 
     reset() {
         if (this.nes && this.isHost) {
+            // 重置会清空内存，电池存档保留
+            const sram = this.readSram();
             this.nes.reset();
-            this.lastFrameBuffer = null;
+            if (sram) this.writeSram(sram);
+            this.frameEncoder.reset();
         }
     }
 
@@ -465,13 +457,39 @@ export class NESEmulator {
         }
     }
 
-    // 保存/加载状态（用于初始同步）
+    // 保存/加载状态（完整机器快照，二进制格式）
     saveState() {
-        return { timestamp: Date.now() };
+        if (!this.nes || !this.nes.mmap || this.romCrc === null) {
+            console.warn('saveState: 未加载ROM');
+            return null;
+        }
+        
+        try {
+            return encodeState(captureMachineState(this.nes), this.romCrc);
+        } catch (e) {
+            console.error('保存状态失败:', e);
+            return null;
+        }
     }
 
-    loadState(state) {
-        // 状态恢复
+    loadState(buffer) {
+        if (!this.nes || !this.nes.mmap || this.romCrc === null) {
+            console.warn('loadState: 未加载ROM');
+            return false;
+        }
+        
+        try {
+            const { state } = decodeState(buffer, this.romCrc);
+            restoreMachineState(this.nes, state);
+            // 读档后卡带 RAM 回到存档时的内容，电池存档跟着更新
+            if (this.hasBattery) this.sramDirty = true;
+            this.audio.clear();
+            this.frameEncoder.reset(); // 强制下一帧发送关键帧
+            return true;
+        } catch (e) {
+            console.error('加载状态失败:', e);
+            return false;
+        }
     }
 }
 
@@ -0,0 +1,520 @@
+// 磁碟机（FDS）- 解析 .fds 磁盘镜像，模拟 RAM 适配器（磁盘读写、定时器 IRQ），BIOS 存放在本地
+// jsnes 没有 FDS 支持：先用 BIOS 拼一个 NROM 卡带让 jsnes 建立内存布局，再替换 Mapper 并接管 CPU 时钟
+import { crc32 } from './hash.js';
+import { LocalStore } from './storage.js';
+
+export const FDS_SIDE_SIZE = 65500;
+export const FDS_BIOS_SIZE = 8192;
+
+const FDS_HEADER_SIZE = 16;
+const DISK_MAGIC = '*NINTENDO-HVC*';
+const OFFICIAL_BIOS_CRC = 0x5E607DCF; // disksys.rom
+
+// 原始磁道：.fds 去掉了间隙、起始标记和 CRC，模拟驱动器读写前要还原
+const GAP_LEAD = 28300 >> 3;  // 磁道开头的前导间隙（字节）
+const GAP_BLOCK = 976 >> 3;   // 块之间的间隙
+const START_MARK = 0x80;
+
+// 时序（CPU 周期）
+const CPU_CLOCK = 1789773;
+const BYTE_CYCLES = 150;       // 约 96.4kbit/s，每字节 149 个周期
+const SPIN_UP_CYCLES = 50000;  // 电机启动到磁头回到磁道开头
+const SWAP_CYCLES = CPU_CLOCK; // 换面时先弹出 1 秒，BIOS 要先看到“无磁碟”才会重新读盘
+
+const BIOS_KEY = 'fds-bios';
+
+// 磁盘信息块: 0x01 + "*NINTENDO-HVC*" + 厂商 + 游戏代码(3) + 类型 + 版本 + 面号 + 盘号 ...
+function hasDiskInfo(side) {
+    if (side.length < 56 || side[0] !== 0x01) return false;
+    for (let i = 0; i < DISK_MAGIC.length; i++) {
+        if (side[1 + i] !== DISK_MAGIC.charCodeAt(i)) return false;
+    }
+    return true;
+}
+
+export function isFds(data) {
+    if (data.length >= 4 && data[0] === 0x46 && data[1] === 0x44 && data[2] === 0x53 && data[3] === 0x1A) return true;
+    return hasDiskInfo(data);
+}
+
+export function sideName(index, sideCount) {
+    const face = index % 2 ? 'B面' : 'A面';
+    return sideCount > 2 ? `磁碟${(index >> 1) + 1} ${face}` : face;
+}
+
+/**
+ * 解析 .fds（有无 16 字节 fwNES 文件头均可）
+ * 返回 { body, sides, headered, gameCode, revision, errors, warnings }
+ * body 为去掉文件头的完整各面数据，用于计算 ROM 哈希
+ */
+export function parseFds(data) {
+    const errors = [];
+    const warnings = [];
+    const headered = data[0] === 0x46;
+    const payload = headered ? data.subarray(FDS_HEADER_SIZE) : data;
+    const sideCount = Math.floor(payload.length / FDS_SIDE_SIZE);
+
+    if (sideCount === 0) {
+        errors.push(`磁碟镜像不完整（每面 ${FDS_SIDE_SIZE} 字节，实际 ${payload.length} 字节）`);
+    } else if (payload.length % FDS_SIDE_SIZE) {
+        warnings.push(`文件末尾有 ${payload.length % FDS_SIDE_SIZE} 字节多余数据，已忽略`);
+    }
+    if (headered && data[4] && data[4] !== sideCount) {
+        warnings.push(`文件头声明 ${data[4]} 面，实际 ${sideCount} 面`);
+    }
+
+    const sides = [];
+    for (let i = 0; i < sideCount; i++) {
+        const side = payload.subarray(i * FDS_SIDE_SIZE, (i + 1) * FDS_SIDE_SIZE);
+        if (!hasDiskInfo(side)) errors.push(`${sideName(i, sideCount)}缺少磁碟信息块，文件可能已损坏`);
+        sides.push(side);
+    }
+
+    const first = sides[0];
+    return {
+        body: payload.subarray(0, sideCount * FDS_SIDE_SIZE),
+        sides,
+        headered,
+        gameCode: first ? String.fromCharCode(first[16], first[17], first[18]).replace(/[^\x20-\x7E]/g, '').trim() : '',
+        revision: first ? first[20] : 0,
+        errors,
+        warnings
+    };
+}
+
+// FDS 的 CRC：多项式 0x8408，按位从低到高
+function updateCrc(crc, value) {
+    for (let bit = 0; bit < 8; bit++) {
+        const carry = crc & 1;
+        crc >>= 1;
+        if (carry) crc ^= 0x8408;
+        if ((value >> bit) & 1) crc ^= 0x8000;
+    }
+    return crc;
+}
+
+// 各块长度：1 磁盘信息 56，2 文件数 2，3 文件头 16，4 文件数据 1 + 文件头里的大小
+function scanBlocks(side) {
+    const blocks = [];
+    let pos = 0;
+    let fileSize = null;
+    while (pos < side.length) {
+        let length = 0;
+        switch (side[pos]) {
+            case 1: length = 56; break;
+            case 2: length = 2; break;
+            case 3: length = 16; break;
+            case 4: length = fileSize === null ? 0 : 1 + fileSize; break;
+        }
+        if (length === 0 || pos + length > side.length) break;
+        if (side[pos] === 3) fileSize = side[pos + 13] | (side[pos + 14] << 8);
+        if (side[pos] === 4) fileSize = null;
+        blocks.push([pos, length]);
+        pos += length;
+    }
+    return { blocks, used: pos };
+}
+
+// .fds 的一面 -> 驱动器读到的原始磁道（间隙 + 起始标记 + 块 + CRC），未使用的空间留给游戏写入
+export function buildRawSide(side) {
+    const { blocks, used } = scanBlocks(side);
+    const size = GAP_LEAD + blocks.reduce((sum, [, length]) => sum + 1 + length + 2 + GAP_BLOCK, 0) + (side.length - used);
+    const raw = new Uint8Array(size);
+    let offset = GAP_LEAD;
+    for (const [pos, length] of blocks) {
+        let crc = updateCrc(0, START_MARK);
+        raw[offset++] = START_MARK;
+        for (let i = 0; i < length; i++) {
+            raw[offset++] = side[pos + i];
+            crc = updateCrc(crc, side[pos + i]);
+        }
+        crc = updateCrc(updateCrc(crc, 0), 0);
+        raw[offset++] = crc & 0xFF;
+        raw[offset++] = crc >> 8;
+        offset += GAP_BLOCK;
+    }
+    return raw;
+}
+
+// ========== BIOS ==========
+
+/**
+ * 检查 BIOS 文件，返回 { ok, official, error }
+ * 只接受 8KB 且复位向量指向 $E000-$FFFF 的镜像；非官方版本（如 Twin Famicom）可以用但会提示
+ */
+export function checkFdsBios(data) {
+    if (!data || data.length !== FDS_BIOS_SIZE) {
+        return { ok: false, official: false, error: `FDS BIOS 应为 8KB（实际 ${data ? data.length : 0} 字节）` };
+    }
+    const reset = data[0x1FFC] | (data[0x1FFD] << 8);
+    if (reset < 0xE000) {
+        return { ok: false, official: false, error: '不是有效的 FDS BIOS（复位向量不在 BIOS 内）' };
+    }
+    return { ok: true, official: crc32(data) === OFFICIAL_BIOS_CRC, error: null };
+}
+
+// 用 BIOS 拼出 32KB PRG 的 NROM 卡带：$8000-$DFFF 留空（之后作为 RAM），$E000-$FFFF 为 BIOS
+export function buildBiosCartridge(bios) {
+    const rom = new Uint8Array(16 + 0x8000);
+    rom.set([0x4E, 0x45, 0x53, 0x1A, 2, 0, 0x01, 0]);
+    rom.set(bios, 16 + 0x6000);
+    return rom;
+}
+
+export class FdsBiosStore {
+    constructor() {
+        this.store = new LocalStore('system');
+    }
+
+    async load() {
+        const record = await this.store.get(BIOS_KEY);
+        return record ? new Uint8Array(record.data) : null;
+    }
+
+    async save(data) {
+        await this.store.put({ key: BIOS_KEY, data, timestamp: Date.now() });
+    }
+}
+
+// ========== 驱动器 ==========
+
+// 存档里保存的标量字段
+const DRIVE_FIELDS = [
+    'side', 'pendingSide', 'swapDelay',
+    'diskRegEnabled', 'soundRegEnabled',
+    'timerReload', 'timerCounter', 'timerRepeat', 'timerEnabled', 'timerIrq',
+    'motorOn', 'resetTransfer', 'readMode', 'horizontal', 'crcControl', 'diskReady', 'diskIrqEnabled', 'diskIrq',
+    'position', 'delay', 'endOfHead', 'scanning', 'gapEnded', 'transferComplete', 'readData', 'writeData',
+    'crc', 'previousCrcControl'
+];
+
+/**
+ * RAM 适配器（$4020-$4033）与磁碟驱动器
+ * 时序参考 Mesen：电机启动后等待 SPIN_UP_CYCLES，之后每 BYTE_CYCLES 个周期传送一个字节
+ */
+export class FdsDrive {
+    constructor(sides) {
+        this.original = sides.map(buildRawSide);
+        this.sides = this.original.map(raw => raw.slice());
+        this.modified = false; // 游戏写过磁盘后存档才需要带上磁盘数据
+        this.waveRam = new Uint8Array(64);
+        this.onMirroring = null; // (horizontal) => void
+        this.reset();
+        this.side = 0;
+    }
+
+    get sideCount() {
+        return this.sides.length;
+    }
+
+    // 当前插入的面（换面过程中为即将插入的面），-1 表示没有磁碟
+    get currentSide() {
+        return this.pendingSide >= 0 ? this.pendingSide : this.side;
+    }
+
+    // 主机复位不影响磁碟，换面途中复位直接插入新的一面
+    reset() {
+        if (this.pendingSide >= 0) this.side = this.pendingSide;
+        this.pendingSide = -1;
+        this.swapDelay = 0;
+        this.diskRegEnabled = true;
+        this.soundRegEnabled = false;
+        this.timerReload = 0;
+        this.timerCounter = 0;
+        this.timerRepeat = false;
+        this.timerEnabled = false;
+        this.timerIrq = false;
+        this.motorOn = false;
+        this.resetTransfer = false;
+        this.readMode = true;
+        this.horizontal = false;
+        this.crcControl = false;
+        this.diskReady = false;
+        this.diskIrqEnabled = false;
+        this.diskIrq = false;
+        this.position = 0;
+        this.delay = 0;
+        this.endOfHead = true;
+        this.scanning = false;
+        this.gapEnded = false;
+        this.transferComplete = false;
+        this.readData = 0;
+        this.writeData = 0;
+        this.crc = 0;
+        this.previousCrcControl = false;
+    }
+
+    // 弹出当前面，SWAP_CYCLES 后插入指定面
+    insertSide(index) {
+        if (index < 0 || index >= this.sides.length) return false;
+        this.side = -1;
+        this.pendingSide = index;
+        this.swapDelay = SWAP_CYCLES;
+        return true;
+    }
+
+    // ========== 寄存器 ==========
+    read(address) {
+        switch (address) {
+            case 0x4030: {
+                let value = 0;
+                if (this.timerIrq) value |= 0x01;
+                if (this.transferComplete) value |= 0x02;
+                this.transferComplete = false;
+                this.timerIrq = false;
+                this.diskIrq = false;
+                return value;
+            }
+            case 0x4031:
+                this.transferComplete = false;
+                this.diskIrq = false;
+                return this.readData;
+            case 0x4032: {
+                // 位0 无磁碟，位1 未就绪，位2 写保护
+                const inserted = this.side >= 0;
+                let value = 0x40;
+                if (!inserted) value |= 0x05;
+                if (!inserted || !this.scanning) value |= 0x02;
+                return value;
+            }
+            case 0x4033:
+                return 0x80; // 电池电压正常
+        }
+        // 扩展音源只保留波形表，声音本身没有模拟
+        if (address >= 0x4040 && address < 0x4080) return this.waveRam[address - 0x4040] | 0x40;
+        if (address === 0x4090 || address === 0x4092) return 0x40;
+        return null;
+    }
+
+    write(address, value) {
+        if (!this.diskRegEnabled && address >= 0x4024 && address <= 0x4026) return;
+
+        switch (address) {
+            case 0x4020:
+                this.timerReload = (this.timerReload & 0xFF00) | value;
+                break;
+            case 0x4021:
+                this.timerReload = (this.timerReload & 0x00FF) | (value << 8);
+                break;
+            case 0x4022:
+                this.timerRepeat = (value & 0x01) !== 0;
+                this.timerEnabled = (value & 0x02) !== 0 && this.diskRegEnabled;
+                if (this.timerEnabled) {
+                    this.timerCounter = this.timerReload;
+                } else {
+                    this.timerIrq = false;
+                }
+                break;
+            case 0x4023:
+                this.diskRegEnabled = (value & 0x01) !== 0;
+                this.soundRegEnabled = (value & 0x02) !== 0;
+                if (!this.diskRegEnabled) {
+                    this.timerEnabled = false;
+                    this.timerIrq = false;
+                    this.diskIrq = false;
+                }
+                break;
+            case 0x4024:
+                this.writeData = value;
+                this.transferComplete = false;
+                this.diskIrq = false;
+                break;
+            case 0x4025: {
+                this.motorOn = (value & 0x01) !== 0;
+                this.resetTransfer = (value & 0x02) !== 0;
+                this.readMode = (value & 0x04) !== 0;
+                this.crcControl = (value & 0x10) !== 0;
+                this.diskReady = (value & 0x40) !== 0;
+                this.diskIrqEnabled = (value & 0x80) !== 0;
+                this.diskIrq = false;
+                const horizontal = (value & 0x08) !== 0;
+                if (horizontal !== this.horizontal) {
+                    this.horizontal = horizontal;
+                    if (this.onMirroring) this.onMirroring(horizontal);
+                }
+                break;
+            }
+            default:
+                if (address >= 0x4040 && address < 0x4080) this.waveRam[address - 0x4040] = value & 0x3F;
+        }
+    }
+
+    // ========== 时钟 ==========
+    // 推进 cycles 个 CPU 周期，返回 IRQ 线是否有效
+    clock(cycles) {
+        if (this.timerEnabled) this.clockTimer(cycles);
+        if (this.pendingSide >= 0) {
+            this.swapDelay -= cycles;
+            if (this.swapDelay <= 0) {
+                this.side = this.pendingSide;
+                this.pendingSide = -1;
+            }
+        }
+        this.clockDisk(cycles);
+        return this.timerIrq || this.diskIrq;
+    }
+
+    clockTimer(cycles) {
+        for (let i = 0; i < cycles; i++) {
+            if (this.timerCounter === 0) {
+                this.timerIrq = true;
+                this.timerCounter = this.timerReload;
+                if (!this.timerRepeat) {
+                    this.timerEnabled = false;
+                    return;
+                }
+            } else {
+                this.timerCounter--;
+            }
+        }
+    }
+
+    clockDisk(cycles) {
+        if (this.side < 0 || !this.motorOn) {
+            this.endOfHead = true;
+            this.scanning = false;
+            return;
+        }
+        if (this.resetTransfer && !this.scanning) return;
+        if (this.endOfHead) {
+            this.delay = SPIN_UP_CYCLES;
+            this.endOfHead = false;
+            this.position = 0;
+            this.gapEnded = false;
+            return;
+        }
+
+        this.delay -= cycles;
+        if (this.delay > 0) return;
+
+        this.scanning = true;
+        const disk = this.sides[this.side];
+        let needIrq = this.diskIrqEnabled;
+
+        if (this.readMode) {
+            const data = disk[this.position];
+            if (!this.diskReady) {
+                this.gapEnded = false;
+            } else if (data && !this.gapEnded) {
+                // 起始标记本身不触发 IRQ
+                this.gapEnded = true;
+                needIrq = false;
+            }
+            if (this.gapEnded) {
+                this.transferComplete = true;
+                this.readData = data;
+                if (needIrq) this.diskIrq = true;
+            }
+        } else {
+            let data = 0;
+            if (!this.crcControl) {
+                this.transferComplete = true;
+                data = this.writeData;
+                if (needIrq) this.diskIrq = true;
+            }
+            if (!this.diskReady) data = 0;
+            if (!this.crcControl) {
+                this.crc = updateCrc(this.crc, data);
+            } else {
+                if (!this.previousCrcControl) this.crc = updateCrc(updateCrc(this.crc, 0), 0);
+                data = this.crc & 0xFF;
+                this.crc >>= 8;
+            }
+            if (this.position < disk.length) {
+                disk[this.position] = data;
+                this.modified = true;
+            }
+            this.gapEnded = false;
+        }
+        this.previousCrcControl = this.crcControl;
+
+        this.position++;
+        if (this.position >= disk.length) {
+            this.motorOn = false;
+        } else {
+            this.delay += BYTE_CYCLES;
+        }
+    }
+
+    // ========== 存档 ==========
+    toJSON() {
+        const state = {};
+        for (const key of DRIVE_FIELDS) state[key] = this[key];
+        state.waveRam = Array.from(this.waveRam);
+        state.disk = this.modified ? this.sides.map(raw => Array.from(raw)) : null;
+        return state;
+    }
+
+    fromJSON(state) {
+        for (const key of DRIVE_FIELDS) {
+            if (key in state) this[key] = state[key];
+        }
+        if (state.waveRam) this.waveRam.set(state.waveRam);
+        if (state.disk) {
+            this.sides = state.disk.map(raw => Uint8Array.from(raw));
+            this.modified = true;
+        } else if (this.modified) {
+            this.sides = this.original.map(raw => raw.slice());
+            this.modified = false;
+        }
+    }
+}
+
+// ========== 接入 jsnes ==========
+
+/**
+ * nes 已加载 buildBiosCartridge 生成的卡带，在 NROM Mapper 的基础上接入驱动器：
+ * $4020-$40FF 交给驱动器，$6000-$DFFF 为 RAM，$E000-$FFFF 只读；
+ * 每条指令执行后推进驱动器时钟，IRQ 为电平触发，未应答前每条指令都重新请求
+ */
+export function attachFdsDrive(nes, drive) {
+    const base = Object.getPrototypeOf(nes.mmap);
+    const mapper = Object.create(base);
+    mapper.nes = nes;
+    mapper.drive = drive;
+    mapper.reset = function () {
+        base.reset.call(this);
+        drive.reset();
+    };
+    mapper.load = function (address) {
+        address &= 0xFFFF;
+        if (address >= 0x4020 && address < 0x4100) {
+            const value = drive.read(address);
+            if (value !== null) return value;
+        }
+        return base.load.call(this, address);
+    };
+    mapper.write = function (address, value) {
+        if (address >= 0x4020 && address < 0x4100) {
+            drive.write(address, value);
+        } else if (address < 0xE000) {
+            base.writelow.call(this, address, value);
+        }
+    };
+    mapper.toJSON = function () {
+        return { ...base.toJSON.call(this), fds: drive.toJSON() };
+    };
+    mapper.fromJSON = function (state) {
+        base.fromJSON.call(this, state);
+        if (state.fds) drive.fromJSON(state.fds);
+    };
+    mapper.reset();
+    nes.mmap = mapper;
+
+    drive.onMirroring = (horizontal) => {
+        nes.ppu.setMirroring(horizontal ? nes.rom.HORIZONTAL_MIRRORING : nes.rom.VERTICAL_MIRRORING);
+    };
+
+    const cpu = nes.cpu;
+    const emulate = Object.getPrototypeOf(cpu).emulate;
+    cpu.emulate = function () {
+        const cycles = emulate.call(this);
+        if (drive.clock(cycles)) this.requestIrq(this.IRQ_NORMAL);
+        return cycles;
+    };
+}
+
+// 换回普通卡带前调用
+export function detachFdsDrive(nes) {
+    if (Object.prototype.hasOwnProperty.call(nes.cpu, 'emulate')) delete nes.cpu.emulate;
+}
@@ -0,0 +1,241 @@
+// 画面编解码 - 无损，基于调色板索引 + 游程编码，输出二进制 ArrayBuffer
+// 关键帧: [类型][调色板数量-1][调色板 RGB×N][RLE(索引)]
+// 差分帧: [类型][RLE(索引 XOR 上一帧索引)]
+export const FRAME_WIDTH = 256;
+export const FRAME_HEIGHT = 240;
+export const FRAME_PIXELS = FRAME_WIDTH * FRAME_HEIGHT;
+
+const TYPE_KEY = 1;
+const TYPE_DELTA = 2;
+const MAX_PALETTE = 256;
+const KEYFRAME_INTERVAL = 300; // 定期发送关键帧，便于丢包后恢复
+
+// ========== PackBits 风格游程编码 ==========
+// 控制字节 c < 128: 后跟 c+1 个原样字节；c >= 128: 下一字节重复 c-125 次 (3..130)
+function rleEncode(data, out, offset) {
+    let i = 0;
+    const n = data.length;
+    while (i < n) {
+        let run = 1;
+        while (i + run < n && run < 130 && data[i + run] === data[i]) run++;
+
+        if (run >= 3) {
+            out[offset++] = run + 125;
+            out[offset++] = data[i];
+            i += run;
+            continue;
+        }
+
+        // 收集原样字节，直到遇到长度>=3的重复段
+        const start = i;
+        while (i < n && i - start < 128) {
+            if (i + 2 < n && data[i] === data[i + 1] && data[i] === data[i + 2]) break;
+            i++;
+        }
+        out[offset++] = i - start - 1;
+        for (let k = start; k < i; k++) out[offset++] = data[k];
+    }
+    return offset;
+}
+
+function rleDecode(src, offset, out) {
+    let o = 0;
+    while (offset < src.length && o < out.length) {
+        const c = src[offset++];
+        if (c < 128) {
+            const count = c + 1;
+            if (offset + count > src.length || o + count > out.length) throw new Error('帧数据损坏');
+            out.set(src.subarray(offset, offset + count), o);
+            offset += count;
+            o += count;
+        } else {
+            const count = c - 125;
+            if (o + count > out.length) throw new Error('帧数据损坏');
+            out.fill(src[offset++], o, o + count);
+            o += count;
+        }
+    }
+    if (o !== out.length) throw new Error('帧数据不完整');
+}
+
+export class FrameEncoder {
+    constructor() {
+        this.palette = [];           // 索引 -> 颜色
+        this.colorIndex = new Map(); // 颜色 -> 索引
+        this.basePalette = [];
+        this.indices = new Uint8Array(FRAME_PIXELS);
+        this.prevIndices = new Uint8Array(FRAME_PIXELS);
+        this.work = new Uint8Array(FRAME_PIXELS);
+        // 最坏情况: 每 128 字节多 1 个控制字节
+        this.out = new Uint8Array(2 + MAX_PALETTE * 3 + FRAME_PIXELS + Math.ceil(FRAME_PIXELS / 128) + 16);
+        this.needKeyframe = true;
+        this.framesSinceKey = 0;
+    }
+
+    reset() {
+        this.needKeyframe = true;
+    }
+
+    requestKeyframe() {
+        this.needKeyframe = true;
+    }
+
+    // 以 NES 当前 64 色调色板为基础，保证常规画面的索引就是 6 位调色板号
+    setBasePalette(colors) {
+        const same = colors.length <= this.palette.length &&
+            colors.every((c, i) => this.palette[i] === c);
+        if (same) return;
+
+        this.basePalette = colors.slice(0, MAX_PALETTE);
+        this.resetPalette();
+        this.needKeyframe = true;
+    }
+
+    resetPalette() {
+        this.palette = this.basePalette.slice();
+        this.colorIndex = new Map();
+        this.palette.forEach((c, i) => {
+            if (!this.colorIndex.has(c)) this.colorIndex.set(c, i);
+        });
+    }
+
+    // 转换为索引，出现调色板外的颜色（帧中途切换色彩强调）时追加，返回是否扩充了调色板
+    // 追加的颜色长时间累积会占满调色板，这时回到基础调色板重新索引这一帧（随后作为关键帧发出）
+    toIndices(frameBuffer) {
+        const extended = this.mapColors(frameBuffer, false);
+        if (extended !== null) return extended;
+        this.resetPalette();
+        this.mapColors(frameBuffer, true);
+        return true;
+    }
+
+    // 调色板已满时：approximate 为 false 返回 null；为 true 则取最接近的颜色（单帧超过 256 色，实际画面不会出现）
+    mapColors(frameBuffer, approximate) {
+        let extended = false;
+        let lastColor = -1;
+        let lastIndex = 0;
+        for (let i = 0; i < FRAME_PIXELS; i++) {
+            const color = frameBuffer[i] & 0xFFFFFF;
+            if (color !== lastColor) {
+                let index = this.colorIndex.get(color);
+                if (index === undefined) {
+                    if (this.palette.length < MAX_PALETTE) {
+                        index = this.palette.length;
+                        this.palette.push(color);
+                        this.colorIndex.set(color, index);
+                        extended = true;
+                    } else if (approximate) {
+                        index = this.nearestIndex(color);
+                    } else {
+                        return null;
+                    }
+                }
+                lastColor = color;
+                lastIndex = index;
+            }
+            this.indices[i] = lastIndex;
+        }
+        return extended;
+    }
+
+    nearestIndex(color) {
+        let best = 0;
+        let bestDistance = Infinity;
+        this.palette.forEach((c, i) => {
+            const dr = (c & 0xFF) - (color & 0xFF);
+            const dg = ((c >> 8) & 0xFF) - ((color >> 8) & 0xFF);
+            const db = ((c >> 16) & 0xFF) - ((color >> 16) & 0xFF);
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    encode(frameBuffer) {
+        const extended = this.toIndices(frameBuffer);
+        const out = this.out;
+        let offset = 0;
+
+        if (extended || this.needKeyframe || this.framesSinceKey >= KEYFRAME_INTERVAL) {
+            out[offset++] = TYPE_KEY;
+            out[offset++] = this.palette.length - 1;
+            for (const color of this.palette) {
+                out[offset++] = color & 0xFF;
+                out[offset++] = (color >> 8) & 0xFF;
+                out[offset++] = (color >> 16) & 0xFF;
+            }
+            offset = rleEncode(this.indices, out, offset);
+            this.needKeyframe = false;
+            this.framesSinceKey = 0;
+        } else {
+            out[offset++] = TYPE_DELTA;
+            for (let i = 0; i < FRAME_PIXELS; i++) {
+                this.work[i] = this.indices[i] ^ this.prevIndices[i];
+            }
+            offset = rleEncode(this.work, out, offset);
+            this.framesSinceKey++;
+        }
+
+        this.prevIndices.set(this.indices);
+        return out.slice(0, offset).buffer;
+    }
+}
+
+export class FrameDecoder {
+    constructor() {
+        this.palette = null;
+        this.indices = null;
+        this.work = new Uint8Array(FRAME_PIXELS);
+    }
+
+    reset() {
+        this.palette = null;
+        this.indices = null;
+    }
+
+    // 丢帧后调用：丢弃当前画面基准，之后的差分帧在收到关键帧前都会被忽略
+    invalidate() {
+        this.indices = null;
+    }
+
+    get hasKeyframe() {
+        return this.indices !== null;
+    }
+
+    // 返回与 jsnes 帧缓冲同格式的 Uint32Array；尚未收到关键帧时返回 null
+    decode(buffer) {
+        const src = new Uint8Array(buffer);
+        let offset = 0;
+        const type = src[offset++];
+
+        if (type === TYPE_KEY) {
+            const count = src[offset++] + 1;
+            const palette = new Uint32Array(count);
+            for (let i = 0; i < count; i++) {
+                palette[i] = src[offset] | (src[offset + 1] << 8) | (src[offset + 2] << 16);
+                offset += 3;
+            }
+            const indices = new Uint8Array(FRAME_PIXELS);
+            rleDecode(src, offset, indices);
+            this.palette = palette;
+            this.indices = indices;
+        } else if (type === TYPE_DELTA) {
+            if (!this.indices) return null;
+            rleDecode(src, offset, this.work);
+            for (let i = 0; i < FRAME_PIXELS; i++) {
+                this.indices[i] ^= this.work[i];
+            }
+        } else {
+            throw new Error(`未知帧类型: ${type}`);
+        }
+
+        const frame = new Uint32Array(FRAME_PIXELS);
+        for (let i = 0; i < FRAME_PIXELS; i++) {
+            frame[i] = this.palette[this.indices[i]];
+        }
+        return frame;
+    }
+}
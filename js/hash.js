@@ -0,0 +1,29 @@
+// 哈希工具 - ROM 校验（CRC32，与常见 NES 数据库一致）
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let c = i;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[i] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(data, crc = 0) {
+    let c = (crc ^ 0xFFFFFFFF) >>> 0;
+    for (let i = 0; i < data.length; i++) {
+        c = CRC_TABLE[(c ^ data[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// 8位大写十六进制，用作 ROM 标识
+export function toHex32(value) {
+    return (value >>> 0).toString(16).toUpperCase().padStart(8, '0');
+}
+
+export function romHash(data) {
+    return toHex32(crc32(data));
+}
@@ -266,8 +266,11 @@ export class InputManager {
 
         const playerIndex = this.localPlayer - 1;
         
-        // 主机直接处理输入
-        if (this.emulator && this.emulator.isHost) {
+        // 帧锁定模式：按键交给联机会话，按帧同步后统一生效
+        if (this.emulator && this.emulator.netplay) {
+            this.emulator.netplay.setLocalButton(nesButton, pressed);
+        } else if (this.emulator && this.emulator.isHost) {
+            // 主机直接处理输入
             // 确保模拟器和 nes 对象都存在
             if (!this.emulator.nes) {
                 console.warn('processInput: emulator.nes 未初始化，尝试初始化...');
@@ -0,0 +1,142 @@
+// 本地游戏库 - 上传和下载过的 ROM 按哈希保存在 IndexedDB，记录最近游玩和收藏
+// 条目信息（library）和 ROM 数据（romdata）分开存放，列出游戏库时不用读出全部 ROM
+import { LocalStore } from './storage.js';
+import { romHash } from './hash.js';
+
+export const LIBRARY_MAX_BYTES = 128 * 1024 * 1024;
+const QUOTA_SHARE = 0.5; // 最多占浏览器给本站配额的一半
+
+export function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)}GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+    return `${Math.ceil(bytes / 1024)}KB`;
+}
+
+function isQuotaError(e) {
+    return e && (e.name === 'QuotaExceededError' || e.code === 22);
+}
+
+export class RomLibrary {
+    constructor() {
+        this.entries = new LocalStore('library');
+        this.data = new LocalStore('romdata');
+        this.limit = LIBRARY_MAX_BYTES;
+    }
+
+    // 游戏库上限：固定上限和浏览器配额一半中较小的一个
+    async init() {
+        try {
+            const estimate = await navigator.storage?.estimate?.();
+            if (estimate?.quota) this.limit = Math.min(LIBRARY_MAX_BYTES, Math.floor(estimate.quota * QUOTA_SHARE));
+            await navigator.storage?.persist?.();
+        } catch (e) {
+            console.warn('无法读取存储配额:', e);
+        }
+    }
+
+    // 最近游玩的在前，从没玩过的按加入时间
+    async list() {
+        const entries = await this.entries.getAll();
+        return entries.sort((a, b) => (b.lastPlayed || b.addedAt) - (a.lastPlayed || a.addedAt));
+    }
+
+    async get(hash) {
+        return this.entries.get(hash);
+    }
+
+    async load(hash) {
+        const record = await this.data.get(hash);
+        return record ? new Uint8Array(record.data) : null;
+    }
+
+    async findByGameId(gameId) {
+        const entries = await this.entries.getAll();
+        return entries.find(e => e.gameId === gameId) || null;
+    }
+
+    /**
+     * 加入游戏库，已存在时保留收藏和游玩记录；返回条目
+     * gameId 为目录中的游戏 ID，没有则是本地上传的 ROM
+     * 上传的 ROM 之后在目录里下载到同一个文件时，改用目录的 ID 和名称
+     */
+    async add(data, { name, gameId = null }) {
+        const hash = romHash(data);
+        const existing = await this.entries.get(hash);
+        const entry = {
+            key: hash,
+            hash,
+            name: gameId || !existing ? name : existing.name,
+            source: gameId || existing?.gameId ? 'catalog' : 'upload',
+            gameId: gameId || existing?.gameId || null,
+            size: data.length,
+            addedAt: existing?.addedAt || Date.now(),
+            lastPlayed: existing?.lastPlayed || 0,
+            playCount: existing?.playCount || 0,
+            favorite: existing?.favorite || false
+        };
+
+        if (!existing) {
+            await this.evict(data.length);
+            try {
+                await this.data.put({ key: hash, data });
+            } catch (e) {
+                if (!isQuotaError(e)) throw e;
+                // 浏览器配额不足：再腾出一倍空间重试一次
+                await this.evict(data.length * 2, true);
+                await this.data.put({ key: hash, data });
+            }
+        }
+        await this.entries.put(entry);
+        return entry;
+    }
+
+    async markPlayed(hash) {
+        const entry = await this.entries.get(hash);
+        if (!entry) return;
+        entry.lastPlayed = Date.now();
+        entry.playCount = (entry.playCount || 0) + 1;
+        await this.entries.put(entry);
+    }
+
+    async setFavorite(hash, favorite) {
+        const entry = await this.entries.get(hash);
+        if (!entry) return;
+        entry.favorite = favorite;
+        await this.entries.put(entry);
+    }
+
+    async remove(hash) {
+        await this.data.delete(hash);
+        await this.entries.delete(hash);
+    }
+
+    async usage() {
+        const entries = await this.entries.getAll();
+        const used = entries.reduce((sum, e) => sum + e.size, 0);
+        let browser = null;
+        try {
+            browser = await navigator.storage?.estimate?.() || null;
+        } catch {}
+        return { count: entries.length, used, limit: this.limit, browser };
+    }
+
+    /**
+     * 为新 ROM 腾出空间：超出上限时按最久没玩的顺序删除，收藏的不删
+     * force 为 true 时不管上限，至少腾出 incoming 字节
+     */
+    async evict(incoming, force = false) {
+        const entries = await this.list();
+        let used = entries.reduce((sum, e) => sum + e.size, 0);
+        let freed = 0;
+        const target = force ? Math.max(0, used - incoming) : this.limit - incoming;
+        for (const entry of entries.reverse()) {
+            if (used <= target) break;
+            if (entry.favorite) continue;
+            await this.remove(entry.hash);
+            used -= entry.size;
+            freed += entry.size;
+            console.log(`游戏库空间不足，已移除: ${entry.name}`);
+        }
+        return freed;
+    }
+}
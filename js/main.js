@@ -4,6 +4,33 @@ import { NESEmulator } from './emulator.js';
 import { InputManager } from './input.js';
 import { UIManager } from './ui.js';
 import { ChatManager } from './chat.js';
+import { SaveStateStore, SAVE_SLOT_COUNT } from './savestate.js';
+import { LockstepSession, RollbackSession, DEFAULT_INPUT_DELAY, INPUT_PLAYERS } from './netplay.js';
+import { encodeAudioChunk } from './audiocodec.js';
+import { GameSearch } from './search.js';
+import { GameMetadataStore, GENRES, REGIONS, genreIcon } from './metadata.js';
+import { inspectRom, describeRom } from './rominfo.js';
+import { FdsBiosStore, checkFdsBios, isFds, sideName } from './fds.js';
+import { ROM_EXTENSIONS, isArchive, is7z, listArchiveRoms } from './archive.js';
+import { RomLibrary, formatBytes } from './library.js';
+import { SramStore, SRAM_FLUSH_INTERVAL, parseSav } from './sram.js';
+import { RomSender, RomReceiver } from './romtransfer.js';
+
+const LOCAL_FILE_PATTERN = /\.(nes|unf|unif|fds|zip|7z)$/i;
+const SNAPSHOT_INTERVAL = 5000; // 画面串流时房主定期把状态快照发给客户端，房主离开后新房主从快照接续
+const ROM_NAME_MAX_LENGTH = 80;
+
+function createSpan(className, text) {
+    const span = document.createElement('span');
+    if (className) span.className = className;
+    span.textContent = text;
+    return span;
+}
+
+// 上传的文件名和房主发来的 ROM 名称存进本地游戏库之前去掉控制字符并限制长度
+function cleanRomName(name) {
+    return String(name || '').replace(/[\u0000-\u001f\u007f<>]/g, '').trim().slice(0, ROM_NAME_MAX_LENGTH);
+}
 
 class GameApp {
     constructor() {
@@ -12,14 +39,41 @@ class GameApp {
         this.inputManager = null;
         this.ui = null;
         this.chatManager = null;
+        this.saveStates = new SaveStateStore();
+        this.fdsBios = new FdsBiosStore();
+        this.sram = new SramStore();
+        this.sramTimer = null;
+        this.library = new RomLibrary();
+        this.localGames = []; // 本地游戏库中的游戏，和目录结果一起显示
 
         this.mode = null; // 'single', 'host', 'client'
+        this.netMode = 'stream'; // 'stream' 画面串流, 'lockstep' 输入同步, 'rollback' 回滚同步
+        this.inputDelay = DEFAULT_INPUT_DELAY;
+        this.netplay = null;
+        this.netplayStatsTimer = null;
+        this.romSender = null;   // 房主：向客户端发送 ROM
+        this.romReceiver = null; // 客户端：正在接收的 ROM
+        this.romOffer = null;    // 房主：放进 game-start 的 ROM 哈希和大小
+        this.pendingGameStart = null;
+        this.gameRom = null;      // 当前游戏的 ROM，成为新房主时用来接续游戏
+        this.lastSnapshot = null; // 客户端：房主最近一次同步的状态快照
+        this.snapshotTimer = null;
         this.myPlayerNum = 0;
         this.players = {};
         this.selectedGame = null;
         this.selectedGameName = '';
         this.customRom = null;
+        this.selectedRom = null; // 选中游戏后预先下载的 ROM { id, data }
+        this.romCheck = null;    // 选中 ROM 的检查结果（rominfo.inspectRom）
+        this.romCheckToken = 0;
         this.allGames = [];
+        this.gameSearch = null; // 本地搜索索引，加载成功后优先使用
+        this.metadata = new GameMetadataStore();
+        this.filters = { players: 0, genre: '' };
+        this.playerCountWarning = null; // 已提示过的人数不足，再次点击开始时放行
+        this.catalogApi = false; // 是否使用服务端目录搜索
+        this.searchTimer = null;
+        this.searchToken = 0;
     }
 
     async init() {
@@ -29,14 +83,26 @@ class GameApp {
         this.roomManager = new RoomManager();
         this.chatManager = new ChatManager(this.roomManager);
 
+        await this.library.init();
+        await this.refreshLibrary();
         await this.loadGameList();
+        this.loadFdsBios();
         this.bindEvents();
+        this.updateAudioControls();
         this.inputManager.initControlsUI();
+        this.registerServiceWorker();
 
         document.getElementById('controls-panel').classList.add('expanded');
         console.log('🎮 红白机多人对战系统初始化完成');
     }
 
+    // 离线模式：缓存页面和模拟器库，断网时单人模式可玩本地游戏库中的游戏
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register('/sw.js').catch(e => console.warn('离线模式不可用:', e));
+        window.addEventListener('offline', () => this.ui.showToast('网络已断开，单人模式仍可游玩本地游戏库中的游戏', 3000));
+    }
+
     bindEvents() {
         // 模式选择
         document.getElementById('single-mode').addEventListener('click', () => this.startSinglePlayer());
@@ -62,7 +128,21 @@ class GameApp {
 
         // 游戏搜索
         document.getElementById('game-search').addEventListener('input', (e) => this.searchGames(e.target.value));
+        document.getElementById('players-filter').addEventListener('change', (e) => {
+            this.filters.players = parseInt(e.target.value, 10) || 0;
+            this.searchGames(document.getElementById('game-search').value);
+        });
+        document.getElementById('genre-filter').addEventListener('change', (e) => {
+            this.filters.genre = e.target.value;
+            this.searchGames(document.getElementById('game-search').value);
+        });
         document.getElementById('rom-upload').addEventListener('change', (e) => this.handleRomUpload(e));
+        this.initCartridgeDrop();
+        document.getElementById('bios-upload').addEventListener('change', (e) => this.handleBiosUpload(e));
+
+        // 联机模式
+        document.getElementById('net-mode').addEventListener('change', (e) => { this.netMode = e.target.value; });
+        document.getElementById('input-delay').addEventListener('change', (e) => { this.inputDelay = parseInt(e.target.value) || 0; });
 
         // 开始游戏
         document.getElementById('start-game-btn').addEventListener('click', () => this.startGame());
@@ -71,9 +151,26 @@ class GameApp {
         // 游戏控制
         document.getElementById('pause-btn').addEventListener('click', () => this.togglePause());
         document.getElementById('reset-btn').addEventListener('click', () => this.resetGame());
+        document.getElementById('save-state-btn').addEventListener('click', () => this.quickSave());
+        document.getElementById('load-state-btn').addEventListener('click', () => this.quickLoad());
+        document.getElementById('disk-side').addEventListener('change', (e) => this.switchDiskSide(parseInt(e.target.value, 10)));
+        document.getElementById('sav-export-btn').addEventListener('click', () => this.exportSav());
+        document.getElementById('sav-import').addEventListener('change', (e) => this.importSav(e));
+        document.getElementById('mute-btn').addEventListener('click', () => this.toggleMute());
+        document.getElementById('volume-slider').addEventListener('input', (e) => this.setVolume(e.target.value / 100));
         document.getElementById('fullscreen-btn').addEventListener('click', () => this.toggleFullscreen());
         document.getElementById('exit-btn').addEventListener('click', () => this.exitGame());
 
+        // 关闭页面或切到后台时写回电池存档
+        window.addEventListener('beforeunload', () => {
+            this.flushSram();
+            // 主动离开房间，房主关闭页面时信令服务器立即迁移房主，不用等断线保留期
+            if (this.roomManager.roomCode) this.roomManager.sendWs({ type: 'leave' });
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flushSram();
+        });
+
         // 房间事件
         this.bindRoomEvents();
     }
@@ -85,9 +182,13 @@ class GameApp {
         this.roomManager.on('player-joined', (data) => this.onPlayerJoined(data));
         this.roomManager.on('player-left', (data) => this.onPlayerLeft(data));
         this.roomManager.on('room-closed', (data) => this.onRoomClosed(data));
+        this.roomManager.on('host-migrated', (data) => this.onHostMigrated(data));
+        this.roomManager.on('state-snapshot', (data) => { this.lastSnapshot = data.state; });
         this.roomManager.on('input', (data) => this.onRemoteInput(data));
         this.roomManager.on('game-start', (data) => this.onGameStart(data));
         this.roomManager.on('frame', (frameData) => this.onFrame(frameData));
+        this.roomManager.on('keyframe-request', () => this.emulator.frameEncoder.requestKeyframe());
+        this.roomManager.on('game-sync-request', (data) => this.onGameSyncRequest(data));
         this.roomManager.on('pause', (data) => this.onPause(data));
         this.roomManager.on('reset', () => this.onReset());
         this.roomManager.on('error', (data) => this.onError(data));
@@ -102,6 +203,7 @@ class GameApp {
         this.emulator.setHost(true);
         this.players = { 1: { name: '玩家', connected: true } };
 
+        document.getElementById('netplay-options').classList.add('hidden');
         this.ui.showRoomPanel();
         this.updateSeats();
         this.updateStartButton();
@@ -126,6 +228,7 @@ class GameApp {
 
             setTimeout(() => {
                 this.ui.showRoomPanel();
+                document.getElementById('netplay-options').classList.remove('hidden');
                 document.getElementById('room-code-display').textContent = roomCode;
                 this.updateSeats();
                 this.updateStartButton();
@@ -168,6 +271,7 @@ class GameApp {
             this.players[this.myPlayerNum] = { name: `玩家${this.myPlayerNum}`, connected: true };
 
             this.ui.setConnectionStatus('connected', '等待P2P...');
+            document.getElementById('netplay-options').classList.add('hidden');
             this.ui.showRoomPanel();
             document.getElementById('room-code-display').textContent = roomCode;
             this.updateSeats();
@@ -183,6 +287,8 @@ class GameApp {
     // ========== 房间事件 ==========
     onConnected() {
         this.ui.setConnectionStatus('connected', 'P2P 已连接');
+        // 加入或重连后询问房主是否已在游戏中，没有游戏时房主不回复
+        if (this.mode === 'client') this.roomManager.send({ type: 'game-sync-request' });
     }
 
     onPeerConnected(data) {
@@ -205,6 +311,9 @@ class GameApp {
 
     onPlayerLeft(data) {
         const { playerNum } = data;
+        if (this.netplay && this.mode === 'host') {
+            this.netplay.dropPlayer(playerNum);
+        }
         if (this.players[playerNum]) {
             this.players[playerNum].connected = false;
             this.updateSeats();
@@ -214,10 +323,76 @@ class GameApp {
     }
 
     onRoomClosed(data) {
+        this.cancelRomTransfer();
         this.ui.showToast(data.message || '房间已关闭');
         this.backToModeSelect();
     }
 
+    // 房主离开：新房主接续游戏，其他玩家等新房主连上后按中途加入的流程重新同步
+    onHostMigrated({ playerNum, isHost }) {
+        this.pendingGameStart = null;
+        this.cancelRomTransfer();
+        this.chatManager?.addSystemMessage(`P${playerNum} 成为新房主`);
+
+        if (!isHost) {
+            if (this.netplay) {
+                this.stopNetplay();
+                this.emulator.setHost(false);
+            }
+            this.ui.showToast(`房主已离开，P${playerNum} 成为新房主，正在重新连接…`, 3000);
+            return;
+        }
+
+        this.mode = 'host';
+        document.getElementById('netplay-options').classList.remove('hidden');
+        this.updateSeats();
+        this.updateStartButton();
+
+        const inGame = this.emulator.isRunning;
+        if (inGame && !this.resumeAsHost()) {
+            this.exitGame();
+            this.ui.showToast('无法接续游戏（尚未收到房主的状态），请重新开始', 3000);
+            return;
+        }
+        this.ui.showToast(inGame ? '房主已离开，你成为新房主，游戏继续' : '房主已离开，你成为新房主', 3000);
+    }
+
+    // 以房主身份接续正在进行的游戏：输入同步沿用本机状态，画面串流从最近的快照恢复
+    resumeAsHost() {
+        const netplay = this.netplay;
+        if (!this.gameRom || (!netplay && !this.lastSnapshot)) return false;
+
+        this.emulator.stop();
+        this.emulator.setHost(true);
+        if (netplay) {
+            // 其他玩家重新连上后请求同步，由 addPlayer 加回
+            const { mode, inputDelay, frame, epoch } = netplay;
+            this.startNetplay(mode, [this.myPlayerNum], inputDelay, true, frame, epoch);
+        } else {
+            if (!this.emulator.loadRom(this.gameRom) || !this.emulator.loadState(this.lastSnapshot)) {
+                this.emulator.setHost(false);
+                return false;
+            }
+            this.updateDiskControls();
+            this.startStreaming();
+        }
+        this.lastSnapshot = null;
+
+        this.romSender ??= new RomSender(this.roomManager);
+        this.romOffer = this.romSender.share(this.gameRom, this.selectedGameName);
+
+        this.emulator.start();
+        this.startHostInput();
+        document.getElementById('pause-btn').textContent = '⏸ 暂停';
+        document.getElementById('pause-btn').disabled = false;
+        document.getElementById('reset-btn').disabled = false;
+        this.setSaveControlsEnabled(true);
+        this.refreshSaveSlots();
+        this.updateSramControls();
+        if (this.ownsSram) this.startSramTimer();
+        return true;
+    }
+
     onRemoteInput(data) {
         if (this.mode === 'host' || this.mode === 'single') {
             this.inputManager.handleRemoteInput(data);
@@ -227,13 +402,101 @@ class GameApp {
     onGameStart(data) {
         if (this.mode === 'client') {
             this.selectedGameName = data.gameName || '游戏';
-            this.startGameAsClient();
+            this.selectedGame = data.gameId || null;
+            this.pendingGameStart = data;
+            this.cancelRomTransfer();
+            if (data.netMode === 'lockstep' || data.netMode === 'rollback') {
+                this.startNetplayAsClient(data);
+            } else {
+                // 串流中途重连时已在游戏画面，等房主的关键帧即可
+                this.stopNetplay();
+                this.emulator.setHost(false);
+                this.emulator.frameDecoder.reset();
+                if (!this.emulator.isRunning) this.startGameAsClient();
+                // 画面串流不需要 ROM，在后台接收并存入本地游戏库，成为新房主时用来接续
+                if (data.romHash) {
+                    this.obtainHostRom(data)
+                        .then(rom => { if (this.pendingGameStart === data) this.gameRom = rom; })
+                        .catch(e => console.warn('ROM 接收失败:', e.message));
+                }
+            }
         }
     }
 
-    onFrame(frameData) {
-        if (this.mode === 'client') {
-            this.emulator.receiveFrame(frameData);
+    // 中途加入或重连的客户端请求当前游戏：只发给该玩家
+    // 画面串流补发关键帧；输入同步需要该玩家也参与，所有人从当前状态重新同步
+    onGameSyncRequest({ fromPlayer }) {
+        if (this.mode !== 'host' || !this.emulator.isRunning) return;
+
+        const data = { type: 'game-start', gameName: this.selectedGameName, ...this.romOffer };
+        if (this.netplay) {
+            this.netplay.addPlayer(fromPlayer);
+            const state = this.emulator.saveState();
+            if (!state) return;
+            Object.assign(data, {
+                gameId: this.selectedGame,
+                netMode: this.netplay.mode,
+                inputDelay: this.netplay.inputDelay,
+                players: this.netplay.activePlayers,
+                state,
+                frame: this.netplay.frame,
+                epoch: this.netplay.epoch
+            });
+        } else {
+            this.emulator.frameEncoder.requestKeyframe();
+        }
+        console.log(`P${fromPlayer} 中途加入，发送当前游戏`);
+        this.roomManager.sendTo(fromPlayer, data);
+        if (this.emulator.isPaused) this.roomManager.sendTo(fromPlayer, { type: 'pause', paused: true });
+    }
+
+    // ========== ROM 传输 ==========
+    // 本地游戏库里有同一个哈希就直接用，否则从房主分块接收；旧版房主不发哈希，按游戏 ID 从服务器下载
+    async obtainHostRom(data) {
+        if (!data.romHash) return this.loadRomFromServer(data.gameId);
+
+        const cached = await this.library.load(data.romHash).catch(() => null);
+        if (cached) {
+            console.log('本地游戏库已有此 ROM，跳过下载');
+            return cached;
+        }
+
+        const receiver = this.romReceiver = new RomReceiver(this.roomManager, data,
+            (received, size) => this.renderRomTransfer(received, size));
+        this.renderRomTransfer(0, data.romSize);
+        try {
+            const rom = await receiver.receive();
+            this.saveToLibrary(rom, cleanRomName(data.romName || data.gameName) || '房主的游戏', data.gameId || null);
+            return rom;
+        } finally {
+            if (this.romReceiver === receiver) {
+                this.romReceiver = null;
+                this.renderRomTransfer(null);
+            }
+        }
+    }
+
+    cancelRomTransfer() {
+        this.romReceiver?.cancel();
+        this.romReceiver = null;
+        this.renderRomTransfer(null);
+    }
+
+    renderRomTransfer(received, size) {
+        const el = document.getElementById('rom-transfer');
+        el.classList.toggle('hidden', received === null);
+        if (received === null) return;
+        const percent = size ? Math.floor(received / size * 100) : 0;
+        document.getElementById('rom-transfer-text').textContent =
+            `正在从房主接收 ROM… ${percent}%（${formatBytes(received)} / ${formatBytes(size)}）`;
+        document.getElementById('rom-transfer-fill').style.width = `${percent}%`;
+    }
+
+    onFrame(frame) {
+        if (this.mode !== 'client') return;
+        if (frame.audio) this.emulator.receiveAudio(frame.audio);
+        if (!this.emulator.receiveFrame(frame.data, frame.lost)) {
+            this.roomManager.requestKeyframe();
         }
     }
 
@@ -322,62 +585,237 @@ class GameApp {
 
     // ========== 游戏选择 ==========
     async loadGameList() {
+        this.initGameFilters();
+        await this.metadata.load();
+        // 人数、类型只来自元数据，没有任何记录时筛选只会得到空列表
+        document.querySelector('.search-filters').classList.toggle('hidden', this.metadata.size === 0);
+
+        // 优先使用预生成的搜索索引（拼音、别名、容错都在本地完成）
+        try {
+            const response = await fetch('/search-index.json');
+            if (!response.ok) throw new Error(`索引请求失败: ${response.status}`);
+            this.gameSearch = new GameSearch(await response.json(), (id, hash) => this.createGameEntry(id, hash));
+            this.allGames = this.gameSearch.games;
+            this.renderGameResults(this.allGames.slice(0, 12));
+            return;
+        } catch (e) {
+            console.warn('搜索索引不可用:', e.message);
+            this.gameSearch = null;
+        }
+
+        // 其次使用边缘函数的目录 API（服务端搜索分页）
+        try {
+            this.allGames = await this.fetchGames('');
+            this.catalogApi = true;
+            this.renderGameResults(this.allGames);
+            return;
+        } catch {
+            this.catalogApi = false;
+        }
+
         try {
             const response = await fetch('/roms-manifest.json');
             if (response.ok) {
                 const manifest = await response.json();
-                this.allGames = manifest.files.map(f => {
-                    const name = f.name.replace('.zip', '').replace('.nes', '');
-                    return { id: name, name, icon: this.getGameIcon(name), players: this.guessPlayers(name) };
-                });
+                this.allGames = manifest.files.map(f => this.createGameEntry(f.name.replace(/\.(zip|nes|fds)$/i, ''), f.crc32));
             } else {
                 throw new Error();
             }
         } catch {
             this.allGames = [
-                { id: '魂斗罗', name: '魂斗罗', icon: '🔫', players: 2 },
-                { id: '超级魂斗罗', name: '超级魂斗罗', icon: '🔫', players: 2 },
-                { id: '超级玛莉', name: '超级玛丽', icon: '🍄', players: 1 },
-                { id: '坦克大战(打坦克，Battle City)', name: '坦克大战', icon: '🎖️', players: 2 },
-                { id: '雪人兄弟', name: '雪人兄弟', icon: '⛄', players: 2 },
-                { id: '双截龙', name: '双截龙', icon: '🐉', players: 2 },
-                { id: '赤色要塞', name: '赤色要塞', icon: '🚁', players: 2 },
-                { id: '忍者神龟2', name: '忍者神龟2', icon: '🐢', players: 2 },
+                this.createGameEntry('魂斗罗'),
+                this.createGameEntry('超级魂斗罗'),
+                { ...this.createGameEntry('超级玛莉'), name: '超级玛丽' },
+                { ...this.createGameEntry('坦克大战(打坦克，Battle City)'), name: '坦克大战' },
+                this.createGameEntry('雪人兄弟'),
+                this.createGameEntry('双截龙'),
+                this.createGameEntry('赤色要塞'),
+                this.createGameEntry('忍者神龟2'),
             ];
         }
         this.renderGameResults(this.allGames.slice(0, 12));
     }
 
-    getGameIcon(name) {
-        const map = { '魂斗罗': '🔫', '坦克': '🎖️', '马里奥': '🍄', '玛莉': '🍄', '雪人': '⛄', '双截龙': '🐉', '忍者': '🥷', '热血': '👊', '松鼠': '🐿️' };
-        for (const [k, v] of Object.entries(map)) if (name.includes(k)) return v;
-        return '🎮';
+    createGameEntry(name, hash = null) {
+        return { id: name, name, hash, ...this.metadata.resolve(name, hash) };
+    }
+
+    initGameFilters() {
+        const genreSelect = document.getElementById('genre-filter');
+        for (const genre of GENRES) {
+            genreSelect.add(new Option(genre, genre));
+        }
+    }
+
+    filterGames(games) {
+        const { players, genre } = this.filters;
+        return games.filter(g => (!players || g.players >= players) && (!genre || g.genre === genre));
     }
 
-    guessPlayers(name) {
-        const kw = ['魂斗罗', '坦克', '雪人', '双截龙', '热血', '松鼠', '炸弹', '泡泡', '兵蜂', '赤色'];
-        return kw.some(k => name.includes(k)) ? 2 : 1;
+    async fetchGames(query, pageSize = 12) {
+        const params = new URLSearchParams({ q: query, pageSize });
+        if (this.filters.players) params.set('players', this.filters.players);
+        if (this.filters.genre) params.set('genre', this.filters.genre);
+        const response = await fetch(`/api/games?${params}`);
+        if (!response.ok) throw new Error(`目录请求失败: ${response.status}`);
+        const data = await response.json();
+        return data.games.map(g => ({
+            id: g.id,
+            name: g.name,
+            hash: g.hash,
+            icon: genreIcon(g.genre),
+            players: g.players,
+            verified: g.verified,
+            genre: g.genre,
+            mapper: g.mapper,
+            region: g.region,
+            altNames: g.altNames || [],
+            boxArt: g.boxArt,
+            size: g.size
+        }));
     }
 
     searchGames(query) {
+        if (this.gameSearch) {
+            const results = query.trim() ? this.gameSearch.search(query, 200) : this.allGames;
+            this.renderGameResults(this.filterGames(results).slice(0, 30));
+            return;
+        }
+
+        if (this.catalogApi) {
+            // 输入停顿后再请求，只渲染最后一次请求的结果
+            clearTimeout(this.searchTimer);
+            const token = ++this.searchToken;
+            this.searchTimer = setTimeout(async () => {
+                try {
+                    const games = await this.fetchGames(query.trim());
+                    if (token === this.searchToken) this.renderGameResults(games);
+                } catch (e) {
+                    console.warn('搜索失败:', e);
+                }
+            }, 200);
+            return;
+        }
+
         const q = query.toLowerCase().trim();
-        const results = q ? this.allGames.filter(g => g.name.toLowerCase().includes(q)) : this.allGames.slice(0, 8);
-        this.renderGameResults(results);
+        const results = this.filterGames(q ? this.allGames.filter(g => g.name.toLowerCase().includes(q)) : this.allGames);
+        this.renderGameResults(q ? results : results.slice(0, 8));
     }
 
     renderGameResults(games) {
         const container = document.getElementById('game-results');
         container.innerHTML = '';
-        games.forEach(game => {
+        this.withLocalGames(games).forEach(game => {
             const item = document.createElement('div');
             item.className = 'game-result-item';
-            item.innerHTML = `<span class="game-icon">${game.icon}</span><span class="game-name">${game.name}</span><span style="margin-left:auto;font-size:0.4rem;color:#888">${game.players}P</span>`;
+            // 名称可能来自上传的文件名或房主发来的 ROM 名，只作为文本插入
+            let icon;
+            if (game.boxArt) {
+                icon = document.createElement('img');
+                icon.className = 'game-boxart';
+                icon.src = game.boxArt;
+                icon.alt = '';
+                icon.loading = 'lazy';
+            } else {
+                icon = createSpan('game-icon', game.icon);
+            }
+            item.append(icon, createSpan('game-name', game.name));
+            const regionLabel = REGIONS[game.region];
+            if (regionLabel && !game.name.includes(regionLabel)) item.append(createSpan('game-tag', regionLabel));
+            if (game.local) item.append(createSpan('game-tag local', '本地'));
+            const players = createSpan('', game.players ? `${game.players}P` : '');
+            players.style.cssText = 'margin-left:auto;font-size:0.4rem;color:#888';
+            item.append(players);
+            item.title = [game.genre, ...(game.altNames || [])].filter(Boolean).join(' / ');
+            if (game.local) this.addLibraryButtons(item, game.local);
             item.addEventListener('click', () => this.selectGame(game, item));
             container.appendChild(item);
         });
     }
 
+    // ========== 本地游戏库 ==========
+    async refreshLibrary() {
+        try {
+            const entries = await this.library.list();
+            this.localGames = entries.map(entry => ({
+                ...this.createGameEntry(entry.gameId || entry.name, entry.hash),
+                id: entry.gameId,
+                name: entry.name,
+                local: entry
+            }));
+            await this.updateLibraryUsage();
+        } catch (e) {
+            console.warn('本地游戏库不可用:', e);
+            this.localGames = [];
+        }
+    }
+
+    // 没有搜索词时先列收藏，再列最近游玩和上传的；有搜索词时本地匹配的排在前面
+    // 目录里同一个游戏只显示本地那一条
+    withLocalGames(games) {
+        const q = document.getElementById('game-search').value.toLowerCase().trim();
+        let local = this.filterGames(this.localGames);
+        if (q) {
+            local = local.filter(g => [g.name, ...(g.altNames || [])].some(n => n.toLowerCase().includes(q)));
+        } else {
+            local = [...local.filter(g => g.local.favorite), ...local.filter(g => !g.local.favorite && (g.local.lastPlayed || !g.id))];
+        }
+        const localIds = new Set(local.map(g => g.id).filter(Boolean));
+        return [...local, ...games.filter(g => !localIds.has(g.id))];
+    }
+
+    addLibraryButtons(item, entry) {
+        const favorite = document.createElement('button');
+        favorite.className = `game-fav${entry.favorite ? ' active' : ''}`;
+        favorite.textContent = entry.favorite ? '★' : '☆';
+        favorite.title = entry.favorite ? '取消收藏' : '收藏（空间不足时不会被清理）';
+        favorite.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await this.library.setFavorite(entry.hash, !entry.favorite);
+            await this.refreshLibrary();
+            this.searchGames(document.getElementById('game-search').value);
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'game-remove';
+        remove.textContent = '✕';
+        remove.title = '从本地游戏库删除';
+        remove.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await this.library.remove(entry.hash);
+            await this.refreshLibrary();
+            this.searchGames(document.getElementById('game-search').value);
+            this.ui.showToast(`已删除: ${entry.name}`);
+        });
+        item.append(favorite, remove);
+    }
+
+    async updateLibraryUsage() {
+        const el = document.getElementById('library-usage');
+        const { count, used, limit, browser } = await this.library.usage();
+        el.classList.toggle('hidden', count === 0);
+        let text = `💾 本地游戏库 ${count} 个 · ${formatBytes(used)} / ${formatBytes(limit)}`;
+        if (browser?.quota) text += ` · 浏览器存储 ${formatBytes(browser.usage)} / ${formatBytes(browser.quota)}`;
+        el.textContent = text;
+        el.title = '超出容量时自动清理最久没玩的游戏，收藏的游戏不会被清理';
+    }
+
+    // 保存到本地游戏库，失败不影响游戏
+    async saveToLibrary(data, name, gameId = null, played = false) {
+        try {
+            const entry = await this.library.add(data, { name, gameId });
+            if (played) await this.library.markPlayed(entry.hash);
+            await this.refreshLibrary();
+        } catch (e) {
+            console.warn('保存到本地游戏库失败:', e);
+        }
+    }
+
     selectGame(game, element) {
+        if (game.local && !game.id) {
+            this.selectLocalRom(game, element);
+            return;
+        }
         document.querySelectorAll('.game-result-item').forEach(el => el.classList.remove('selected'));
         element.classList.add('selected');
         this.selectedGame = game.id;
@@ -385,7 +823,78 @@ class GameApp {
         this.customRom = null;
         document.getElementById('upload-filename').textContent = '';
         this.showCartridge(game.name);
+        this.prefetchRom(game.id);
+    }
+
+    // 本地上传的游戏不在目录里，直接从游戏库读出
+    async selectLocalRom(game, element) {
+        const data = await this.library.load(game.local.hash).catch(() => null);
+        if (!data) {
+            this.ui.showToast('本地游戏库中找不到该 ROM');
+            await this.refreshLibrary();
+            this.searchGames(document.getElementById('game-search').value);
+            return;
+        }
+        this.useCustomRom(data, game.name, `本地游戏库 › ${game.name}`);
+        element.classList.add('selected');
+    }
+
+    // 选中游戏后先下载 ROM 并检查，开始前就能看到兼容性提示
+    async prefetchRom(gameId) {
+        const token = ++this.romCheckToken;
+        this.selectedRom = null;
+        this.romCheck = null;
+        this.renderRomCheck(null, '正在检查 ROM...');
         this.updateStartButton();
+
+        try {
+            const data = await this.loadRomFromServer(gameId);
+            if (token !== this.romCheckToken) return;
+            this.selectedRom = { id: gameId, data };
+            this.checkRom(data);
+        } catch (error) {
+            if (token !== this.romCheckToken) return;
+            // 下载失败不阻止开始，点击开始时会重试
+            this.renderRomCheck(null, `ROM 下载失败: ${error.message}`);
+            this.updateStartButton();
+        }
+    }
+
+    checkRom(romData) {
+        this.romCheck = inspectRom(romData);
+        if (this.romCheck.format === 'fds' && !this.emulator.fdsBios) {
+            this.romCheck.errors.push('需要 FDS BIOS：点击「载入 FDS BIOS」选择 disksys.rom');
+            this.romCheck.supported = false;
+        }
+        this.renderRomCheck(this.romCheck);
+        this.updateStartButton();
+        return this.romCheck;
+    }
+
+    renderRomCheck(info, message = '') {
+        const el = document.getElementById('rom-check');
+        el.innerHTML = '';
+        if (!info && !message) {
+            el.className = 'rom-check hidden';
+            return;
+        }
+
+        const level = !info ? '' : info.errors.length ? 'error' : info.warnings.length ? 'warn' : 'ok';
+        el.className = `rom-check ${level}`;
+        const summary = document.createElement('div');
+        summary.textContent = info ? describeRom(info) : message;
+        el.appendChild(summary);
+
+        if (info && (info.errors.length || info.warnings.length)) {
+            const list = document.createElement('ul');
+            for (const [cls, text] of [...info.errors.map(e => ['error', `✗ ${e}`]), ...info.warnings.map(w => ['warn', `⚠ ${w}`])]) {
+                const li = document.createElement('li');
+                li.className = cls;
+                li.textContent = text;
+                list.appendChild(li);
+            }
+            el.appendChild(list);
+        }
     }
 
     showCartridge(name) {
@@ -397,29 +906,187 @@ class GameApp {
 
     handleRomUpload(event) {
         const file = event.target.files[0];
-        if (!file) return;
-        if (!/\.(nes|unf|unif)$/i.test(file.name)) {
-            this.ui.showToast('请上传.nes/.unf格式文件');
+        event.target.value = '';
+        if (file) this.loadLocalFile(file);
+    }
+
+    // 拖放到卡带槽
+    initCartridgeDrop() {
+        const famicom = document.getElementById('famicom');
+        const slot = document.getElementById('cartridge-slot');
+        famicom.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            slot.classList.add('drag-over');
+        });
+        famicom.addEventListener('dragleave', (e) => {
+            if (!famicom.contains(e.relatedTarget)) slot.classList.remove('drag-over');
+        });
+        famicom.addEventListener('drop', (e) => {
+            e.preventDefault();
+            slot.classList.remove('drag-over');
+            const file = e.dataTransfer.files[0];
+            if (file) this.loadLocalFile(file);
+        });
+    }
+
+    // 本地 ROM 或压缩包，压缩包里有多个 ROM 时让用户选择
+    async loadLocalFile(file) {
+        if (!LOCAL_FILE_PATTERN.test(file.name)) {
+            this.ui.showToast('请上传.nes/.unf/.fds或.zip/.7z文件');
             return;
         }
+
+        let data = new Uint8Array(await file.arrayBuffer());
+        let romName = file.name;
+        let label = file.name;
+        if (isArchive(data)) {
+            let entries;
+            try {
+                if (is7z(data)) this.ui.showToast('正在解压...');
+                entries = await listArchiveRoms(data);
+            } catch (e) {
+                this.ui.showToast(`解压失败: ${e.message}`);
+                return;
+            }
+            if (entries.length === 0) {
+                this.ui.showToast('压缩包中没有ROM');
+                return;
+            }
+            const entry = entries.length === 1 ? entries[0] : await this.chooseArchiveEntry(file.name, entries);
+            if (!entry) return;
+            data = await entry.load();
+            romName = entry.name;
+            label = `${file.name} › ${entry.path}`;
+        }
+
+        const name = cleanRomName(romName.replace(/\.(nes|unf|unif|fds)$/i, '')) || '未命名';
+        this.useCustomRom(data, name, label);
+        this.saveToLibrary(data, name);
+    }
+
+    useCustomRom(data, name, label) {
+        this.customRom = data;
+        this.selectedGame = null;
+        this.selectedRom = null;
+        this.romCheckToken++;
+        this.selectedGameName = name;
+        document.getElementById('upload-filename').textContent = `✓ ${label}`;
+        document.querySelectorAll('.game-result-item').forEach(el => el.classList.remove('selected'));
+        this.showCartridge(this.selectedGameName);
+        this.checkRom(this.customRom);
+    }
+
+    // 显示压缩包内的 ROM 列表，返回选中的项，取消返回 null
+    chooseArchiveEntry(archiveName, entries) {
+        const chooser = document.getElementById('archive-chooser');
+        const list = document.getElementById('archive-entries');
+        document.getElementById('archive-name').textContent = archiveName;
+        list.innerHTML = '';
+        chooser.classList.remove('hidden');
+
+        return new Promise((resolve) => {
+            const close = (entry) => {
+                chooser.classList.add('hidden');
+                list.innerHTML = '';
+                document.getElementById('archive-cancel-btn').onclick = null;
+                resolve(entry);
+            };
+            for (const entry of entries) {
+                const item = document.createElement('div');
+                item.className = 'game-result-item';
+                const icon = document.createElement('span');
+                icon.className = 'game-icon';
+                icon.textContent = entry.ext === '.fds' ? '💿' : '🎮';
+                const name = document.createElement('span');
+                name.className = 'game-name';
+                name.textContent = entry.path;
+                item.append(icon, name);
+                item.addEventListener('click', () => close(entry));
+                list.appendChild(item);
+            }
+            document.getElementById('archive-cancel-btn').onclick = () => close(null);
+        });
+    }
+
+    // ========== FDS BIOS ==========
+    async loadFdsBios() {
+        try {
+            const bios = await this.fdsBios.load();
+            if (bios && checkFdsBios(bios).ok) {
+                this.emulator.setFdsBios(bios);
+                this.updateBiosLabel();
+            }
+        } catch (e) {
+            console.warn('读取 FDS BIOS 失败:', e);
+        }
+    }
+
+    // BIOS 保存在本地，只需要载入一次
+    handleBiosUpload(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
         const reader = new FileReader();
-        reader.onload = (e) => {
-            this.customRom = new Uint8Array(e.target.result);
-            this.selectedGame = null;
-            this.selectedGameName = file.name.replace(/\.(nes|unf|unif)$/i, '');
-            document.getElementById('upload-filename').textContent = `✓ ${file.name}`;
-            document.querySelectorAll('.game-result-item').forEach(el => el.classList.remove('selected'));
-            this.showCartridge(this.selectedGameName);
-            this.updateStartButton();
+        reader.onload = async (e) => {
+            const bios = new Uint8Array(e.target.result);
+            const check = checkFdsBios(bios);
+            if (!check.ok) {
+                this.ui.showToast(check.error);
+                return;
+            }
+            this.emulator.setFdsBios(bios);
+            this.updateBiosLabel();
+            try {
+                await this.fdsBios.save(bios);
+            } catch (err) {
+                console.warn('保存 FDS BIOS 失败:', err);
+            }
+            this.ui.showToast(check.official ? 'FDS BIOS 已载入' : 'FDS BIOS 已载入（非官方版本，部分游戏可能无法运行）', 3000);
+
+            // 重新检查当前选中的磁碟游戏
+            const romData = this.customRom || (this.selectedRom?.id === this.selectedGame ? this.selectedRom.data : null);
+            if (romData && this.romCheck?.format === 'fds') this.checkRom(romData);
         };
         reader.readAsArrayBuffer(file);
     }
 
+    updateBiosLabel() {
+        document.getElementById('bios-upload-label').textContent = this.emulator.fdsBios ? '✓ FDS BIOS' : '💽 载入 FDS BIOS';
+    }
+
+    // ========== 磁碟换面 ==========
+    updateDiskControls() {
+        const select = document.getElementById('disk-side');
+        const count = this.emulator.diskSideCount;
+        select.classList.toggle('hidden', count === 0);
+        select.innerHTML = '';
+        for (let i = 0; i < count; i++) {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `💿 ${sideName(i, count)}`;
+            select.appendChild(option);
+        }
+        select.value = Math.max(this.emulator.diskSide, 0);
+        select.disabled = this.mode === 'client';
+    }
+
+    switchDiskSide(index) {
+        if (this.mode === 'client' || !this.emulator.insertDiskSide(index)) return;
+        this.netplay?.resync();
+        this.ui.showToast(`正在换到${sideName(index, this.emulator.diskSideCount)}...`);
+    }
+
     updateStartButton() {
         const btn = document.getElementById('start-game-btn');
-        const canStart = (this.mode === 'single' || this.mode === 'host') && (this.selectedGame || this.customRom);
+        const hasGame = (this.mode === 'single' || this.mode === 'host') && (this.selectedGame || this.customRom);
+        const unsupported = hasGame && this.romCheck && !this.romCheck.supported;
+        const canStart = hasGame && !unsupported;
         btn.disabled = !canStart;
-        btn.textContent = this.mode === 'client' ? '等待房主开始...' : (canStart ? '▶ 开始游戏' : '请选择游戏');
+        btn.textContent = this.mode === 'client' ? '等待房主开始...'
+            : unsupported ? '此 ROM 无法运行'
+            : (canStart ? '▶ 开始游戏' : '请选择游戏');
     }
 
     // ========== 游戏控制 ==========
@@ -429,6 +1096,8 @@ class GameApp {
         let romData;
         if (this.customRom) {
             romData = this.customRom;
+        } else if (this.selectedRom?.id === this.selectedGame) {
+            romData = this.selectedRom.data;
         } else if (this.selectedGame) {
             try {
                 this.ui.showToast('加载游戏中...');
@@ -444,30 +1113,116 @@ class GameApp {
             return;
         }
 
-        document.getElementById('power-btn').classList.add('on');
+        const romInfo = this.romCheck && (this.customRom || this.selectedRom) ? this.romCheck : this.checkRom(romData);
+        if (!romInfo.supported) {
+            this.ui.showToast(romInfo.errors[0]);
+            return;
+        }
+
+        if (!this.checkPlayerCount(romData)) return;
 
+        const netMode = this.mode === 'host' ? this.netMode : 'stream';
+
+        // 客户端从房主接收 ROM（输入同步需要，画面串流时也存一份以便之后接手）
         if (this.mode === 'host') {
-            this.roomManager.send({ type: 'game-start', gameName: this.selectedGameName });
+            this.romSender ??= new RomSender(this.roomManager);
+            this.romOffer = this.romSender.share(romData, this.selectedGameName);
+        }
+
+        document.getElementById('power-btn').classList.add('on');
+
+        if (this.mode === 'host' && netMode === 'stream') {
+            this.roomManager.send({ type: 'game-start', gameName: this.selectedGameName, ...this.romOffer });
         }
 
-        this.startGameAsHost(romData);
+        await this.startGameAsHost(romData, netMode);
+        this.saveToLibrary(romData, this.selectedGameName, this.selectedGame, true);
     }
 
-    startGameAsHost(romData) {
+    // 房间人数超过游戏支持的人数时先提示一次，再次点击开始才继续
+    // 只依据元数据里记录的人数，没有记录的游戏不提示
+    checkPlayerCount(romData) {
+        if (this.mode !== 'host') return true;
+        const hash = this.emulator.hashRom(romData);
+        const record = this.metadata.resolve(this.selectedGameName, hash);
+        const seated = Object.values(this.players).filter(p => p.connected).length;
+        if (!record.verified || seated <= record.players) return true;
+
+        const key = `${hash}:${seated}`;
+        if (this.playerCountWarning === key) return true;
+        this.playerCountWarning = key;
+        this.ui.showToast(`「${this.selectedGameName}」只支持 ${record.players} 人，房间里有 ${seated} 人，再次点击开始继续`, 4000);
+        return false;
+    }
+
+    async startGameAsHost(romData, netMode = 'stream') {
         document.getElementById('current-game-title').textContent = this.selectedGameName;
         this.ui.showGameScreen();
 
         this.emulator.loadRom(romData);
+        this.gameRom = romData;
+        this.updateDiskControls();
+        // 开机状态发给客户端之前载入电池存档，联机时以房主的存档为准
+        await this.restoreSram();
 
-        if (this.mode === 'host') {
-            this.emulator.onFrameReady = (frameBuffer) => {
-                const compressed = this.emulator.compressFrame(frameBuffer);
-                this.roomManager.sendFrame(compressed);
-            };
+        if (this.mode === 'host' && netMode === 'stream') {
+            this.startStreaming();
+        }
+
+        if (this.mode === 'host' && netMode !== 'stream') {
+            // 所有人从同一个开机状态出发
+            const players = INPUT_PLAYERS.filter(p => this.players[p]?.connected);
+            const state = this.emulator.saveState();
+            this.roomManager.send({
+                type: 'game-start',
+                gameName: this.selectedGameName,
+                gameId: this.selectedGame,
+                netMode,
+                inputDelay: this.inputDelay,
+                players,
+                state,
+                ...this.romOffer
+            });
+            this.startNetplay(netMode, players, this.inputDelay, true);
         }
 
         this.emulator.start();
+        this.refreshSaveSlots();
+        this.startHostInput();
+
+        this.chatManager.init();
+        this.initPlayerInputPanels();
+
+        if (this.inputManager.isMobileDevice()) {
+            this.inputManager.setupVirtualGamepad();
+            this.inputManager.showVirtualGamepad();
+        }
 
+        window.app = this;
+    }
+
+    // 画面串流：每帧压缩后发给客户端，并定期发送状态快照
+    startStreaming() {
+        this.emulator.onFrameReady = (frameBuffer, audioSamples) => {
+            const compressed = this.emulator.compressFrame(frameBuffer);
+            const audio = audioSamples.length > 0 ? encodeAudioChunk(audioSamples) : null;
+            this.roomManager.sendFrame(compressed, audio);
+        };
+        this.stopSnapshotTimer();
+        this.snapshotTimer = setInterval(() => {
+            if (!this.roomManager.hasActiveConnections()) return;
+            const state = this.emulator.saveState();
+            if (state) this.roomManager.send({ type: 'state-snapshot', state });
+        }, SNAPSHOT_INTERVAL);
+    }
+
+    stopSnapshotTimer() {
+        clearInterval(this.snapshotTimer);
+        this.snapshotTimer = null;
+    }
+
+    // 本机运行模拟器时的输入：按键直接进模拟器，同时广播给其他玩家显示
+    startHostInput() {
         this.inputManager.setLocalPlayer(this.myPlayerNum);
         this.inputManager.start(
             () => {},
@@ -479,16 +1234,89 @@ class GameApp {
                 }
             }
         );
+    }
 
-        this.chatManager.init();
-        this.initPlayerInputPanels();
+    // 输入同步/回滚模式：客户端加载同一ROM和初始状态，自己运行模拟器
+    async startNetplayAsClient(data) {
+        let romData;
+        try {
+            this.ui.showToast('加载游戏中...');
+            romData = await this.obtainHostRom(data);
+        } catch (error) {
+            if (this.pendingGameStart === data) this.ui.showToast(`加载失败: ${error.message}`);
+            return;
+        }
+        // 接收期间房主已重新开始或已离开房间
+        if (this.mode !== 'client' || this.pendingGameStart !== data) return;
 
-        if (this.inputManager.isMobileDevice()) {
-            this.inputManager.setupVirtualGamepad();
-            this.inputManager.showVirtualGamepad();
+        if (isFds(romData) && !this.emulator.fdsBios) {
+            this.ui.showToast('此游戏需要 FDS BIOS，请先在房间面板载入');
+            return;
         }
 
-        window.app = this;
+        this.emulator.setHost(true);
+        if (!this.emulator.loadRom(romData) || !this.emulator.loadState(data.state)) {
+            this.emulator.setHost(false);
+            this.ui.showToast('同步游戏状态失败');
+            return;
+        }
+        this.gameRom = romData;
+        this.updateDiskControls();
+
+        // 中途加入时从房主当前的帧和同步轮次开始
+        this.startNetplay(data.netMode, data.players, data.inputDelay, false, data.frame || 0, data.epoch || 0);
+        if (this.emulator.isRunning) {
+            // 重连时已在游戏画面（可能原先是画面串流），只重启模拟器循环
+            this.emulator.stop();
+            this.emulator.start();
+        } else {
+            this.startGameAsClient();
+        }
+    }
+
+    startNetplay(netMode, players, inputDelay, isHost, frame = 0, epoch = 0) {
+        this.stopNetplay();
+        const Session = netMode === 'rollback' ? RollbackSession : LockstepSession;
+        this.netplay = new Session({
+            emulator: this.emulator,
+            roomManager: this.roomManager,
+            localPlayer: this.myPlayerNum,
+            players,
+            inputDelay,
+            isHost
+        });
+        this.netplay.epoch = epoch;
+        this.netplay.start(frame);
+        this.emulator.netplay = this.netplay;
+
+        document.getElementById('netplay-stats').classList.remove('hidden');
+        this.netplayStatsTimer = setInterval(() => this.updateNetplayStats(), 1000);
+    }
+
+    stopNetplay() {
+        if (this.netplayStatsTimer) {
+            clearInterval(this.netplayStatsTimer);
+            this.netplayStatsTimer = null;
+        }
+        document.getElementById('netplay-stats').classList.add('hidden');
+
+        if (this.netplay) {
+            this.netplay.destroy();
+            this.netplay = null;
+        }
+        this.emulator.netplay = null;
+    }
+
+    updateNetplayStats() {
+        if (!this.netplay) return;
+        const s = this.netplay.getStats();
+        let text = `帧 ${s.frame} | 延迟 ${s.inputDelay}帧 | 等待 ${s.stalls}`;
+        if (this.netplay.mode === 'rollback') {
+            text += ` | 回滚 ${s.rollbacks}次/${s.rolledBackFrames}帧 (最长${s.maxRollback})`;
+            text += ` | 预测失误 ${s.predictionMisses}/${s.predictions}`;
+        }
+        if (s.desyncs > 0) text += ` | 不同步 ${s.desyncs}`;
+        document.getElementById('netplay-stats').textContent = text;
     }
 
     startGameAsClient() {
@@ -505,6 +1333,7 @@ class GameApp {
 
         document.getElementById('pause-btn').disabled = true;
         document.getElementById('reset-btn').disabled = true;
+        this.setSaveControlsEnabled(false);
 
         this.chatManager.init();
         this.initPlayerInputPanels();
@@ -524,13 +1353,185 @@ class GameApp {
         if (this.mode === 'host') this.roomManager.send({ type: 'pause', paused });
     }
 
+    // ========== 音量 ==========
+    updateAudioControls() {
+        const audio = this.emulator.audio;
+        document.getElementById('volume-slider').value = Math.round(audio.volume * 100);
+        document.getElementById('mute-btn').textContent = audio.muted || audio.volume === 0 ? '🔇' : '🔊';
+    }
+
+    toggleMute() {
+        this.emulator.audio.setMuted(!this.emulator.audio.muted);
+        this.updateAudioControls();
+    }
+
+    setVolume(volume) {
+        const audio = this.emulator.audio;
+        audio.setVolume(volume);
+        if (audio.muted && volume > 0) audio.setMuted(false);
+        this.updateAudioControls();
+    }
+
     resetGame() {
         if (this.mode === 'client') return;
         this.emulator.reset();
+        this.netplay?.resync();
         this.ui.showToast('游戏已重置');
         if (this.mode === 'host') this.roomManager.send({ type: 'reset' });
     }
 
+    // ========== 即时存档 ==========
+    getSelectedSlot() {
+        return parseInt(document.getElementById('save-slot').value) || 1;
+    }
+
+    setSaveControlsEnabled(enabled) {
+        for (const id of ['save-slot', 'save-state-btn', 'load-state-btn']) {
+            document.getElementById(id).disabled = !enabled;
+        }
+    }
+
+    async refreshSaveSlots() {
+        const select = document.getElementById('save-slot');
+        let saved = {};
+        if (this.emulator.romHash) {
+            try {
+                saved = await this.saveStates.list(this.emulator.romHash);
+            } catch (e) {
+                console.warn('读取存档列表失败:', e);
+            }
+        }
+        for (let slot = 1; slot <= SAVE_SLOT_COUNT; slot++) {
+            const option = select.querySelector(`option[value="${slot}"]`);
+            if (!option) continue;
+            const time = saved[slot] ? new Date(saved[slot]).toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' }) : '';
+            option.textContent = time ? `槽${slot} ${time}` : `槽${slot}`;
+        }
+    }
+
+    async quickSave() {
+        if (this.mode === 'client') return;
+        const slot = this.getSelectedSlot();
+        const data = this.emulator.saveState();
+        if (!data) {
+            this.ui.showToast('存档失败');
+            return;
+        }
+        try {
+            await this.saveStates.save(this.emulator.romHash, slot, data, this.selectedGameName);
+            this.ui.showToast(`已存档到槽${slot}`);
+            this.refreshSaveSlots();
+        } catch (e) {
+            console.error('写入存档失败:', e);
+            this.ui.showToast('存档失败: ' + e.message);
+        }
+    }
+
+    async quickLoad() {
+        if (this.mode === 'client') return;
+        const slot = this.getSelectedSlot();
+        let data;
+        try {
+            data = await this.saveStates.load(this.emulator.romHash, slot);
+        } catch (e) {
+            console.error('读取存档失败:', e);
+        }
+        if (!data) {
+            this.ui.showToast(`槽${slot}没有存档`);
+            return;
+        }
+        if (this.emulator.loadState(data)) {
+            this.netplay?.resync();
+            this.updateDiskControls();
+            this.ui.showToast(`已读取槽${slot}`);
+        } else {
+            this.ui.showToast('读档失败，存档可能已损坏或不属于此游戏');
+        }
+    }
+
+    // ========== 电池存档 ==========
+    // 只有运行模拟器的一端保存，客户端的卡带 RAM 来自房主
+    get ownsSram() {
+        return this.mode !== 'client' && this.emulator.hasBattery;
+    }
+
+    async restoreSram() {
+        this.stopSramTimer();
+        this.updateSramControls();
+        if (!this.ownsSram) return;
+        try {
+            const data = await this.sram.load(this.emulator.romHash);
+            if (data) {
+                this.emulator.writeSram(data);
+                console.log('电池存档已载入');
+            }
+        } catch (e) {
+            console.warn('读取电池存档失败:', e);
+        }
+        this.startSramTimer();
+    }
+
+    startSramTimer() {
+        this.stopSramTimer();
+        this.sramTimer = setInterval(() => this.flushSram(), SRAM_FLUSH_INTERVAL);
+    }
+
+    stopSramTimer() {
+        clearInterval(this.sramTimer);
+        this.sramTimer = null;
+    }
+
+    // 卡带 RAM 有变化时写回本地（同步读出内存，写入在后台完成）
+    async flushSram() {
+        if (!this.sramTimer || !this.emulator.sramDirty || !this.ownsSram) return;
+        const data = this.emulator.readSram();
+        const romHash = this.emulator.romHash;
+        this.emulator.sramDirty = false;
+        try {
+            await this.sram.save(romHash, data, this.selectedGameName);
+        } catch (e) {
+            this.emulator.sramDirty = true;
+            console.warn('写入电池存档失败:', e);
+        }
+    }
+
+    updateSramControls() {
+        const visible = this.ownsSram;
+        document.getElementById('sav-export-btn').classList.toggle('hidden', !visible);
+        document.getElementById('sav-import-label').classList.toggle('hidden', !visible);
+    }
+
+    exportSav() {
+        const data = this.emulator.readSram();
+        if (!data) return;
+        const url = URL.createObjectURL(new Blob([data], { type: 'application/octet-stream' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.selectedGameName || this.emulator.romHash}.sav`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // 导入后重新开机，游戏才会读到新存档
+    importSav(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file || !this.ownsSram) return;
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            const { data, error } = parseSav(new Uint8Array(e.target.result));
+            if (error) {
+                this.ui.showToast(error);
+                return;
+            }
+            if (!this.emulator.reloadWithSram(data)) return;
+            this.netplay?.resync();
+            await this.flushSram();
+            this.ui.showToast('存档已导入，游戏已重新开机');
+        };
+        reader.readAsArrayBuffer(file);
+    }
+
     toggleFullscreen() {
         const screen = document.querySelector('.screen-wrapper');
         if (!document.fullscreenElement) {
@@ -541,22 +1542,47 @@ class GameApp {
     }
 
     exitGame() {
+        this.flushSram();
+        this.stopSramTimer();
+        this.romSender?.stop();
+        this.cancelRomTransfer();
+        this.stopSnapshotTimer();
+        this.gameRom = null;
+        this.lastSnapshot = null;
         this.emulator.stop();
         this.emulator.onFrameReady = null;
+        this.stopNetplay();
+        if (this.mode === 'client') this.emulator.setHost(false);
         this.inputManager.stop();
         this.inputManager.hideVirtualGamepad();
         this.chatManager?.destroy();
+        document.getElementById('disk-side').classList.add('hidden');
 
         document.getElementById('power-btn').classList.remove('on');
         document.getElementById('pause-btn').textContent = '⏸ 暂停';
         document.getElementById('pause-btn').disabled = false;
         document.getElementById('reset-btn').disabled = false;
+        this.setSaveControlsEnabled(true);
 
         this.ui.hideGameScreen();
         this.ui.showRoomPanel();
     }
 
     async loadRomFromServer(gameId) {
+        // 先查本地游戏库
+        try {
+            const entry = await this.library.findByGameId(gameId);
+            const data = entry && await this.library.load(entry.hash);
+            if (data) return data;
+        } catch {}
+
+        if (!navigator.onLine) throw new Error('离线状态下只能玩本地游戏库中的游戏');
+        const data = await this.downloadRom(gameId);
+        this.saveToLibrary(data, gameId, gameId);
+        return data;
+    }
+
+    async downloadRom(gameId) {
         // 尝试多种路径
         const urls = [
             `/api/rom/${encodeURIComponent(gameId)}`,  // API 路由
@@ -585,7 +1611,7 @@ class GameApp {
     async extractNesFromZip(zipData) {
         const zip = await window.JSZip.loadAsync(zipData);
         const files = Object.keys(zip.files).filter(f => !zip.files[f].dir);
-        for (const ext of ['.nes', '.unf', '.unif', '.fds']) {
+        for (const ext of ROM_EXTENSIONS) {
             for (const f of files) {
                 if (f.toLowerCase().endsWith(ext)) return await zip.files[f].async('uint8array');
             }
@@ -0,0 +1,89 @@
+// 游戏元数据 - 按 ROM 哈希（与 emulator.romHash 相同的 CRC32）记录人数、类型、Mapper、地区、别名和封面
+// 数据来自 game-metadata.json：scripts/upload-roms.mjs 扫描 ROM 目录时按哈希生成条目，人数、类型等再人工补充。
+// 没有记录的游戏人数和类型未知（不按名称猜测），只从名称里的版本标记读出地区、从括号里读出别名
+export const METADATA_VERSION = 1;
+
+export const GENRES = ['射击', '动作', '平台', '格斗', '体育', '竞速', '益智', '角色扮演', '策略', '棋牌', '合集', '其他'];
+
+export const REGIONS = { JP: '日版', US: '美版', EU: '欧版', CN: '中文' };
+
+const GENRE_ICONS = {
+    '射击': '🔫', '动作': '🥷', '平台': '🍄', '格斗': '👊', '体育': '⚽', '竞速': '🏎️',
+    '益智': '🧩', '角色扮演': '🗡️', '策略': '🏯', '棋牌': '🀄', '合集': '📦', '其他': '🎮'
+};
+
+const REGION_TAGS = [['美版', 'US'], ['日版', 'JP'], ['欧版', 'EU'], ['中文', 'CN'], ['(U)', 'US'], ['(J)', 'JP'], ['(E)', 'EU']];
+
+export function genreIcon(genre) {
+    return GENRE_ICONS[genre] || GENRE_ICONS['其他'];
+}
+
+// 名称里能确定的信息：地区标记，括号里的其它名称作为别名
+export function metadataFromName(name) {
+    const region = REGION_TAGS.find(([tag]) => name.includes(tag))?.[1] || null;
+    const altNames = [];
+    for (const match of name.matchAll(/[(（]([^()（）]+)[)）]/g)) {
+        for (const part of match[1].split(/[，,、]/)) {
+            const alt = part.trim();
+            // "美版"、"磁碟机版" 之类的版本说明不算别名
+            if (alt && !alt.endsWith('版') && !REGION_TAGS.some(([tag]) => alt === tag)) altNames.push(alt);
+        }
+    }
+    return {
+        players: null,
+        genre: null,
+        mapper: null,
+        region,
+        altNames,
+        boxArt: null,
+        verified: false
+    };
+}
+
+export class GameMetadataStore {
+    constructor() {
+        this.records = new Map(); // ROM 哈希 -> 元数据
+    }
+
+    async load(url = '/game-metadata.json') {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            if (data.version !== METADATA_VERSION) throw new Error('版本不匹配');
+            this.records = new Map(Object.entries(data.games || {}).map(([hash, record]) => [hash.toUpperCase(), record]));
+            console.log(`游戏元数据已加载: ${this.records.size} 条`);
+            return true;
+        } catch (e) {
+            console.warn('游戏元数据不可用:', e.message);
+            return false;
+        }
+    }
+
+    get size() {
+        return this.records.size;
+    }
+
+    get(hash) {
+        return hash ? this.records.get(hash.toUpperCase()) || null : null;
+    }
+
+    // 元数据优先，地区和别名缺省时取自名称；没有记录时人数、类型为 null，verified 表示人数来自元数据
+    resolve(name, hash = null) {
+        const fromName = metadataFromName(name);
+        const record = this.get(hash);
+        if (!record) return { ...fromName, icon: genreIcon(null) };
+
+        const genre = record.genre || null;
+        return {
+            players: record.players || null,
+            genre,
+            mapper: record.mapper ?? null,
+            region: record.region || fromName.region,
+            altNames: record.altNames || fromName.altNames,
+            boxArt: record.boxArt || null,
+            verified: !!record.players,
+            icon: genreIcon(genre)
+        };
+    }
+}
@@ -0,0 +1,513 @@
+// 联机同步 - 每端运行自己的模拟器，只交换每帧按键
+// 帧锁定（lockstep）：收齐所有人的输入才推进
+// 回滚（rollback）：预测远端输入先行推进，预测错误时读取快照重新模拟
+import { crc32 } from './hash.js';
+import { captureMachineState, restoreMachineStateInPlace, copyState } from './savestate.js';
+
+export const NET_MODES = ['stream', 'lockstep', 'rollback'];
+export const INPUT_PLAYERS = [1, 2]; // jsnes 只模拟两个手柄，P3/P4 为观战
+export const DEFAULT_INPUT_DELAY = 2;
+
+const INPUT_HISTORY = 8;    // 每条输入消息附带最近几帧的按键，抵御丢包
+const HASH_INTERVAL = 120;  // 每隔多少帧校验一次内存，检测不同步
+const RESYNC_COOLDOWN = 2000;
+const MAX_ROLLBACK = 8;     // 最多领先已确认输入的帧数
+
+// 把 8 位按键掩码写入 jsnes 手柄（位序与 NES_BUTTONS 一致）
+export function applyInputBits(nes, player, bits) {
+    const controller = nes.controllers[player];
+    if (!controller) return;
+    for (let b = 0; b < 8; b++) {
+        controller.state[b] = (bits >> b) & 1 ? 0x41 : 0x40;
+    }
+}
+
+// 不同步校验值：CPU 内部 RAM、卡带 RAM（$6000-$7FFF）、CPU 寄存器、PPU 名称表和调色板、精灵 RAM
+// 画面缓冲由这些状态决定，APU 不影响游戏逻辑，都不参与
+export function machineChecksum(nes) {
+    const { cpu, ppu } = nes;
+    let crc = crc32(cpu.mem.slice(0, 0x800));
+    crc = crc32(cpu.mem.slice(0x6000, 0x8000), crc);
+    crc = crc32([cpu.REG_ACC, cpu.REG_X, cpu.REG_Y, cpu.REG_SP, cpu.REG_PC & 0xFF, cpu.REG_PC >> 8], crc);
+    crc = crc32(ppu.vramMem.slice(0x2000, 0x4000), crc);
+    return crc32(ppu.spriteMem, crc);
+}
+
+export class LockstepSession {
+    constructor({ emulator, roomManager, localPlayer, players, inputDelay = DEFAULT_INPUT_DELAY, isHost = false }) {
+        this.emulator = emulator;
+        this.roomManager = roomManager;
+        this.localPlayer = localPlayer;
+        this.players = players.filter(p => INPUT_PLAYERS.includes(p));
+        this.inputDelay = inputDelay;
+        this.isHost = isHost;
+
+        this.epoch = 0;
+        this.frame = 0;
+        this.inputs = new Map();      // frame -> {player: bits}
+        this.lastInputFrame = {};     // player -> 已收到的最新输入帧
+        this.dropFrames = {};         // player -> 从该帧起不再等待其输入
+        this.localBits = 0;
+        this.sampledUntil = -1;
+        this.localHistory = [];
+
+        this.localHashes = new Map();
+        this.remoteHashes = new Map();
+        this.lastResyncTime = 0;
+
+        this.stats = { stalls: 0, desyncs: 0, resyncs: 0 };
+
+        this.handlers = {
+            'lockstep-input': (data) => this.onRemoteInput(data),
+            'lockstep-state': (data) => this.onRemoteState(data),
+            'lockstep-hash': (data) => this.onRemoteHash(data),
+            'lockstep-drop': (data) => this.onRemoteDrop(data),
+            'lockstep-resync-request': () => this.onResyncRequest()
+        };
+        for (const [event, handler] of Object.entries(this.handlers)) {
+            this.roomManager.on(event, handler);
+        }
+    }
+
+    get mode() {
+        return 'lockstep';
+    }
+
+    get isInputPlayer() {
+        return this.players.includes(this.localPlayer);
+    }
+
+    // 仍在等待其输入的玩家（未被 dropPlayer 移除）
+    get activePlayers() {
+        return this.players.filter(p => this.dropFrames[p] === undefined);
+    }
+
+    start(frame = 0) {
+        this.restart(frame);
+        console.log(`联机同步会话启动 (${this.mode}): 玩家 [${this.players.join(', ')}], 输入延迟 ${this.inputDelay} 帧`);
+    }
+
+    restart(frame) {
+        this.frame = frame;
+        this.inputs.clear();
+        this.localHashes.clear();
+        this.remoteHashes.clear();
+        this.localHistory = [];
+
+        // 前 inputDelay 帧没有任何人的输入，统一填 0
+        for (let f = frame; f < frame + this.inputDelay; f++) {
+            const frameInputs = {};
+            for (const p of this.players) frameInputs[p] = 0;
+            this.inputs.set(f, frameInputs);
+        }
+        for (const p of this.players) {
+            this.lastInputFrame[p] = frame + this.inputDelay - 1;
+            if (this.dropFrames[p] !== undefined) this.dropFrames[p] = frame;
+        }
+        this.sampledUntil = frame + this.inputDelay - 1;
+    }
+
+    destroy() {
+        for (const [event, handler] of Object.entries(this.handlers)) {
+            this.roomManager.off(event, handler);
+        }
+        this.inputs.clear();
+    }
+
+    // ========== 本地输入 ==========
+    setLocalButton(button, pressed) {
+        if (pressed) {
+            this.localBits |= (1 << button);
+        } else {
+            this.localBits &= ~(1 << button);
+        }
+    }
+
+    setInput(frame, player, bits) {
+        let frameInputs = this.inputs.get(frame);
+        if (!frameInputs) {
+            frameInputs = {};
+            this.inputs.set(frame, frameInputs);
+        }
+        if (frameInputs[player] === undefined) {
+            frameInputs[player] = bits;
+        }
+    }
+
+    // 采样本地按键到 frame + inputDelay，并发送给其他玩家
+    sampleLocalInput() {
+        if (!this.isInputPlayer) return;
+
+        const target = this.frame + this.inputDelay;
+        if (this.sampledUntil >= target) return;
+
+        while (this.sampledUntil < target) {
+            this.sampledUntil++;
+            this.setInput(this.sampledUntil, this.localPlayer, this.localBits);
+            this.localHistory.push(this.localBits);
+        }
+        if (this.localHistory.length > INPUT_HISTORY) {
+            this.localHistory = this.localHistory.slice(-INPUT_HISTORY);
+        }
+        this.lastInputFrame[this.localPlayer] = this.sampledUntil;
+
+        this.roomManager.send({
+            type: 'lockstep-input',
+            epoch: this.epoch,
+            player: this.localPlayer,
+            frame: this.sampledUntil,
+            bits: this.localHistory
+        });
+    }
+
+    onRemoteInput(data) {
+        if (data.epoch !== this.epoch || data.player === this.localPlayer) return;
+        if (!this.players.includes(data.player)) return;
+
+        const first = data.frame - data.bits.length + 1;
+        for (let i = 0; i < data.bits.length; i++) {
+            const f = first + i;
+            if (f >= this.frame) this.setInput(f, data.player, data.bits[i]);
+        }
+        if (data.frame > (this.lastInputFrame[data.player] ?? -1)) {
+            this.lastInputFrame[data.player] = data.frame;
+        }
+    }
+
+    isRequired(player, frame) {
+        const dropFrame = this.dropFrames[player];
+        return dropFrame === undefined || frame < dropFrame;
+    }
+
+    hasInputsFor(frame) {
+        const frameInputs = this.inputs.get(frame);
+        return this.players.every(p => !this.isRequired(p, frame) || frameInputs?.[p] !== undefined);
+    }
+
+    // ========== 推进一帧（由模拟器主循环调用） ==========
+    advance() {
+        this.sampleLocalInput();
+
+        if (!this.hasInputsFor(this.frame)) {
+            this.stats.stalls++;
+            return false;
+        }
+
+        const nes = this.emulator.nes;
+        const frameInputs = this.inputs.get(this.frame) || {};
+        for (const p of INPUT_PLAYERS) {
+            applyInputBits(nes, p, frameInputs[p] || 0);
+        }
+        nes.frame();
+
+        this.inputs.delete(this.frame);
+        this.frame++;
+
+        if (this.frame % HASH_INTERVAL === 0) {
+            this.recordHash(this.frame, machineChecksum(nes));
+        }
+        return true;
+    }
+
+    // ========== 不同步检测 ==========
+    recordHash(frame, hash) {
+        if (this.isHost) {
+            this.roomManager.send({ type: 'lockstep-hash', epoch: this.epoch, frame, hash });
+            return;
+        }
+        this.localHashes.set(frame, hash);
+        this.compareHash(frame);
+    }
+
+    onRemoteHash(data) {
+        if (this.isHost || data.epoch !== this.epoch) return;
+        this.remoteHashes.set(data.frame, data.hash);
+        this.compareHash(data.frame);
+    }
+
+    compareHash(frame) {
+        const local = this.localHashes.get(frame);
+        const remote = this.remoteHashes.get(frame);
+        if (local === undefined || remote === undefined) return;
+
+        this.localHashes.delete(frame);
+        this.remoteHashes.delete(frame);
+        if (local !== remote) {
+            this.stats.desyncs++;
+            console.warn(`⚠️ 第 ${frame} 帧状态不一致，请求房主重新同步`);
+            this.roomManager.send({ type: 'lockstep-resync-request', epoch: this.epoch, frame });
+        }
+    }
+
+    // ========== 状态重同步（开局、读档、重置、不同步时由房主发起） ==========
+    resync() {
+        if (!this.isHost) return;
+
+        const state = this.emulator.saveState();
+        if (!state) return;
+
+        this.epoch++;
+        this.stats.resyncs++;
+        this.lastResyncTime = Date.now();
+        this.roomManager.send({
+            type: 'lockstep-state',
+            epoch: this.epoch,
+            frame: this.frame,
+            state,
+            players: this.activePlayers
+        });
+        this.restart(this.frame);
+    }
+
+    onRemoteState(data) {
+        if (this.isHost) return;
+
+        if (!this.emulator.loadState(data.state)) {
+            console.error('帧锁定: 同步状态加载失败');
+            return;
+        }
+        this.epoch = data.epoch;
+        this.stats.resyncs++;
+        if (data.players) this.setActivePlayers(data.players);
+        this.restart(data.frame);
+        console.log(`帧锁定: 已同步到第 ${data.frame} 帧`);
+    }
+
+    onResyncRequest() {
+        if (!this.isHost || Date.now() - this.lastResyncTime < RESYNC_COOLDOWN) return;
+        this.resync();
+    }
+
+    // ========== 玩家加入 ==========
+    // 中途加入或重连的玩家：重新等待其输入，所有端从新的同步点出发
+    addPlayer(player) {
+        if (!this.isHost) return;
+        if (INPUT_PLAYERS.includes(player)) {
+            if (!this.players.includes(player)) this.players = [...this.players, player].sort();
+            delete this.dropFrames[player];
+        }
+        this.resync();
+    }
+
+    // 按房主的玩家列表更新：列表外的玩家视为已离开，restart 时从同步点起不再等待
+    setActivePlayers(active) {
+        for (const p of active) {
+            if (INPUT_PLAYERS.includes(p) && !this.players.includes(p)) this.players = [...this.players, p].sort();
+        }
+        for (const p of this.players) {
+            if (active.includes(p)) {
+                delete this.dropFrames[p];
+            } else {
+                this.dropFrames[p] ??= 0;
+            }
+        }
+    }
+
+    // ========== 玩家离开 ==========
+    // 从该玩家最后一帧输入之后开始不再等待，所有端在同一帧切换
+    dropPlayer(player) {
+        if (!this.isHost || !this.players.includes(player)) return;
+
+        const frame = (this.lastInputFrame[player] ?? -1) + 1;
+        this.applyDrop(player, frame);
+        this.roomManager.send({ type: 'lockstep-drop', epoch: this.epoch, player, frame });
+    }
+
+    onRemoteDrop(data) {
+        if (this.isHost || data.epoch !== this.epoch) return;
+        this.applyDrop(data.player, data.frame);
+    }
+
+    applyDrop(player, frame) {
+        this.dropFrames[player] = frame;
+    }
+
+    getStats() {
+        return {
+            frame: this.frame,
+            inputDelay: this.inputDelay,
+            ...this.stats
+        };
+    }
+}
+
+export class RollbackSession extends LockstepSession {
+    constructor(options) {
+        super(options);
+
+        this.snapshots = new Array(MAX_ROLLBACK + 2); // 环形缓冲: {frame, state}
+        this.predicted = new Map();  // frame -> {player: 预测使用的按键}
+        this.confirmedFrame = -1;    // 此帧及之前所有输入均已确认
+        this.rollbackFrom = null;
+
+        Object.assign(this.stats, {
+            rollbacks: 0,
+            rolledBackFrames: 0,
+            maxRollback: 0,
+            predictions: 0,
+            predictionMisses: 0
+        });
+    }
+
+    get mode() {
+        return 'rollback';
+    }
+
+    restart(frame) {
+        super.restart(frame);
+        // 帧号从头计，旧快照作废；缓冲留着复用
+        for (const snapshot of this.snapshots) {
+            if (snapshot) snapshot.frame = -1;
+        }
+        this.predicted.clear();
+        this.rollbackFrom = null;
+        this.confirmedFrame = frame - 1;
+    }
+
+    destroy() {
+        super.destroy();
+        this.snapshots.fill(undefined);
+        this.predicted.clear();
+    }
+
+    // 迟到的输入也要记录，与预测不符时安排回滚
+    onRemoteInput(data) {
+        if (data.epoch !== this.epoch || data.player === this.localPlayer) return;
+        if (!this.players.includes(data.player)) return;
+
+        const first = data.frame - data.bits.length + 1;
+        for (let i = 0; i < data.bits.length; i++) {
+            const f = first + i;
+            if (f <= this.confirmedFrame || this.inputs.get(f)?.[data.player] !== undefined) continue;
+
+            this.setInput(f, data.player, data.bits[i]);
+            const guess = this.predicted.get(f)?.[data.player];
+            if (guess !== undefined && guess !== data.bits[i]) {
+                this.stats.predictionMisses++;
+                this.scheduleRollback(f);
+            }
+        }
+        if (data.frame > (this.lastInputFrame[data.player] ?? -1)) {
+            this.lastInputFrame[data.player] = data.frame;
+        }
+    }
+
+    applyDrop(player, frame) {
+        super.applyDrop(player, frame);
+        this.scheduleRollback(frame);
+    }
+
+    scheduleRollback(frame) {
+        if (frame >= this.frame) return;
+        if (this.rollbackFrom === null || frame < this.rollbackFrom) {
+            this.rollbackFrom = frame;
+        }
+    }
+
+    // 预测：沿用该玩家最后一次确认的按键
+    predictInput(player) {
+        const frame = this.lastInputFrame[player];
+        return this.inputs.get(frame)?.[player] ?? 0;
+    }
+
+    updateConfirmed() {
+        while (this.hasInputsFor(this.confirmedFrame + 1)) {
+            this.confirmedFrame++;
+        }
+    }
+
+    // 每个预测帧都要存，复用环形缓冲里旧快照的数组
+    saveSnapshot(frame) {
+        const index = frame % this.snapshots.length;
+        const snapshot = this.snapshots[index] || (this.snapshots[index] = { frame, state: null });
+        snapshot.frame = frame;
+        snapshot.state = copyState(captureMachineState(this.emulator.nes, { frameBuffers: false }), snapshot.state);
+    }
+
+    simulateFrame(frame) {
+        const nes = this.emulator.nes;
+        const frameInputs = this.inputs.get(frame) || {};
+
+        let guesses = null;
+        for (const p of this.players) {
+            if (!this.isRequired(p, frame) || frameInputs[p] !== undefined) continue;
+            guesses = guesses || {};
+            guesses[p] = this.predictInput(p);
+        }
+
+        if (guesses) {
+            // 含预测输入的帧先存快照，预测错误时从这里重来
+            this.saveSnapshot(frame);
+            this.predicted.set(frame, guesses);
+            this.stats.predictions++;
+        } else {
+            this.predicted.delete(frame);
+        }
+
+        for (const p of INPUT_PLAYERS) {
+            applyInputBits(nes, p, frameInputs[p] ?? guesses?.[p] ?? 0);
+        }
+        nes.frame();
+
+        if (frame <= this.confirmedFrame && (frame + 1) % HASH_INTERVAL === 0) {
+            this.recordHash(frame + 1, machineChecksum(nes));
+        }
+    }
+
+    rollback() {
+        const from = this.rollbackFrom;
+        this.rollbackFrom = null;
+
+        const snapshot = this.snapshots[from % this.snapshots.length];
+        if (!snapshot || snapshot.frame !== from) {
+            console.warn(`回滚快照缺失（第 ${from} 帧），请求重新同步`);
+            this.roomManager.send({ type: 'lockstep-resync-request', epoch: this.epoch, frame: from });
+            return;
+        }
+
+        const count = this.frame - from;
+        restoreMachineStateInPlace(this.emulator.nes, snapshot.state);
+
+        // 重新模拟期间不输出画面和声音
+        this.emulator.resimulating = true;
+        try {
+            for (let f = from; f < this.frame; f++) {
+                this.simulateFrame(f);
+            }
+        } finally {
+            this.emulator.resimulating = false;
+        }
+
+        this.stats.rollbacks++;
+        this.stats.rolledBackFrames += count;
+        this.stats.maxRollback = Math.max(this.stats.maxRollback, count);
+    }
+
+    advance() {
+        this.sampleLocalInput();
+        this.updateConfirmed();
+
+        if (this.rollbackFrom !== null) {
+            this.rollback();
+        }
+
+        // 预测太远则等待，避免回滚代价过大
+        if (this.frame - this.confirmedFrame > MAX_ROLLBACK) {
+            this.stats.stalls++;
+            return false;
+        }
+
+        this.simulateFrame(this.frame);
+        this.frame++;
+
+        // 已模拟且已确认的帧不会再回滚，清理其输入和预测记录
+        const settled = Math.min(this.confirmedFrame, this.frame);
+        for (const f of this.inputs.keys()) {
+            if (f < settled) this.inputs.delete(f);
+        }
+        for (const f of this.predicted.keys()) {
+            if (f < settled) this.predicted.delete(f);
+        }
+        return true;
+    }
+}
@@ -0,0 +1,152 @@
+// 数据通道消息协议 - 二进制帧格式，JSON 仅作调试备用
+// 消息格式: [类型 u8][序号 varint][字段存在位图 varint][按 schema 顺序的字段...]
+import { ByteWriter, ByteReader, bytesToBase64, base64ToBytes } from './binary.js';
+
+// 消息类型编号与字段定义（新增消息只能追加，不能修改已有编号）
+// 字段类型: u8 / u32 / varint / f64 / bool / string / bytes / u8list
+export const MESSAGE_SCHEMAS = [
+    [1, 'ping', [['timestamp', 'f64']]],
+    [2, 'pong', [['timestamp', 'f64']]],
+    [3, 'input', [['player', 'u8'], ['button', 'string'], ['pressed', 'bool']]],
+    [4, 'input-broadcast', [['player', 'u8'], ['button', 'string'], ['pressed', 'bool']]],
+    [5, 'frame', [['data', 'bytes'], ['frameSeq', 'varint'], ['audio', 'bytes']]],
+    [6, 'game-start', [
+        ['gameName', 'string'], ['gameId', 'string'], ['netMode', 'string'],
+        ['inputDelay', 'u8'], ['players', 'u8list'], ['state', 'bytes'],
+        ['romHash', 'string'], ['romSize', 'varint'], ['romName', 'string'],
+        ['frame', 'varint'], ['epoch', 'varint']
+    ]],
+    [7, 'pause', [['paused', 'bool']]],
+    [8, 'reset', []],
+    [9, 'chat', [['playerNum', 'u8'], ['text', 'string']]],
+    [10, 'lockstep-input', [['epoch', 'varint'], ['player', 'u8'], ['frame', 'varint'], ['bits', 'u8list']]],
+    [11, 'lockstep-state', [['epoch', 'varint'], ['frame', 'varint'], ['state', 'bytes'], ['players', 'u8list']]],
+    [12, 'lockstep-hash', [['epoch', 'varint'], ['frame', 'varint'], ['hash', 'u32']]],
+    [13, 'lockstep-drop', [['epoch', 'varint'], ['player', 'u8'], ['frame', 'varint']]],
+    [14, 'lockstep-resync-request', [['epoch', 'varint'], ['frame', 'varint']]],
+    [15, 'keyframe-request', []],
+    [16, 'rom-request', [['hash', 'string'], ['offset', 'varint']]],
+    [17, 'rom-chunk', [['hash', 'string'], ['offset', 'varint'], ['data', 'bytes']]],
+    [18, 'rom-unavailable', [['hash', 'string']]],
+    [19, 'game-sync-request', []],
+    [20, 'state-snapshot', [['state', 'bytes']]],
+    // 超过单条消息上限的消息编码后拆成分片，text 表示原消息是 JSON 调试格式
+    [21, 'fragment', [['index', 'varint'], ['count', 'varint'], ['text', 'bool'], ['data', 'bytes']]]
+];
+
+const schemasById = new Map();
+const schemasByType = new Map();
+for (const [id, type, fields] of MESSAGE_SCHEMAS) {
+    const schema = { id, type, fields };
+    schemasById.set(id, schema);
+    schemasByType.set(type, schema);
+}
+
+export function hasSchema(type) {
+    return schemasByType.has(type);
+}
+
+// type/seq 由协议头携带，fromPlayer 是接收端补上的；其余未声明的字段二进制格式会静默丢掉，发送前就报错
+const HEADER_FIELDS = new Set(['type', 'seq', 'fromPlayer']);
+
+function checkFields(schema, data) {
+    for (const key of Object.keys(data)) {
+        if (!HEADER_FIELDS.has(key) && !schema.fields.some(([name]) => name === key)) {
+            throw new Error(`消息 ${schema.type} 含有未声明的字段: ${key}`);
+        }
+    }
+}
+
+function writeField(writer, kind, value) {
+    switch (kind) {
+        case 'u8': writer.u8(value); break;
+        case 'u32': writer.u32(value); break;
+        case 'varint': writer.varint(value); break;
+        case 'f64': writer.f64(value); break;
+        case 'bool': writer.u8(value ? 1 : 0); break;
+        case 'string': writer.string(String(value)); break;
+        case 'bytes': {
+            const bytes = value instanceof Uint8Array ? value : new Uint8Array(value);
+            writer.varint(bytes.length);
+            writer.bytes(bytes);
+            break;
+        }
+        case 'u8list':
+            writer.varint(value.length);
+            for (const v of value) writer.u8(v);
+            break;
+        default:
+            throw new Error(`未知字段类型: ${kind}`);
+    }
+}
+
+function readField(reader, kind) {
+    switch (kind) {
+        case 'u8': return reader.u8();
+        case 'u32': return reader.u32();
+        case 'varint': return reader.varint();
+        case 'f64': return reader.f64();
+        case 'bool': return reader.u8() !== 0;
+        case 'string': return reader.string();
+        case 'bytes': return reader.bytes(reader.varint());
+        case 'u8list': return Array.from(reader.bytes(reader.varint()));
+        default:
+            throw new Error(`未知字段类型: ${kind}`);
+    }
+}
+
+// 编码为二进制；未注册的消息类型返回 null，由调用方改用 JSON
+export function encodeMessage(data, seq) {
+    const schema = schemasByType.get(data.type);
+    if (!schema) return null;
+    checkFields(schema, data);
+
+    let presence = 0;
+    schema.fields.forEach(([name], i) => {
+        if (data[name] !== undefined && data[name] !== null) presence |= 1 << i;
+    });
+
+    const writer = new ByteWriter(64);
+    writer.u8(schema.id);
+    writer.varint(seq);
+    writer.varint(presence);
+    schema.fields.forEach(([name, kind], i) => {
+        if (presence & (1 << i)) writeField(writer, kind, data[name]);
+    });
+    return writer.toArrayBuffer();
+}
+
+export function decodeMessage(buffer) {
+    const reader = new ByteReader(buffer);
+    const id = reader.u8();
+    const schema = schemasById.get(id);
+    if (!schema) throw new Error(`未知消息类型: ${id}`);
+
+    const data = { type: schema.type, seq: reader.varint() };
+    const presence = reader.varint();
+    schema.fields.forEach(([name, kind], i) => {
+        if (presence & (1 << i)) data[name] = readField(reader, kind);
+    });
+    return data;
+}
+
+// JSON 调试格式：字段与二进制一致，bytes 字段以 Base64 表示
+export function encodeJsonMessage(data, seq) {
+    const schema = schemasByType.get(data.type);
+    if (schema) checkFields(schema, data);
+    const out = { ...data, seq };
+    delete out.fromPlayer;
+    for (const [name, kind] of schema?.fields || []) {
+        if (kind === 'bytes' && out[name] != null) out[name] = bytesToBase64(out[name]);
+    }
+    return JSON.stringify(out);
+}
+
+export function decodeJsonMessage(text) {
+    const data = JSON.parse(text);
+    const schema = schemasByType.get(data.type);
+    for (const [name, kind] of schema?.fields || []) {
+        if (kind === 'bytes' && typeof data[name] === 'string') data[name] = base64ToBytes(data[name]);
+    }
+    return data;
+}
@@ -0,0 +1,221 @@
+// ROM 信息 - 解析 iNES / NES 2.0 头部，检查模拟器（jsnes）是否支持
+import { isUnif, convertUnif } from './unif.js';
+import { isFds, parseFds } from './fds.js';
+
+const HEADER_SIZE = 16;
+const TRAINER_SIZE = 512;
+const PRG_UNIT = 16384;
+const CHR_UNIT = 8192;
+
+// jsnes 实现的 Mapper
+export const SUPPORTED_MAPPERS = new Map([
+    [0, 'NROM'], [1, 'MMC1'], [2, 'UxROM'], [3, 'CNROM'], [4, 'MMC3'], [5, 'MMC5'], [7, 'AxROM'],
+    [11, 'Color Dreams'], [34, 'BNROM / NINA-001'], [38, 'PCI556'], [66, 'GxROM'], [94, 'UN1ROM'],
+    [140, 'Jaleco JF-11/14'], [180, 'UNROM (Crazy Climber)']
+]);
+
+// 常见但 jsnes 不支持的 Mapper，仅用于提示
+const OTHER_MAPPERS = new Map([
+    [9, 'MMC2'], [10, 'MMC4'], [13, 'CPROM'], [15, '100-in-1'], [16, 'Bandai FCG'], [18, 'Jaleco SS88006'],
+    [19, 'Namco 163'], [21, 'VRC4'], [22, 'VRC2'], [23, 'VRC2/VRC4'], [24, 'VRC6'], [25, 'VRC4'], [26, 'VRC6'],
+    [32, 'Irem G-101'], [33, 'Taito TC0190'], [48, 'Taito TC0690'], [64, 'RAMBO-1'], [65, 'Irem H3001'],
+    [67, 'Sunsoft-3'], [68, 'Sunsoft-4'], [69, 'Sunsoft FME-7'], [71, 'Camerica'], [73, 'VRC3'], [75, 'VRC1'],
+    [79, 'NINA-03/06'], [85, 'VRC7'], [87, 'Jaleco J87'], [105, 'NES-EVENT'], [113, 'NINA-03/06 多合一'],
+    [118, 'TxSROM'], [119, 'TQROM'], [163, '南晶'], [164, '烟山'], [206, 'Namco 118'], [210, 'Namco 175/340'],
+    [228, 'Action 52'], [232, 'Camerica Quattro']
+]);
+
+const TV_SYSTEMS = ['NTSC', 'PAL', 'NTSC/PAL', 'Dendy'];
+const MIRRORING_NAMES = { horizontal: '水平镜像', vertical: '垂直镜像', 'four-screen': '四屏' };
+
+export function mapperName(mapper) {
+    return SUPPORTED_MAPPERS.get(mapper) || OTHER_MAPPERS.get(mapper) || '未知';
+}
+
+// NES 2.0 的 ROM 大小：高 4 位为 0xF 时是指数表示法
+function nes2RomSize(lsb, msb, unit) {
+    if (msb === 0x0F) {
+        return 2 ** (lsb >> 2) * ((lsb & 0x03) * 2 + 1);
+    }
+    return ((msb << 8) | lsb) * unit;
+}
+
+function shiftSize(shift) {
+    return shift ? 64 << shift : 0;
+}
+
+/**
+ * 解析 ROM 头部，UNIF 文件先转换为 NES 2.0 再检查，FDS 磁碟镜像单独检查（是否有 BIOS 由调用方判断）
+ * 返回 { format, mapper, submapper, mapperName, prgSize, chrSize, chrRamSize, prgRamSize,
+ *        battery, trainer, mirroring, tvSystem, fileSize, board, supported, errors, warnings }
+ * errors 非空表示无法运行，warnings 为可以运行但可能有问题
+ */
+export function inspectRom(data) {
+    if (isUnif(data)) return inspectUnif(data);
+    if (isFds(data)) return inspectFds(data);
+
+    const info = {
+        format: 'unknown',
+        mapper: null,
+        submapper: 0,
+        mapperName: '',
+        prgSize: 0,
+        chrSize: 0,
+        chrRamSize: 0,
+        prgRamSize: 0,
+        battery: false,
+        trainer: false,
+        mirroring: null,
+        tvSystem: 'NTSC',
+        fileSize: data.length,
+        board: null,
+        supported: false,
+        errors: [],
+        warnings: []
+    };
+
+    if (data.length < HEADER_SIZE || data[0] !== 0x4E || data[1] !== 0x45 || data[2] !== 0x53 || data[3] !== 0x1A) {
+        info.errors.push('无法识别的 ROM 格式（缺少 iNES 文件头）');
+        return info;
+    }
+
+    const flags6 = data[6];
+    const flags7 = data[7];
+    info.battery = (flags6 & 0x02) !== 0;
+    info.trainer = (flags6 & 0x04) !== 0;
+    info.mirroring = (flags6 & 0x08) ? 'four-screen' : (flags6 & 0x01) ? 'vertical' : 'horizontal';
+
+    if ((flags7 & 0x0C) === 0x08) {
+        info.format = 'nes2';
+        info.mapper = (flags6 >> 4) | (flags7 & 0xF0) | ((data[8] & 0x0F) << 8);
+        info.submapper = data[8] >> 4;
+        info.prgSize = nes2RomSize(data[4], data[9] & 0x0F, PRG_UNIT);
+        info.chrSize = nes2RomSize(data[5], data[9] >> 4, CHR_UNIT);
+        info.prgRamSize = shiftSize(data[10] & 0x0F) + shiftSize(data[10] >> 4);
+        info.chrRamSize = shiftSize(data[11] & 0x0F) + shiftSize(data[11] >> 4);
+        info.tvSystem = TV_SYSTEMS[data[12] & 0x03];
+    } else {
+        // 字节 12-15 非零通常是旧工具写入的签名（如 "DiskDude!"），此时字节 7 不可信
+        const dirty = data[12] || data[13] || data[14] || data[15];
+        info.format = dirty ? 'ines-dirty' : 'ines';
+        info.mapper = dirty ? flags6 >> 4 : (flags6 >> 4) | (flags7 & 0xF0);
+        info.prgSize = data[4] * PRG_UNIT;
+        info.chrSize = data[5] * CHR_UNIT;
+        info.chrRamSize = info.chrSize === 0 ? CHR_UNIT : 0;
+        info.prgRamSize = (data[8] || 1) * 8192;
+        if (!dirty && (data[9] & 0x01)) info.tvSystem = 'PAL';
+        if (dirty) info.warnings.push('文件头含有旧工具写入的签名，已忽略 Mapper 高 4 位');
+    }
+    info.mapperName = mapperName(info.mapper);
+
+    // 大小检查
+    const expected = HEADER_SIZE + (info.trainer ? TRAINER_SIZE : 0) + info.prgSize + info.chrSize;
+    if (info.prgSize === 0) {
+        info.errors.push('PRG-ROM 大小为 0');
+    } else if (data.length < expected) {
+        info.errors.push(`文件不完整（文件头声明 ${expected} 字节，实际 ${data.length} 字节）`);
+    } else if (data.length > expected) {
+        info.warnings.push(`文件末尾有 ${data.length - expected} 字节多余数据，已忽略`);
+    }
+
+    // 模拟器兼容性
+    if (!SUPPORTED_MAPPERS.has(info.mapper)) {
+        info.errors.push(`模拟器不支持 Mapper ${info.mapper}（${info.mapperName}）`);
+    }
+    if (info.prgSize > 255 * PRG_UNIT || info.chrSize > 255 * CHR_UNIT || info.prgSize % PRG_UNIT || info.chrSize % CHR_UNIT) {
+        info.errors.push('ROM 容量超出模拟器支持的范围');
+    }
+    if (info.submapper) {
+        info.warnings.push(`子 Mapper ${info.submapper} 会被忽略，个别游戏可能异常`);
+    }
+    if (info.tvSystem === 'PAL' || info.tvSystem === 'Dendy') {
+        info.warnings.push(`${info.tvSystem} 制式游戏将按 NTSC 速度运行，速度和音调会偏快`);
+    }
+
+    info.supported = info.errors.length === 0;
+    return info;
+}
+
+function inspectUnif(data) {
+    const unif = convertUnif(data);
+    const info = unif.rom ? inspectRom(unif.rom) : inspectRom(new Uint8Array(0));
+    info.format = 'unif';
+    info.fileSize = data.length;
+    info.board = unif.board || null;
+    if (!unif.rom) info.errors = [];
+    info.errors.unshift(...unif.errors);
+    info.warnings.unshift(...unif.warnings);
+    info.supported = info.errors.length === 0;
+    return info;
+}
+
+// FDS 没有 Mapper，RAM 适配器提供 32KB PRG-RAM 和 8KB CHR-RAM
+function inspectFds(data) {
+    const disk = parseFds(data);
+    const info = {
+        format: 'fds',
+        mapper: null,
+        submapper: 0,
+        mapperName: 'FDS',
+        prgSize: 0,
+        chrSize: 0,
+        chrRamSize: CHR_UNIT,
+        prgRamSize: 32768,
+        battery: false,
+        trainer: false,
+        mirroring: null,
+        tvSystem: 'NTSC',
+        fileSize: data.length,
+        board: null,
+        diskSides: disk.sides.length,
+        gameCode: disk.gameCode,
+        supported: false,
+        errors: disk.errors,
+        warnings: [
+            ...disk.warnings,
+            '磁碟机扩展音源未模拟，部分背景音乐会缺失',
+            '游戏写入磁碟的进度只保留到退出游戏，请用即时存档保存'
+        ]
+    };
+    info.supported = info.errors.length === 0;
+    return info;
+}
+
+/**
+ * 转换为 jsnes 能正确读取的 iNES 数据
+ * - jsnes 发现字节 8-15 非零就丢弃 Mapper 高 4 位，NES 2.0 和带签名的文件头需要清零
+ * - jsnes 不跳过 512 字节的 trainer，需要去掉
+ * 不需要转换时原样返回
+ */
+export function toJsnesRom(data, info = inspectRom(data)) {
+    if (!info.supported) return data;
+    const headerDirty = data.subarray(8, HEADER_SIZE).some(b => b !== 0);
+    if (!headerDirty && !info.trainer) return data;
+
+    const bodyStart = HEADER_SIZE + (info.trainer ? TRAINER_SIZE : 0);
+    const result = new Uint8Array(HEADER_SIZE + data.length - bodyStart);
+    result.set(data.subarray(0, 8), 0);
+    result[6] = data[6] & ~0x04;
+    result[7] = info.mapper & 0xF0;
+    result.set(data.subarray(bodyStart), HEADER_SIZE);
+    return result;
+}
+
+// 一行摘要，如 "Mapper 4 (MMC3) · PRG 128KB · CHR 128KB · 电池 · 垂直镜像 · NTSC"
+export function describeRom(info) {
+    if (info.format === 'fds') {
+        return ['FDS 磁碟', `${info.diskSides} 面`, ...(info.gameCode ? [`游戏代码 ${info.gameCode}`] : [])].join(' · ');
+    }
+    if (info.mapper === null) return info.format === 'unif' ? 'UNIF' : '未知格式';
+    const parts = [
+        ...(info.board ? [`UNIF ${info.board}`] : []),
+        `Mapper ${info.mapper}${info.submapper ? `.${info.submapper}` : ''} (${info.mapperName})`,
+        `PRG ${info.prgSize / 1024}KB`,
+        info.chrSize ? `CHR ${info.chrSize / 1024}KB` : `CHR-RAM ${info.chrRamSize / 1024}KB`
+    ];
+    if (info.battery) parts.push('电池');
+    if (info.trainer) parts.push('Trainer');
+    parts.push(MIRRORING_NAMES[info.mirroring], info.tvSystem);
+    if (info.format === 'nes2') parts.push('NES 2.0');
+    return parts.join(' · ');
+}
@@ -0,0 +1,164 @@
+// ROM 传输 - 开始游戏时房主通过可靠数据通道把 ROM 分块发给客户端
+// 客户端按已收到的偏移请求，断线重连后从断点继续；收完按 ROM 哈希（CRC32）校验
+import { romHash } from './hash.js';
+
+export const ROM_CHUNK_SIZE = 16 * 1024;
+const BUFFER_HIGH = 64 * 1024;       // 通道积压超过此值暂停发送，避免挤占输入和控制消息
+const BUFFER_POLL_INTERVAL = 20;
+const STALL_TIMEOUT = 5000;          // 这么久没有收到新数据就从断点重新请求
+const MAX_RETRIES = 5;
+
+// ========== 房主 ==========
+export class RomSender {
+    constructor(roomManager) {
+        this.roomManager = roomManager;
+        this.rom = null;
+        this.transfers = {}; // {playerNum: 传输令牌}，新请求替换旧的
+        this.onRequest = (data) => this.handleRequest(data);
+        roomManager.on('rom-request', this.onRequest);
+    }
+
+    // 设置要共享的 ROM，返回放进 game-start 的字段
+    share(data, name) {
+        this.transfers = {};
+        this.rom = { hash: romHash(data), data, name };
+        return { romHash: this.rom.hash, romSize: data.length, romName: name };
+    }
+
+    stop() {
+        this.transfers = {};
+        this.rom = null;
+    }
+
+    destroy() {
+        this.stop();
+        this.roomManager.off('rom-request', this.onRequest);
+    }
+
+    handleRequest({ fromPlayer, hash, offset = 0 }) {
+        if (!this.rom || hash !== this.rom.hash) {
+            this.roomManager.sendTo(fromPlayer, { type: 'rom-unavailable', hash });
+            return;
+        }
+        const token = {};
+        this.transfers[fromPlayer] = token;
+        console.log(`向 P${fromPlayer} 发送 ROM，从 ${offset} 字节开始`);
+        this.pump(fromPlayer, token, Math.max(0, Math.min(offset, this.rom.data.length)));
+    }
+
+    async pump(playerNum, token, offset) {
+        const { hash, data } = this.rom;
+        while (offset < data.length && this.transfers[playerNum] === token) {
+            if (this.roomManager.getBufferedAmount(playerNum) > BUFFER_HIGH) {
+                await new Promise(resolve => setTimeout(resolve, BUFFER_POLL_INTERVAL));
+                continue;
+            }
+            const chunk = data.subarray(offset, offset + ROM_CHUNK_SIZE);
+            // 通道断开时停止，客户端重连后会带着断点重新请求
+            if (!this.roomManager.sendTo(playerNum, { type: 'rom-chunk', hash, offset, data: chunk })) break;
+            offset += chunk.length;
+        }
+        if (this.transfers[playerNum] === token) delete this.transfers[playerNum];
+    }
+}
+
+// ========== 客户端 ==========
+export class RomReceiver {
+    /**
+     * offer 为 game-start 中的 { romHash, romSize }
+     * onProgress(received, size) 在每块到达时调用
+     */
+    constructor(roomManager, offer, onProgress = () => {}) {
+        this.roomManager = roomManager;
+        this.hash = offer.romHash;
+        this.size = offer.romSize;
+        this.onProgress = onProgress;
+        this.buffer = new Uint8Array(this.size);
+        this.received = 0;
+        this.retries = 0;
+        this.corrupted = 0;
+        this.stallTimer = null;
+        this.settled = false;
+
+        this.onChunk = (data) => this.handleChunk(data);
+        this.onUnavailable = (data) => {
+            if (data.hash === this.hash) this.fail(new Error('房主已更换游戏'));
+        };
+        this.onReconnect = () => this.request();
+    }
+
+    // 下载完成并校验通过后返回 ROM 数据
+    receive() {
+        return new Promise((resolve, reject) => {
+            this.resolve = resolve;
+            this.reject = reject;
+            this.roomManager.on('rom-chunk', this.onChunk);
+            this.roomManager.on('rom-unavailable', this.onUnavailable);
+            this.roomManager.on('connected', this.onReconnect);
+            this.request();
+        });
+    }
+
+    cancel() {
+        this.fail(new Error('已取消'));
+    }
+
+    request() {
+        if (this.settled) return;
+        clearTimeout(this.stallTimer);
+        this.roomManager.send({ type: 'rom-request', hash: this.hash, offset: this.received });
+        this.stallTimer = setTimeout(() => {
+            if (++this.retries > MAX_RETRIES) {
+                this.fail(new Error('ROM 传输超时'));
+            } else {
+                console.warn(`ROM 传输停滞，从 ${this.received} 字节重新请求`);
+                this.request();
+            }
+        }, STALL_TIMEOUT);
+    }
+
+    handleChunk({ hash, offset, data }) {
+        if (this.settled || hash !== this.hash) return;
+        // 重新请求后旧的数据可能还在路上，只接受接在断点上的块
+        if (offset !== this.received || !data || offset + data.length > this.size) return;
+
+        this.buffer.set(data, offset);
+        this.received += data.length;
+        this.retries = 0;
+        this.onProgress(this.received, this.size);
+
+        clearTimeout(this.stallTimer);
+        if (this.received < this.size) {
+            this.stallTimer = setTimeout(() => this.request(), STALL_TIMEOUT);
+            return;
+        }
+
+        if (romHash(this.buffer) !== this.hash) {
+            // 数据损坏：从头再下载一次，仍然不对就放弃
+            console.warn('ROM 校验失败，重新下载');
+            this.received = 0;
+            if (++this.corrupted > 1) {
+                this.fail(new Error('ROM 校验失败'));
+            } else {
+                this.request();
+            }
+            return;
+        }
+        this.finish();
+        this.resolve(this.buffer);
+    }
+
+    fail(error) {
+        if (this.settled) return;
+        this.finish();
+        this.reject?.(error);
+    }
+
+    finish() {
+        this.settled = true;
+        clearTimeout(this.stallTimer);
+        this.roomManager.off('rom-chunk', this.onChunk);
+        this.roomManager.off('rom-unavailable', this.onUnavailable);
+        this.roomManager.off('connected', this.onReconnect);
+    }
+}
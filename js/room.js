@@ -1,12 +1,20 @@
 // 房间管理器 - WebSocket + WebRTC P2P 实时版本
+import { encodeMessage, decodeMessage, encodeJsonMessage, decodeJsonMessage } from './protocol.js';
+
+// 单条数据通道消息的上限：各浏览器都能收的 16KB。完整状态（约 180KB）等大消息在可靠通道上分片发送
+export const FRAGMENT_SIZE = 16 * 1024;
+const MAX_FRAGMENTS = 256; // 拼接上限 4MB，防止异常的分片数占满内存
+
 export class RoomManager {
     constructor() {
         this.roomCode = null;
         this.isHost = false;
         this.myPlayerNum = 0;
+        this.hostPlayer = 1; // 房主座位号，房主离开后由信令服务器选出新房主
         this.peerId = null;
         this.peerConnections = {}; // {playerNum: RTCPeerConnection}
-        this.dataChannels = {}; // {playerNum: RTCDataChannel}
+        this.dataChannels = {}; // {playerNum: RTCDataChannel} 可靠有序：控制、输入、聊天
+        this.frameChannels = {}; // {playerNum: RTCDataChannel} 无序不重传：画面帧
         this.eventHandlers = {};
 
         // WebSocket 连接
@@ -23,6 +31,20 @@ export class RoomManager {
         // 按键状态
         this.playerInputStates = {};
 
+        // 消息序号（按通道计数），用于检测丢失和乱序
+        this.sendSeq = {};
+        this.recvSeq = {};
+        this.lostMessages = {};
+        this.fragments = {}; // {playerNum: 已收到的分片}
+
+        // 画面帧序号（房主递增，客户端丢弃过期帧）
+        this.frameSeq = 0;
+        this.lastFrameSeq = null;
+        this.lastKeyframeRequest = 0;
+
+        // ?protocol=json 时以 JSON 发送，便于调试抓包
+        this.useJsonProtocol = new URLSearchParams(window.location.search).get('protocol') === 'json';
+
         // 配置
         this.wsUrl = this.getWebSocketUrl();
         this.iceServers = [
@@ -45,8 +67,9 @@ export class RoomManager {
             return 'ws://localhost:8765';
         }
 
-        // 生产环境 - 使用 wss
-        return `wss://${window.location.hostname}:8765`;
+        // 生产环境 - 使用同域名下边缘函数提供的 /ws 信令
+        const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+        return `${protocol}://${window.location.host}/ws`;
     }
 
     on(event, handler) {
@@ -133,11 +156,7 @@ export class RoomManager {
                 try {
                     await this.connectWebSocket();
                     // 重连后重新加入房间
-                    if (this.isHost) {
-                        this.sendWs({ type: 'rejoin', roomCode: this.roomCode, playerNum: 1 });
-                    } else {
-                        this.sendWs({ type: 'rejoin', roomCode: this.roomCode, playerNum: this.myPlayerNum });
-                    }
+                    this.sendWs({ type: 'rejoin', roomCode: this.roomCode, playerNum: this.myPlayerNum, peerId: this.peerId });
                 } catch (e) {
                     console.error('重连失败:', e);
                 }
@@ -165,6 +184,7 @@ export class RoomManager {
                 this.roomCode = data.roomCode;
                 this.myPlayerNum = data.playerNum;
                 this.peerId = data.peerId;
+                this.hostPlayer = data.playerNum;
                 this.emit('room-created', { roomCode: data.roomCode });
                 break;
 
@@ -172,6 +192,7 @@ export class RoomManager {
                 this.roomCode = data.roomCode;
                 this.myPlayerNum = data.playerNum;
                 this.peerId = data.peerId;
+                this.hostPlayer = data.hostSeat || 1;
                 // 通知已有玩家
                 if (data.players) {
                     for (const p of data.players) {
@@ -210,9 +231,14 @@ export class RoomManager {
 
             case 'rejoined':
                 console.log('重新加入房间成功');
+                if (data.hostSeat) this.hostPlayer = data.hostSeat;
                 this.emit('reconnected');
                 break;
 
+            case 'host-migrated':
+                await this.handleHostMigrated(data);
+                break;
+
             case 'error':
                 console.error('服务器错误:', data.message);
                 this.emit('error', { message: data.message });
@@ -220,6 +246,28 @@ export class RoomManager {
         }
     }
 
+    // 房主离开后围绕新房主重建星形连接：新房主向其他在线玩家发起连接，其余玩家等待 offer
+    async handleHostMigrated(data) {
+        this.hostPlayer = data.playerNum;
+        this.isHost = data.playerNum === this.myPlayerNum;
+        console.log(`房主迁移到 P${data.playerNum}${this.isHost ? '（本机）' : ''}`);
+
+        for (const playerNum of Object.keys(this.peerConnections)) {
+            this.closePeerConnection(parseInt(playerNum));
+        }
+        this.frameSeq = 0;
+        this.lastFrameSeq = null;
+
+        this.emit('host-migrated', { playerNum: data.playerNum, isHost: this.isHost });
+
+        if (!this.isHost) return;
+        for (const p of data.players || []) {
+            if (p.playerNum === this.myPlayerNum || !p.connected) continue;
+            await this.setupPeerConnection(p.playerNum);
+            await this.createOffer(p.playerNum);
+        }
+    }
+
     async handleSignal(fromPlayer, signalData) {
         console.log(`收到 P${fromPlayer} 的信令:`, signalData.type);
 
@@ -346,19 +394,33 @@ export class RoomManager {
             this.setupDataChannel(playerNum, event.channel);
         };
 
-        // 房主创建数据通道
+        // 房主创建数据通道：控制消息走可靠通道，画面走不重传通道，避免一帧卡住后续输入
         if (this.isHost) {
             console.log(`创建到 P${playerNum} 的数据通道`);
-            const channel = pc.createDataChannel('gameData', {
-                ordered: true,
-                maxRetransmits: 3
-            });
+            const channel = pc.createDataChannel('gameData', { ordered: true });
             this.setupDataChannel(playerNum, channel);
+
+            const frameChannel = pc.createDataChannel('frames', {
+                ordered: false,
+                maxRetransmits: 0
+            });
+            this.setupDataChannel(playerNum, frameChannel);
         }
     }
 
     setupDataChannel(playerNum, channel) {
-        console.log(`配置 P${playerNum} 数据通道，状态: ${channel.readyState}`);
+        console.log(`配置 P${playerNum} ${channel.label} 通道，状态: ${channel.readyState}`);
+        channel.binaryType = 'arraybuffer';
+        channel.onmessage = (event) => this.handleChannelMessage(playerNum, channel, event);
+
+        if (channel.label === 'frames') {
+            this.frameChannels[playerNum] = channel;
+            channel.onclose = () => {
+                if (this.frameChannels[playerNum] === channel) delete this.frameChannels[playerNum];
+            };
+            return;
+        }
+
         this.dataChannels[playerNum] = channel;
 
         channel.onopen = () => {
@@ -376,16 +438,94 @@ export class RoomManager {
         channel.onerror = (error) => {
             console.error(`P${playerNum} 数据通道错误:`, error);
         };
+    }
 
-        channel.onmessage = (event) => {
-            try {
-                const data = JSON.parse(event.data);
-                data.fromPlayer = playerNum;
-                this.handleGameMessage(data);
-            } catch (e) {
-                console.error('游戏消息解析错误:', e);
+    handleChannelMessage(playerNum, channel, event) {
+        try {
+            let data = typeof event.data === 'string'
+                ? decodeJsonMessage(event.data)
+                : decodeMessage(event.data);
+            if (data.type === 'fragment') {
+                data = this.joinFragment(playerNum, data);
+                if (!data) return;
             }
-        };
+            data.fromPlayer = playerNum;
+            // 画面通道无序，序号由 frameSeq 单独处理
+            if (channel.label !== 'frames') this.trackSequence(playerNum, data.seq);
+            this.handleGameMessage(data);
+        } catch (e) {
+            console.error('游戏消息解析错误:', e);
+        }
+    }
+
+    // ========== 消息编码 ==========
+    // 序号按通道计数
+    encode(key, data) {
+        const seq = this.sendSeq[key] = ((this.sendSeq[key] || 0) + 1) >>> 0;
+        return this.encodeWithSeq(data, seq);
+    }
+
+    encodeWithSeq(data, seq) {
+        if (!this.useJsonProtocol) {
+            const binary = encodeMessage(data, seq);
+            if (binary) return binary;
+        }
+        return encodeJsonMessage(data, seq);
+    }
+
+    sendToChannel(playerNum, channel, data) {
+        const key = `${channel.label}:${playerNum}`;
+        const payload = this.encode(key, data);
+        const bytes = typeof payload === 'string' ? new TextEncoder().encode(payload) : new Uint8Array(payload);
+        // 画面通道不重传，分片丢一片整条就废了；画面帧本身远小于 SCTP 的 256KB 上限
+        if (bytes.length <= FRAGMENT_SIZE || channel.label === 'frames') {
+            channel.send(payload);
+            return;
+        }
+
+        // 分片沿用原消息的序号，可靠有序通道保证按顺序到达
+        const count = Math.ceil(bytes.length / FRAGMENT_SIZE);
+        if (count > MAX_FRAGMENTS) throw new Error(`消息过大: ${bytes.length} 字节`);
+        for (let index = 0; index < count; index++) {
+            const chunk = bytes.subarray(index * FRAGMENT_SIZE, (index + 1) * FRAGMENT_SIZE);
+            channel.send(this.encodeWithSeq({ type: 'fragment', index, count, text: typeof payload === 'string', data: chunk }, this.sendSeq[key]));
+        }
+    }
+
+    // 收齐分片后解码出原消息，未收齐时返回 null
+    joinFragment(playerNum, { index, count, text, data }) {
+        if (index === 0) this.fragments[playerNum] = [];
+        const parts = this.fragments[playerNum];
+        if (!parts || parts.length !== index || count > MAX_FRAGMENTS) {
+            delete this.fragments[playerNum];
+            throw new Error(`分片不连续: ${index}/${count}`);
+        }
+        parts.push(data);
+        if (parts.length < count) return null;
+
+        delete this.fragments[playerNum];
+        const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            bytes.set(part, offset);
+            offset += part.length;
+        }
+        return text ? decodeJsonMessage(new TextDecoder().decode(bytes)) : decodeMessage(bytes);
+    }
+
+    trackSequence(playerNum, seq) {
+        if (seq === undefined) return;
+        const last = this.recvSeq[playerNum];
+        if (last !== undefined && seq > last + 1) {
+            this.lostMessages[playerNum] = (this.lostMessages[playerNum] || 0) + seq - last - 1;
+        }
+        if (last === undefined || seq > last) {
+            this.recvSeq[playerNum] = seq;
+        }
+    }
+
+    getLostMessageCount(playerNum) {
+        return this.lostMessages[playerNum] || 0;
     }
 
     async createOffer(playerNum) {
@@ -471,6 +611,17 @@ export class RoomManager {
             } catch (e) { }
             delete this.dataChannels[playerNum];
         }
+        if (this.frameChannels[playerNum]) {
+            try {
+                this.frameChannels[playerNum].close();
+            } catch (e) { }
+            delete this.frameChannels[playerNum];
+        }
+        delete this.sendSeq[`gameData:${playerNum}`];
+        delete this.sendSeq[`frames:${playerNum}`];
+        delete this.recvSeq[playerNum];
+        delete this.lostMessages[playerNum];
+        delete this.fragments[playerNum];
         if (this.peerConnections[playerNum]) {
             try {
                 this.peerConnections[playerNum].close();
@@ -505,21 +656,18 @@ export class RoomManager {
             if (channel?.readyState === 'open') {
                 this.pingTimestamps[playerNum] = timestamp;
                 try {
-                    channel.send(JSON.stringify({ type: 'ping', timestamp }));
+                    this.sendToChannel(playerNum, channel, { type: 'ping', timestamp });
                 } catch (e) { }
             }
         }
     }
 
     handlePing(fromPlayer, timestamp) {
-        const channel = this.dataChannels[fromPlayer] || this.dataChannels[1];
+        const target = this.dataChannels[fromPlayer] ? fromPlayer : this.hostPlayer;
+        const channel = this.dataChannels[target];
         if (channel?.readyState === 'open') {
             try {
-                channel.send(JSON.stringify({
-                    type: 'pong',
-                    timestamp,
-                    fromPlayer: this.myPlayerNum
-                }));
+                this.sendToChannel(target, channel, { type: 'pong', timestamp });
             } catch (e) { }
         }
     }
@@ -554,13 +702,20 @@ export class RoomManager {
                 this.updateInputState(data.player || data.fromPlayer, data.button, data.pressed);
                 this.emit('input', data);
                 break;
+            case 'frame':
+                if (!this.isHost) this.handleFrame(data);
+                break;
+            case 'keyframe-request':
+                if (this.isHost) this.emit('keyframe-request', data);
+                break;
+            case 'game-sync-request':
+                if (this.isHost) this.emit('game-sync-request', data);
+                break;
             case 'game-start':
                 console.log('收到 game-start');
+                this.lastFrameSeq = null;
                 this.emit('game-start', data);
                 break;
-            case 'frame':
-                this.emit('frame', data.frameData);
-                break;
             case 'pause':
                 this.emit('pause', data);
                 break;
@@ -579,10 +734,25 @@ export class RoomManager {
             case 'input-broadcast':
                 this.updateInputState(data.player, data.button, data.pressed);
                 break;
+            case 'rom-request':
+                if (this.isHost) this.emit(data.type, data);
+                break;
+            case 'rom-chunk':
+            case 'rom-unavailable':
+            case 'state-snapshot':
+                if (!this.isHost) this.emit(data.type, data);
+                break;
+            case 'lockstep-input':
+            case 'lockstep-state':
+            case 'lockstep-hash':
+            case 'lockstep-drop':
+            case 'lockstep-resync-request':
+                this.emit(data.type, data);
+                break;
         }
 
         // 房主转发消息给其他玩家
-        if (this.isHost && !['frame', 'ping', 'pong'].includes(data.type)) {
+        if (this.isHost && !['frame', 'ping', 'pong', 'keyframe-request', 'rom-request', 'game-sync-request'].includes(data.type)) {
             this.broadcast(data, data.fromPlayer);
         }
     }
@@ -593,24 +763,44 @@ export class RoomManager {
             this.broadcast(data);
         } else {
             // 客户端发送给房主
-            const channel = this.dataChannels[1];
+            const channel = this.dataChannels[this.hostPlayer];
             if (channel?.readyState === 'open') {
-                channel.send(JSON.stringify(data));
+                this.sendToChannel(this.hostPlayer, channel, data);
             } else {
                 console.warn('P2P 通道未就绪');
             }
         }
     }
 
-    sendFrame(frameData) {
-        if (!this.isHost) return;
+    // 房主发给单个玩家，通道未打开时返回 false
+    sendTo(playerNum, data) {
+        const channel = this.dataChannels[playerNum];
+        if (channel?.readyState !== 'open') return false;
+        try {
+            this.sendToChannel(playerNum, channel, data);
+            return true;
+        } catch (e) {
+            console.warn(`发送到 P${playerNum} 失败:`, e);
+            return false;
+        }
+    }
 
-        const data = JSON.stringify({ type: 'frame', frameData });
+    // 通道中尚未发出的字节数，大块数据据此限速
+    getBufferedAmount(playerNum) {
+        return this.dataChannels[playerNum]?.bufferedAmount || 0;
+    }
 
-        for (const [playerNum, channel] of Object.entries(this.dataChannels)) {
+    // ========== 画面帧 ==========
+    // frameData 为 compressFrame 生成的 ArrayBuffer，audioData 为同一帧的音频，走不重传通道，丢了就丢了
+    sendFrame(frameData, audioData = null) {
+        if (!this.isHost) return;
+
+        this.frameSeq = (this.frameSeq + 1) >>> 0;
+        const data = { type: 'frame', frameSeq: this.frameSeq, data: frameData, audio: audioData };
+        for (const [playerNum, channel] of Object.entries(this.frameChannels)) {
             if (channel?.readyState === 'open') {
                 try {
-                    channel.send(data);
+                    this.sendToChannel(playerNum, channel, data);
                 } catch (e) {
                     console.warn(`发送帧到 P${playerNum} 失败`);
                 }
@@ -618,13 +808,31 @@ export class RoomManager {
         }
     }
 
-    broadcast(data, excludePlayer = null) {
-        const msg = JSON.stringify(data);
+    // 丢弃过期帧；序号不连续说明中间有帧丢失，差分链已断开
+    handleFrame(data) {
+        const seq = data.frameSeq;
+        if (seq !== undefined && this.lastFrameSeq !== null) {
+            if (seq <= this.lastFrameSeq) return;
+        }
+        const lost = seq !== undefined && this.lastFrameSeq !== null && seq !== this.lastFrameSeq + 1;
+        if (seq !== undefined) this.lastFrameSeq = seq;
+        this.emit('frame', { data: data.data, audio: data.audio, seq, lost });
+    }
 
+    // 客户端请求关键帧（丢帧后恢复），限制频率
+    requestKeyframe() {
+        if (this.isHost) return;
+        const now = Date.now();
+        if (now - this.lastKeyframeRequest < 300) return;
+        this.lastKeyframeRequest = now;
+        this.send({ type: 'keyframe-request' });
+    }
+
+    broadcast(data, excludePlayer = null) {
         for (const [playerNum, channel] of Object.entries(this.dataChannels)) {
             if (parseInt(playerNum) !== excludePlayer && channel?.readyState === 'open') {
                 try {
-                    channel.send(msg);
+                    this.sendToChannel(playerNum, channel, data);
                 } catch (e) { }
             }
         }
@@ -663,6 +871,11 @@ export class RoomManager {
         this.latencies = {};
         this.pingTimestamps = {};
         this.playerInputStates = {};
+        this.sendSeq = {};
+        this.recvSeq = {};
+        this.lostMessages = {};
+        this.frameSeq = 0;
+        this.lastFrameSeq = null;
     }
 
     async disconnect() {
@@ -678,6 +891,7 @@ export class RoomManager {
         this.cleanup();
         this.roomCode = null;
         this.myPlayerNum = 0;
+        this.hostPlayer = 1;
     }
 
     // 检查是否有活跃的 P2P 连接
@@ -0,0 +1,397 @@
+// 即时存档 - 完整机器快照（CPU/PPU/APU/Mapper/RAM）的二进制编码与本地存档槽
+import { ByteWriter, ByteReader } from './binary.js';
+import { LocalStore } from './storage.js';
+
+// 文件头: "NESS" + 版本号 + ROM CRC32 + 时间戳
+const MAGIC = [0x4E, 0x45, 0x53, 0x53];
+export const SAVE_STATE_VERSION = 1;
+export const SAVE_SLOT_COUNT = 4;
+
+// 值类型标记
+const T_NULL = 0;
+const T_FALSE = 1;
+const T_TRUE = 2;
+const T_INT = 3;
+const T_FLOAT = 4;
+const T_STRING = 5;
+const T_ARRAY = 6;
+const T_OBJECT = 7;
+const T_U8_ARRAY = 8;
+const T_I32_ARRAY = 9;
+const T_U8_RLE = 10;
+const T_I32_RLE = 11;
+
+// ========== 机器状态采集 ==========
+
+// 采集对象上的标量字段（APU 没有 toJSON，按字段快照）
+function scalarFields(obj) {
+    const result = {};
+    for (const [key, value] of Object.entries(obj)) {
+        const type = typeof value;
+        if (type === 'number' || type === 'boolean' || value === null) {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+function restoreScalarFields(obj, fields) {
+    if (!fields) return;
+    for (const [key, value] of Object.entries(fields)) {
+        if (key in obj && typeof obj[key] !== 'function') {
+            obj[key] = value;
+        }
+    }
+}
+
+const APU_CHANNELS = ['square1', 'square2', 'triangle', 'noise', 'dmc'];
+
+// 每帧开头 ppu.startFrame 会整个重写的缓冲，帧边界上的回滚快照不必保存
+const FRAME_SCRATCH = ['buffer', 'pixrendered'];
+
+// 快照范围：CPU/PPU/Mapper 为 jsnes toJSON 的全部内容；APU 只有标量字段（其数组都是常量查找表），
+// 尚未输出的音频采样和 PPU 的色彩强调查找表不在快照里，读档/回滚后由模拟器继续沿用
+// frameBuffers 为 false 时省掉 FRAME_SCRATCH（约 120K 个元素），只能在帧边界恢复
+export function captureMachineState(nes, { frameBuffers = true } = {}) {
+    const { cpu, ppu, mmap } = nes.toJSON();
+    if (!frameBuffers) {
+        for (const key of FRAME_SCRATCH) delete ppu[key];
+    }
+
+    const apu = { papu: scalarFields(nes.papu) };
+    for (const name of APU_CHANNELS) {
+        apu[name] = scalarFields(nes.papu[name]);
+    }
+
+    return {
+        cpu,
+        ppu,
+        mmap,
+        apu,
+        controllers: {
+            1: nes.controllers[1].state.slice(),
+            2: nes.controllers[2].state.slice()
+        }
+    };
+}
+
+export function restoreMachineState(nes, state) {
+    // fromJSON 会先 reset，ROM 数据沿用当前已加载的
+    nes.fromJSON({
+        romData: nes.romData,
+        cpu: state.cpu,
+        mmap: state.mmap,
+        ppu: state.ppu
+    });
+
+    restoreApuAndControllers(nes, state);
+}
+
+// 原地恢复：快照内容写回模拟器现有的数组，不重新载入 ROM 也不 reset（fromJSON 两者都做，约 10ms）
+// 只用于同一次运行中的回滚；快照里没有的字段沿用当前的，精灵缓存等派生状态由各部件的 fromJSON 重建
+export function restoreMachineStateInPlace(nes, state) {
+    const live = nes.toJSON();
+    nes.cpu.fromJSON(copyState(state.cpu, live.cpu));
+    nes.mmap.fromJSON(copyState(state.mmap, live.mmap));
+    nes.ppu.fromJSON(copyState(state.ppu, live.ppu));
+    restoreApuAndControllers(nes, state);
+}
+
+function restoreApuAndControllers(nes, state) {
+    if (state.apu) {
+        restoreScalarFields(nes.papu, state.apu.papu);
+        for (const name of APU_CHANNELS) {
+            restoreScalarFields(nes.papu[name], state.apu[name]);
+        }
+    }
+
+    if (state.controllers) {
+        for (const n of [1, 2]) {
+            if (state.controllers[n]) nes.controllers[n].state = copyState(state.controllers[n], nes.controllers[n].state);
+        }
+    }
+}
+
+// 把 source 复制进 target 并返回 target，结构不同时才新建（jsnes 的 toJSON/fromJSON 直接引用内部数组，
+// 快照需要独立副本；回滚快照每帧都写，复用上一次的数组避免分配）
+export function copyState(source, target) {
+    if (Array.isArray(source)) {
+        if (source.length > 0 && typeof source[0] === 'object' && source[0] !== null) {
+            if (!Array.isArray(target) || target.length !== source.length) target = new Array(source.length);
+            for (let i = 0; i < source.length; i++) target[i] = copyState(source[i], target[i]);
+            return target;
+        }
+        return copyArray(source, target);
+    }
+    if (source !== null && typeof source === 'object') {
+        if (target === null || typeof target !== 'object' || Array.isArray(target)) target = {};
+        for (const key in source) target[key] = copyState(source[key], target[key]);
+        return target;
+    }
+    return source;
+}
+
+// 数值数组单独成函数，保持单态，大数组（显存、画面缓冲）的复制才快
+function copyArray(source, target) {
+    const length = source.length;
+    if (!Array.isArray(target) || target.length !== length) return source.slice();
+    for (let i = 0; i < length; i++) target[i] = source[i];
+    return target;
+}
+
+// ========== 二进制编码 ==========
+
+function numericArrayType(arr) {
+    if (arr.length === 0) return T_ARRAY;
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < arr.length; i++) {
+        const v = arr[i] === undefined ? 0 : arr[i]; // 稀疏数组的空位按0处理
+        if (typeof v !== 'number' || !Number.isInteger(v)) return T_ARRAY;
+        if (v < min) min = v;
+        if (v > max) max = v;
+    }
+    if (min >= 0 && max <= 0xFF) return T_U8_ARRAY;
+    if (min >= -0x80000000 && max <= 0x7FFFFFFF) return T_I32_ARRAY;
+    return T_ARRAY;
+}
+
+function countRuns(arr) {
+    let runs = arr.length > 0 ? 1 : 0;
+    for (let i = 1; i < arr.length; i++) {
+        if (arr[i] !== arr[i - 1]) runs++;
+    }
+    return runs;
+}
+
+// 游程编码: 段数 + (长度, 值)...
+function writeRuns(writer, arr, writeItem) {
+    writer.varint(countRuns(arr));
+    let i = 0;
+    while (i < arr.length) {
+        let j = i + 1;
+        while (j < arr.length && arr[j] === arr[i]) j++;
+        writer.varint(j - i);
+        writeItem(arr[i]);
+        i = j;
+    }
+}
+
+function readRuns(reader, length, readItem) {
+    const arr = new Array(length);
+    const runs = reader.varint();
+    let offset = 0;
+    for (let r = 0; r < runs; r++) {
+        const count = reader.varint();
+        const value = readItem();
+        if (offset + count > length) throw new Error('存档数据损坏（游程越界）');
+        arr.fill(value, offset, offset + count);
+        offset += count;
+    }
+    return arr;
+}
+
+function writeValue(writer, value, keys) {
+    if (value === null || value === undefined) {
+        writer.u8(T_NULL);
+    } else if (value === false) {
+        writer.u8(T_FALSE);
+    } else if (value === true) {
+        writer.u8(T_TRUE);
+    } else if (typeof value === 'number') {
+        if (Number.isInteger(value) && value >= -0x80000000 && value <= 0x7FFFFFFF) {
+            writer.u8(T_INT);
+            writer.i32(value);
+        } else {
+            writer.u8(T_FLOAT);
+            writer.f64(value);
+        }
+    } else if (typeof value === 'string') {
+        writer.u8(T_STRING);
+        writer.string(value);
+    } else if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+        const type = numericArrayType(value);
+        // 重复值多的数组（画面缓冲、显存）改用游程编码
+        const useRuns = type !== T_ARRAY && countRuns(value) * 4 < value.length;
+        if (useRuns) {
+            writer.u8(type === T_U8_ARRAY ? T_U8_RLE : T_I32_RLE);
+            writer.varint(value.length);
+            if (type === T_U8_ARRAY) {
+                writeRuns(writer, value, (v) => writer.u8(v | 0));
+            } else {
+                writeRuns(writer, value, (v) => writer.i32(v | 0));
+            }
+            return;
+        }
+        writer.u8(type);
+        writer.varint(value.length);
+        if (type === T_U8_ARRAY) {
+            writer.ensure(value.length);
+            for (let i = 0; i < value.length; i++) writer.buffer[writer.offset++] = value[i] | 0;
+        } else if (type === T_I32_ARRAY) {
+            // 差分 + zigzag 变长整数，连续地址表（如镜像表）每项仅1字节
+            let prev = 0;
+            for (let i = 0; i < value.length; i++) {
+                const v = value[i] | 0;
+                const delta = (v - prev) | 0;
+                writer.varint((delta << 1) ^ (delta >> 31));
+                prev = v;
+            }
+        } else {
+            for (let i = 0; i < value.length; i++) writeValue(writer, value[i], keys);
+        }
+    } else if (typeof value === 'object') {
+        const entries = Object.entries(value);
+        writer.u8(T_OBJECT);
+        writer.varint(entries.length);
+        for (const [key, v] of entries) {
+            let index = keys.get(key);
+            if (index === undefined) {
+                index = keys.size;
+                keys.set(key, index);
+            }
+            writer.varint(index);
+            writeValue(writer, v, keys);
+        }
+    } else {
+        writer.u8(T_NULL);
+    }
+}
+
+function readValue(reader, keys) {
+    const type = reader.u8();
+    switch (type) {
+        case T_NULL: return null;
+        case T_FALSE: return false;
+        case T_TRUE: return true;
+        case T_INT: return reader.i32();
+        case T_FLOAT: return reader.f64();
+        case T_STRING: return reader.string();
+        case T_U8_ARRAY: {
+            const length = reader.varint();
+            return Array.from(reader.bytes(length));
+        }
+        case T_I32_ARRAY: {
+            const length = reader.varint();
+            const arr = new Array(length);
+            let prev = 0;
+            for (let i = 0; i < length; i++) {
+                const zz = reader.varint();
+                prev = (prev + ((zz >>> 1) ^ -(zz & 1))) | 0;
+                arr[i] = prev;
+            }
+            return arr;
+        }
+        case T_U8_RLE: {
+            const length = reader.varint();
+            return readRuns(reader, length, () => reader.u8());
+        }
+        case T_I32_RLE: {
+            const length = reader.varint();
+            return readRuns(reader, length, () => reader.i32());
+        }
+        case T_ARRAY: {
+            const length = reader.varint();
+            const arr = new Array(length);
+            for (let i = 0; i < length; i++) arr[i] = readValue(reader, keys);
+            return arr;
+        }
+        case T_OBJECT: {
+            const count = reader.varint();
+            const obj = {};
+            for (let i = 0; i < count; i++) {
+                const key = keys[reader.varint()];
+                obj[key] = readValue(reader, keys);
+            }
+            return obj;
+        }
+        default:
+            throw new Error(`存档数据损坏（未知类型 ${type}）`);
+    }
+}
+
+// 编码为 ArrayBuffer；romCrc 为 ROM 的 CRC32 数值
+export function encodeState(state, romCrc) {
+    const keys = new Map();
+    const body = new ByteWriter(256 * 1024);
+    writeValue(body, state, keys);
+
+    const writer = new ByteWriter(body.offset + 1024);
+    writer.bytes(MAGIC);
+    writer.u16(SAVE_STATE_VERSION);
+    writer.u32(romCrc);
+    writer.f64(Date.now());
+    writer.varint(keys.size);
+    for (const key of keys.keys()) writer.string(key);
+    writer.bytes(body.buffer.subarray(0, body.offset));
+    return writer.toArrayBuffer();
+}
+
+// 只解析文件头
+export function readStateHeader(buffer) {
+    const reader = new ByteReader(buffer);
+    for (const b of MAGIC) {
+        if (reader.u8() !== b) throw new Error('不是有效的存档文件');
+    }
+    const version = reader.u16();
+    const romCrc = reader.u32();
+    const timestamp = reader.f64();
+    return { version, romCrc, timestamp, reader };
+}
+
+export function decodeState(buffer, expectedRomCrc = null) {
+    const { version, romCrc, timestamp, reader } = readStateHeader(buffer);
+    if (version !== SAVE_STATE_VERSION) {
+        throw new Error(`存档版本不兼容 (v${version})`);
+    }
+    if (expectedRomCrc !== null && romCrc !== expectedRomCrc) {
+        throw new Error('存档与当前游戏不匹配');
+    }
+
+    const keyCount = reader.varint();
+    const keys = new Array(keyCount);
+    for (let i = 0; i < keyCount; i++) keys[i] = reader.string();
+
+    return { state: readValue(reader, keys), romCrc, timestamp };
+}
+
+// ========== 存档槽（IndexedDB） ==========
+export class SaveStateStore {
+    constructor() {
+        this.store = new LocalStore('savestates');
+    }
+
+    slotKey(romHash, slot) {
+        return `${romHash}:${slot}`;
+    }
+
+    async save(romHash, slot, data, gameName = '') {
+        await this.store.put({
+            key: this.slotKey(romHash, slot),
+            romHash,
+            slot,
+            gameName,
+            timestamp: Date.now(),
+            data
+        });
+    }
+
+    async load(romHash, slot) {
+        const record = await this.store.get(this.slotKey(romHash, slot));
+        return record ? record.data : null;
+    }
+
+    // 返回 {slot: timestamp}，用于显示存档槽信息
+    async list(romHash) {
+        const result = {};
+        for (let slot = 1; slot <= SAVE_SLOT_COUNT; slot++) {
+            const record = await this.store.get(this.slotKey(romHash, slot));
+            if (record) result[slot] = record.timestamp;
+        }
+        return result;
+    }
+
+    async remove(romHash, slot) {
+        await this.store.delete(this.slotKey(romHash, slot));
+    }
+}
@@ -0,0 +1,177 @@
+// 游戏搜索 - 基于预生成的 search-index.json（scripts/build-search-index.mjs 生成）
+// 支持汉字、全拼、拼音首字母、别名匹配，输入有少量错字时按编辑距离容错，结果按相关度排序
+export const SEARCH_INDEX_VERSION = 2;
+
+const ROMAN_NUMERALS = { ii: '2', iii: '3', iv: '4', vi: '6', vii: '7', viii: '8' };
+
+// 各类匹配的权重：名称 > 别名 > 拼音 > 首字母
+const WEIGHT_NAME = 1.0;
+const WEIGHT_ALIAS = 0.95;
+const WEIGHT_PINYIN = 0.9;
+const WEIGHT_INITIALS = 0.8;
+
+const SCORE_EXACT = 100;
+const SCORE_PREFIX = 80;
+const SCORE_CONTAINS = 60;
+const SCORE_FUZZY = 40;
+const FUZZY_PENALTY = 15;
+
+const ASCII = /^[a-z0-9]*$/;
+
+// 规范化：全角转半角、小写、罗马数字转阿拉伯数字，去掉空格和标点
+// 这样 "魂斗罗 2"、"魂斗罗Ⅱ"、"魂斗罗(2)" 都会变成 "魂斗罗2"
+export function normalizeText(text) {
+    return String(text).normalize('NFKC').toLowerCase()
+        .replace(/(^|[^a-z])(viii|vii|vi|iv|iii|ii)(?![a-z])/g, (m, before, roman) => before + ROMAN_NUMERALS[roman])
+        .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// 允许的错字数：汉字信息量大，3 个字起就容错；字母至少 4 个
+function maxTypos(query, ascii) {
+    const length = query.length;
+    if (ascii) return length >= 8 ? 2 : length >= 4 ? 1 : 0;
+    return length >= 6 ? 2 : length >= 3 ? 1 : 0;
+}
+
+// 文本任意子串与 query 的最小编辑距离（含相邻字符交换），超过 limit 返回 -1
+let rowA = new Int32Array(32);
+let rowB = new Int32Array(32);
+let rowC = new Int32Array(32);
+
+function fuzzyDistance(query, text, limit) {
+    const m = query.length;
+    if (rowA.length <= m) {
+        rowA = new Int32Array(m + 1);
+        rowB = new Int32Array(m + 1);
+        rowC = new Int32Array(m + 1);
+    }
+    let before = rowC; // 上上行
+    let prev = rowA;
+    let cur = rowB;
+    for (let i = 0; i <= m; i++) prev[i] = i;
+
+    let best = m;
+    for (let j = 1; j <= text.length; j++) {
+        const c = text.charCodeAt(j - 1);
+        cur[0] = 0; // 子串可以从任意位置开始
+        for (let i = 1; i <= m; i++) {
+            const q = query.charCodeAt(i - 1);
+            let d = Math.min(prev[i] + 1, cur[i - 1] + 1, prev[i - 1] + (q === c ? 0 : 1));
+            if (i > 1 && j > 1 && q === text.charCodeAt(j - 2) && query.charCodeAt(i - 2) === c) {
+                d = Math.min(d, before[i - 2] + 1);
+            }
+            cur[i] = d;
+        }
+        if (cur[m] < best) best = cur[m];
+        if (best === 0) break;
+        const tmp = before;
+        before = prev;
+        prev = cur;
+        cur = tmp;
+    }
+    return best <= limit ? best : -1;
+}
+
+function matchScore(text, query) {
+    if (text === query) return SCORE_EXACT;
+    const pos = text.indexOf(query);
+    if (pos === 0) return SCORE_PREFIX;
+    if (pos > 0) return SCORE_CONTAINS - Math.min(pos, 10);
+    return 0;
+}
+
+// 音节串 -> { pinyin: 全拼, initials: 首字母 }，数字整体保留（"hun dou luo 2" -> "hdl2"）
+function splitSyllables(syllables) {
+    const tokens = syllables.split(' ').map(normalizeText).filter(Boolean);
+    return {
+        pinyin: tokens.join(''),
+        initials: tokens.map(t => /^\d+$/.test(t) ? t : t[0]).join('')
+    };
+}
+
+export class GameSearch {
+    // createGame(id, hash) 返回界面使用的游戏对象，搜索结果直接返回这些对象
+    constructor(index, createGame = (id) => ({ id, name: id })) {
+        if (!index || index.version !== SEARCH_INDEX_VERSION || !Array.isArray(index.games)) {
+            throw new Error('搜索索引版本不匹配');
+        }
+
+        this.games = [];
+        this.entries = index.games.map(([id, syllables, hash, aliases = []], order) => {
+            const game = createGame(id, hash || null);
+            this.games.push(game);
+
+            const keys = [];
+            const seen = new Set();
+            const addKey = (text, weight) => {
+                if (!text || seen.has(text)) return;
+                seen.add(text);
+                keys.push({ text, weight, ascii: ASCII.test(text) });
+            };
+
+            const own = splitSyllables(syllables);
+            addKey(normalizeText(game.name), WEIGHT_NAME);
+            addKey(normalizeText(id), WEIGHT_NAME);
+            addKey(own.pinyin, WEIGHT_PINYIN);
+            for (const [alias, aliasSyllables] of aliases) {
+                addKey(normalizeText(alias), WEIGHT_ALIAS);
+                addKey(splitSyllables(aliasSyllables).pinyin, WEIGHT_ALIAS * WEIGHT_PINYIN);
+            }
+            // 元数据里的其它名称（如英文名）
+            for (const alt of game.altNames || []) addKey(normalizeText(alt), WEIGHT_ALIAS);
+
+            // 首字母太短时会命中大量游戏，单独存放，查询至少 2 个字符才参与
+            const initials = [own.initials, ...aliases.map(([, s]) => splitSyllables(s).initials)]
+                .filter(text => text && !seen.has(text));
+            return { game, order, keys, initials: [...new Set(initials)] };
+        });
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    search(query, limit = 30) {
+        const q = normalizeText(query);
+        if (!q) return [];
+
+        const ascii = ASCII.test(q);
+        const typos = maxTypos(q, ascii);
+        const results = [];
+
+        for (const entry of this.entries) {
+            let score = 0;
+            for (const key of entry.keys) {
+                const s = matchScore(key.text, q) * key.weight;
+                if (s > score) score = s;
+            }
+            if (ascii && q.length >= 2) {
+                for (const text of entry.initials) {
+                    const s = matchScore(text, q) * WEIGHT_INITIALS;
+                    if (s > score) score = s;
+                }
+            }
+
+            // 没有直接命中时再做容错匹配，只和同类文字（汉字/字母）比较
+            if (score === 0 && typos > 0) {
+                let best = -1;
+                for (const key of entry.keys) {
+                    if (key.ascii !== ascii || key.text.length < q.length - typos) continue;
+                    const d = fuzzyDistance(q, key.text, best >= 0 ? best : typos);
+                    if (d >= 0 && (best < 0 || d < best)) best = d;
+                    if (best === 0) break;
+                }
+                if (best > 0) score = SCORE_FUZZY - FUZZY_PENALTY * (best - 1);
+            }
+
+            if (score > 0) results.push({ entry, score });
+        }
+
+        // 同分时名称短的优先（通常是正作），再按索引顺序
+        results.sort((a, b) =>
+            b.score - a.score ||
+            a.entry.game.name.length - b.entry.game.name.length ||
+            a.entry.order - b.entry.order);
+        return results.slice(0, limit).map(r => r.entry.game);
+    }
+}
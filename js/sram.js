@@ -0,0 +1,36 @@
+// 电池存档 - 带电池的卡带（塞尔达、RPG 等）把 $6000-$7FFF 的卡带 RAM 按 ROM 哈希保存在本地
+// 联机时只有房主保存：客户端的卡带 RAM 来自房主发来的开机状态
+import { LocalStore } from './storage.js';
+
+export const SRAM_SIZE = 0x2000;
+export const SRAM_FLUSH_INTERVAL = 5000; // 游戏中每 5 秒写回一次有变化的存档
+
+export class SramStore {
+    constructor() {
+        this.store = new LocalStore('sram');
+    }
+
+    async load(romHash) {
+        const record = await this.store.get(romHash);
+        return record ? new Uint8Array(record.data) : null;
+    }
+
+    async save(romHash, data, gameName = '') {
+        await this.store.put({ key: romHash, gameName, timestamp: Date.now(), data });
+    }
+
+    async remove(romHash) {
+        await this.store.delete(romHash);
+    }
+}
+
+/**
+ * 检查导入的 .sav 文件，返回 { data, error }
+ * 其他模拟器导出的文件可能在 8KB 后附带额外数据，只取前 8KB
+ */
+export function parseSav(data) {
+    if (data.length < SRAM_SIZE) {
+        return { data: null, error: `存档文件大小不正确（${data.length} 字节，应为 ${SRAM_SIZE} 字节）` };
+    }
+    return { data: data.slice(0, SRAM_SIZE), error: null };
+}
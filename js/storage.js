@@ -0,0 +1,82 @@
+// 本地存储 - IndexedDB 封装
+const DB_NAME = 'hongbai-nes';
+const DB_VERSION = 4;
+
+// 对象仓库定义: {仓库名: keyPath}
+const STORES = {
+    savestates: 'key',
+    system: 'key', // BIOS 等用户提供的系统文件
+    library: 'key', // 本地游戏库条目
+    romdata: 'key', // 本地游戏库 ROM 数据
+    sram: 'key' // 电池存档，按 ROM 哈希
+};
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('浏览器不支持 IndexedDB'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            for (const [name, keyPath] of Object.entries(STORES)) {
+                if (!db.objectStoreNames.contains(name)) {
+                    db.createObjectStore(name, { keyPath });
+                }
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error || new Error('无法打开本地数据库'));
+        };
+    });
+
+    return dbPromise;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class LocalStore {
+    constructor(storeName) {
+        this.storeName = storeName;
+    }
+
+    async transaction(mode) {
+        const db = await openDatabase();
+        return db.transaction(this.storeName, mode).objectStore(this.storeName);
+    }
+
+    async get(key) {
+        const store = await this.transaction('readonly');
+        return promisify(store.get(key));
+    }
+
+    async getAll() {
+        const store = await this.transaction('readonly');
+        return promisify(store.getAll());
+    }
+
+    async put(record) {
+        const store = await this.transaction('readwrite');
+        return promisify(store.put(record));
+    }
+
+    async delete(key) {
+        const store = await this.transaction('readwrite');
+        return promisify(store.delete(key));
+    }
+}
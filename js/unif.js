@@ -0,0 +1,228 @@
+// UNIF 格式 - 解析块结构，按板卡名称换算 iNES Mapper，转换为 NES 2.0 文件
+// 块: 4 字节 ID + 4 字节长度（小端）+ 数据，文件头 32 字节（"UNIF" + 版本 + 保留）
+import { crc32 } from './hash.js';
+
+const UNIF_HEADER_SIZE = 32;
+
+// 板卡名称（去掉 NES-/HVC-/UNL-/BMC- 等前缀，大写）-> [mapper, submapper]
+// 参考 NesDev Wiki 的 UNIF 与 NES 2.0 对照表
+const BOARD_MAPPERS = new Map(Object.entries({
+    // 任天堂标准板
+    'NROM': [0, 0], 'NROM-128': [0, 0], 'NROM-256': [0, 0], 'RROM': [0, 0], 'RROM-128': [0, 0],
+    'SAROM': [1, 0], 'SBROM': [1, 0], 'SCROM': [1, 0], 'SEROM': [1, 5], 'SGROM': [1, 0], 'SHROM': [1, 5],
+    'SH1ROM': [1, 5], 'SKROM': [1, 0], 'SLROM': [1, 0], 'SL1ROM': [1, 0], 'SNROM': [1, 0], 'SOROM': [1, 0],
+    'SUROM': [1, 0], 'SXROM': [1, 0],
+    'UNROM': [2, 0], 'UOROM': [2, 0],
+    'CNROM': [3, 0],
+    'TBROM': [4, 0], 'TEROM': [4, 0], 'TFROM': [4, 0], 'TGROM': [4, 0], 'TKROM': [4, 0], 'TLROM': [4, 0],
+    'TL1ROM': [4, 0], 'TL2ROM': [4, 0], 'TNROM': [4, 0], 'TR1ROM': [4, 0], 'TSROM': [4, 0], 'TVROM': [4, 0],
+    'B4': [4, 0], 'HKROM': [4, 1],
+    'EKROM': [5, 0], 'ELROM': [5, 0], 'ETROM': [5, 0], 'EWROM': [5, 0],
+    'AMROM': [7, 0], 'ANROM': [7, 0], 'AN1ROM': [7, 0], 'AOROM': [7, 0],
+    'PNROM': [9, 0], 'PEEOROM': [9, 0],
+    'FJROM': [10, 0], 'FKROM': [10, 0],
+    'CPROM': [13, 0],
+    'BNROM': [34, 2], 'NINA-001': [34, 1],
+    'GNROM': [66, 0], 'MHROM': [66, 0],
+    'TLSROM': [118, 0], 'TKSROM': [118, 0],
+    'TQROM': [119, 0],
+    // 无授权卡带
+    'SL1632': [14, 0],
+    'CC-21': [27, 0],
+    'H2288': [123, 0],
+    'LH32': [125, 0],
+    '22211': [132, 0],
+    'SA-72008': [133, 0],
+    'SACHEN-8259D': [137, 0], 'SACHEN-8259B': [138, 0], 'SACHEN-8259C': [139, 0], 'SACHEN-8259A': [141, 0],
+    'KS7032': [142, 0],
+    'SA-NROM': [143, 0],
+    'SA-72007': [145, 0],
+    'TC-U01-1.5M': [147, 0],
+    'SA-0037': [148, 0],
+    'SA-0036': [149, 0],
+    'SACHEN-74LS374N': [150, 0],
+    '8237': [215, 0],
+    '603-5052': [238, 0],
+    'SHERO': [262, 0],
+    'KOF97': [263, 0],
+    'YOKO': [264, 0],
+    'TF1201': [298, 0],
+    'SMB2J': [304, 0],
+    // 多合一卡带
+    'SUPERHIK8IN1': [45, 0],
+    'MARIO1-MALEE2': [55, 0],
+    'D1038': [59, 0],
+    'SUPER700IN1': [62, 0],
+    'SUPER24IN1SC03': [176, 0], 'FK23C': [176, 0], 'FK23CA': [176, 0],
+    'NOVELDIAMOND9999999IN1': [201, 0],
+    'GHOSTBUSTERS63IN1': [226, 0],
+    '42IN1RESETSWITCH': [233, 0],
+    '70IN1': [236, 0], '70IN1B': [236, 0],
+    '810544-C-A1': [261, 0],
+    'T-262': [265, 0],
+    'GS-2004': [283, 0], 'GS-2013': [283, 0],
+    'A65AS': [285, 0],
+    'BS-5': [286, 0],
+    '411120-C': [287, 0],
+    '13IN1JY110': [295, 0],
+    '190IN1': [300, 0],
+    '8157': [301, 0],
+    '64IN1NOREPEAT': [314, 0],
+    '12-IN-1': [331, 0],
+    'WS': [332, 0]
+}));
+
+const BOARD_PREFIX = /^(NES|HVC|UNL|BMC|BTL|IREM|KONAMI|TENGEN|NAMCOT|SUNSOFT|TAITO|JALECO|BANDAI)-/;
+
+// MIRR 块: 0 水平 1 垂直 2/3 单屏 4 四屏 5 由 Mapper 控制
+const MIRRORING_FLAGS = [0x00, 0x01, 0x00, 0x00, 0x08, 0x00];
+
+const CONTROLLER_NAMES = ['标准手柄', '光枪', 'ROB', '街机摇杆', 'Power Pad', '四人适配器'];
+
+export function isUnif(data) {
+    return data.length >= 4 && data[0] === 0x55 && data[1] === 0x4E && data[2] === 0x49 && data[3] === 0x46;
+}
+
+export function lookupBoard(board) {
+    const name = board.trim().toUpperCase();
+    return BOARD_MAPPERS.get(name) || BOARD_MAPPERS.get(name.replace(BOARD_PREFIX, '')) || null;
+}
+
+function readString(bytes) {
+    const end = bytes.indexOf(0);
+    return new TextDecoder().decode(end >= 0 ? bytes.subarray(0, end) : bytes);
+}
+
+function concatChunks(chunks) {
+    const total = chunks.reduce((sum, c) => sum + c.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return result;
+}
+
+/**
+ * 解析 UNIF 块
+ * 返回 { board, prg: [16], chr: [16], prgCrc: [16], chrCrc: [16], mirroring, battery, tvSystem, controllers, name }
+ */
+export function parseUnif(data) {
+    const result = {
+        board: '',
+        name: '',
+        prg: new Array(16).fill(null),
+        chr: new Array(16).fill(null),
+        prgCrc: new Array(16).fill(null),
+        chrCrc: new Array(16).fill(null),
+        mirroring: null,
+        battery: false,
+        tvSystem: null,
+        controllers: null,
+        truncated: false
+    };
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let offset = UNIF_HEADER_SIZE;
+    while (offset + 8 <= data.length) {
+        const id = String.fromCharCode(data[offset], data[offset + 1], data[offset + 2], data[offset + 3]);
+        const length = view.getUint32(offset + 4, true);
+        offset += 8;
+        if (offset + length > data.length) {
+            result.truncated = true;
+            break;
+        }
+        const body = data.subarray(offset, offset + length);
+        offset += length;
+
+        // PRG0-PRGF / CHR0-CHRF / PCK0-PCKF / CCK0-CCKF，序号为十六进制
+        const index = parseInt(id[3], 16);
+        const kind = id.slice(0, 3);
+        if ((kind === 'PRG' || kind === 'CHR') && index >= 0) {
+            result[kind.toLowerCase()][index] = body;
+        } else if ((kind === 'PCK' || kind === 'CCK') && index >= 0 && length >= 4) {
+            result[kind === 'PCK' ? 'prgCrc' : 'chrCrc'][index] = view.getUint32(offset - length, true);
+        } else if (id === 'MAPR') {
+            result.board = readString(body);
+        } else if (id === 'NAME') {
+            result.name = readString(body);
+        } else if (id === 'MIRR' && length >= 1) {
+            result.mirroring = body[0];
+        } else if (id === 'BATR') {
+            result.battery = length === 0 || body[0] !== 0;
+        } else if (id === 'TVCI' && length >= 1) {
+            result.tvSystem = body[0];
+        } else if (id === 'CTRL' && length >= 1) {
+            result.controllers = body[0];
+        }
+    }
+    return result;
+}
+
+/**
+ * UNIF -> NES 2.0
+ * 返回 { rom, board, name, mapper, submapper, errors, warnings }，没有 PRG 数据时 rom 为 null
+ */
+export function convertUnif(data) {
+    const unif = parseUnif(data);
+    const errors = [];
+    const warnings = [];
+    if (unif.truncated) errors.push('UNIF 文件不完整');
+
+    // 按块序号拼接，而不是文件中的出现顺序
+    const prgChunks = unif.prg.filter(Boolean);
+    const chrChunks = unif.chr.filter(Boolean);
+    if (prgChunks.length === 0) {
+        errors.push('UNIF 文件中没有 PRG 数据');
+        return { rom: null, board: unif.board, name: unif.name, mapper: null, submapper: 0, errors, warnings };
+    }
+
+    for (let i = 0; i < 16; i++) {
+        if (unif.prg[i] && unif.prgCrc[i] !== null && crc32(unif.prg[i]) !== unif.prgCrc[i]) {
+            errors.push(`PRG${i.toString(16).toUpperCase()} 校验失败，文件可能已损坏`);
+        }
+        if (unif.chr[i] && unif.chrCrc[i] !== null && crc32(unif.chr[i]) !== unif.chrCrc[i]) {
+            errors.push(`CHR${i.toString(16).toUpperCase()} 校验失败，文件可能已损坏`);
+        }
+    }
+
+    const mapping = lookupBoard(unif.board);
+    let mapper = 0;
+    let submapper = 0;
+    if (mapping) {
+        [mapper, submapper] = mapping;
+    } else {
+        errors.push(unif.board ? `未知的 UNIF 板卡: ${unif.board}` : 'UNIF 文件缺少板卡名称（MAPR）');
+    }
+    if (unif.mirroring === 2 || unif.mirroring === 3) {
+        warnings.push('单屏镜像由 Mapper 控制，可能显示异常');
+    }
+    if (unif.controllers && unif.controllers !== 1) {
+        const names = CONTROLLER_NAMES.filter((_, bit) => unif.controllers & (1 << bit));
+        warnings.push(`需要外设: ${names.join('、')}`);
+    }
+
+    const prg = concatChunks(prgChunks);
+    const chr = concatChunks(chrChunks);
+    // NES 2.0 文件头（大小按 16KB/8KB 向上取整，不足部分补零）
+    const prgUnits = Math.ceil(prg.length / 16384);
+    const chrUnits = Math.ceil(chr.length / 8192);
+    const header = new Uint8Array(16);
+    header.set([0x4E, 0x45, 0x53, 0x1A]);
+    header[4] = prgUnits & 0xFF;
+    header[5] = chrUnits & 0xFF;
+    header[6] = ((mapper & 0x0F) << 4) | (unif.battery ? 0x02 : 0) | (MIRRORING_FLAGS[unif.mirroring] || 0);
+    header[7] = (mapper & 0xF0) | 0x08;
+    header[8] = (submapper << 4) | ((mapper >> 8) & 0x0F);
+    header[9] = ((chrUnits >> 8) << 4) | (prgUnits >> 8);
+    if (unif.battery) header[10] = 0x70; // 8KB 电池 PRG-RAM
+    if (chr.length === 0) header[11] = 0x07; // 8KB CHR-RAM
+    header[12] = unif.tvSystem === 1 ? 1 : unif.tvSystem === 2 ? 2 : 0;
+
+    const rom = new Uint8Array(16 + prgUnits * 16384 + chrUnits * 8192);
+    rom.set(header, 0);
+    rom.set(prg, 16);
+    rom.set(chr, 16 + prgUnits * 16384);
+    return { rom, board: unif.board, name: unif.name, mapper, submapper, errors, warnings };
+}
@@ -0,0 +1,159 @@
+// 搜索索引生成工具 - 由 roms-manifest.json 生成游戏选择器使用的 search-index.json
+//
+// 用法:
+//   node scripts/build-search-index.mjs [--manifest roms-manifest.json] [--out search-index.json]
+//
+// 每次更新 roms-manifest.json（例如运行 upload-roms.mjs）后重新生成。
+// 拼音来自 scripts/pinyin-table.json（GB2312 常用字 + 多音字词组），
+// 别名来自 scripts/game-aliases.json（同义词组，名称中出现组内任一词即生成其余写法的别名）。
+//
+// 索引格式（由 js/search.js 读取）:
+//   { version, games: [[id, 拼音音节, ROM 哈希, [[别名, 别名拼音音节], ...]?], ...] }
+// ROM 哈希取自清单的 crc32 字段（upload-roms.mjs 写入），用于关联 game-metadata.json，没有时为空串。
+// 拼音音节以空格分隔，非汉字的字母数字串原样作为一个音节，规范化和首字母在浏览器端计算。
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const SEARCH_INDEX_VERSION = 2;
+
+const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const HAN = /\p{Script=Han}/u;
+const WORD = /[a-z0-9]/;
+
+// ========== 参数 ==========
+function parseArgs(argv) {
+    const options = {
+        manifest: 'roms-manifest.json',
+        out: 'search-index.json',
+        pinyinTable: path.join(SCRIPT_DIR, 'pinyin-table.json'),
+        aliases: path.join(SCRIPT_DIR, 'game-aliases.json')
+    };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--manifest': options.manifest = argv[++i]; break;
+            case '--out': options.out = argv[++i]; break;
+            default: throw new Error(`未知参数: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+// ========== 拼音 ==========
+// { syllables: {音节: 汉字串}, phrases: {词组: 音节} } -> 单字表 + 词组表
+function loadPinyinTable(table) {
+    const chars = new Map();
+    for (const [syllable, text] of Object.entries(table.syllables)) {
+        for (const char of text) {
+            if (!chars.has(char)) chars.set(char, syllable);
+        }
+    }
+    const phrases = new Map(Object.entries(table.phrases).map(([word, reading]) => [word, reading.split(' ')]));
+    const maxPhrase = Math.max(0, ...[...phrases.keys()].map(w => [...w].length));
+    return { chars, phrases, maxPhrase };
+}
+
+// 文本 -> 音节数组；多音字优先按词组读，表里没有的汉字记入 missing
+function toSyllables(text, pinyin, missing) {
+    const chars = [...text.normalize('NFKC').toLowerCase()];
+    const syllables = [];
+    let word = '';
+    const flushWord = () => {
+        if (word) syllables.push(word);
+        word = '';
+    };
+
+    for (let i = 0; i < chars.length;) {
+        const char = chars[i];
+        if (WORD.test(char)) {
+            word += char;
+            i++;
+            continue;
+        }
+        flushWord();
+        if (!HAN.test(char)) {
+            i++;
+            continue;
+        }
+
+        let matched = 0;
+        for (let len = Math.min(pinyin.maxPhrase, chars.length - i); len >= 2; len--) {
+            const reading = pinyin.phrases.get(chars.slice(i, i + len).join(''));
+            if (reading) {
+                syllables.push(...reading);
+                matched = len;
+                break;
+            }
+        }
+        if (matched) {
+            i += matched;
+            continue;
+        }
+
+        const syllable = pinyin.chars.get(char);
+        if (syllable) {
+            syllables.push(syllable);
+        } else {
+            // 生僻字保留原字，仍可按汉字搜索
+            syllables.push(char);
+            missing.add(char);
+        }
+        i++;
+    }
+    flushWord();
+    return syllables.join(' ');
+}
+
+// ========== 别名 ==========
+// 名称中出现同义词组的某个词时，替换为组内其它写法
+function expandAliases(name, groups, used) {
+    const aliases = new Set();
+    groups.forEach((group, g) => {
+        const term = group.find(t => name.includes(t));
+        if (!term) return;
+        used.add(g);
+        for (const other of group) {
+            if (other !== term) aliases.add(name.replace(term, other));
+        }
+    });
+    aliases.delete(name);
+    return [...aliases];
+}
+
+// ========== 主流程 ==========
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const manifest = JSON.parse(await readFile(options.manifest, 'utf8'));
+    const pinyin = loadPinyinTable(JSON.parse(await readFile(options.pinyinTable, 'utf8')));
+    const groups = JSON.parse(await readFile(options.aliases, 'utf8'));
+
+    const missing = new Set();
+    const usedGroups = new Set();
+    let aliasCount = 0;
+
+    const games = manifest.files.map((file) => {
+        const id = file.name.replace(/\.(zip|nes|fds)$/i, '');
+        const entry = [id, toSyllables(id, pinyin, missing), file.crc32 || ''];
+        const aliases = expandAliases(id, groups, usedGroups);
+        if (aliases.length > 0) {
+            entry.push(aliases.map(alias => [alias, toSyllables(alias, pinyin, missing)]));
+            aliasCount += aliases.length;
+        }
+        return entry;
+    });
+
+    groups.forEach((group, g) => {
+        if (!usedGroups.has(g)) console.warn(`别名组未匹配任何游戏: ${group.join(' / ')}`);
+    });
+    if (missing.size > 0) console.warn(`拼音表缺少 ${missing.size} 个字: ${[...missing].join('')}`);
+
+    // 每个游戏一行，方便查看差异
+    const body = games.map(entry => `    ${JSON.stringify(entry)}`).join(',\n');
+    await writeFile(options.out, `{\n  "version": ${SEARCH_INDEX_VERSION},\n  "games": [\n${body}\n  ]\n}\n`);
+    console.log(`已写入 ${options.out}: ${games.length} 个游戏，${aliasCount} 个别名`);
+}
+
+main().catch((error) => {
+    console.error('错误:', error.message);
+    process.exit(1);
+});
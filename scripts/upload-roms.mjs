@@ -0,0 +1,352 @@
+// ROM 上传/校验工具 - 将 ROM 目录分块写入边缘 KV，并生成 roms-manifest.json
+//
+// 用法:
+//   node scripts/upload-roms.mjs <ROM目录> --check                       只校验，不上传
+//   node scripts/upload-roms.mjs <ROM目录> --endpoint https://站点 [--token T]  上传（token 也可用环境变量 UPLOAD_TOKEN）
+//   node scripts/upload-roms.mjs <ROM目录> --out kv-export               导出为本地 KV 文件（本地调试替身用）
+//   node scripts/upload-roms.mjs <ROM目录> --endpoint https://站点 --verify     上传后用 HEAD 核对 ETag 和大小
+//
+// KV 布局与 aliyun-edge/signaling.js 一致:
+//   romidx:{文件名}        索引 JSON
+//   romchunk:{文件名}:{n}  第 n 块的 base64
+//   meta:catalog           游戏目录
+//   meta:games             游戏元数据（game-metadata.json，按 ROM CRC32 索引）
+//
+// 每个 ROM 的元数据（Mapper、地区）会合并进 game-metadata.json，人数、类型、别名、封面需人工补充，
+// 已填写的字段不会被覆盖。
+import { readdir, readFile, writeFile, mkdir } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { inflateRawSync } from 'node:zlib';
+import path from 'node:path';
+
+const DEFAULT_CHUNK_SIZE = 256 * 1024;
+const FDS_SIDE_SIZE = 65500;
+const CONCURRENCY = 4;
+const RETRIES = 3;
+const METADATA_VERSION = 1;
+const REGION_TAGS = [['美版', 'US'], ['日版', 'JP'], ['欧版', 'EU'], ['中文', 'CN'], ['(U)', 'US'], ['(J)', 'JP'], ['(E)', 'EU']];
+
+// ========== 参数 ==========
+function parseArgs(argv) {
+    const options = {
+        romDir: null,
+        endpoint: null,
+        token: process.env.UPLOAD_TOKEN || null,
+        out: null,
+        manifest: 'roms-manifest.json',
+        metadata: 'game-metadata.json',
+        chunkSize: DEFAULT_CHUNK_SIZE,
+        check: false,
+        verify: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--endpoint': options.endpoint = argv[++i].replace(/\/+$/, ''); break;
+            case '--token': options.token = argv[++i]; break;
+            case '--out': options.out = argv[++i]; break;
+            case '--manifest': options.manifest = argv[++i]; break;
+            case '--metadata': options.metadata = argv[++i]; break;
+            case '--chunk-size': options.chunkSize = parseInt(argv[++i], 10); break;
+            case '--check': options.check = true; break;
+            case '--verify': options.verify = true; break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`未知参数: ${arg}`);
+                options.romDir = arg;
+        }
+    }
+    if (!options.romDir) throw new Error('请指定 ROM 目录');
+    if (!(options.chunkSize > 0)) throw new Error('--chunk-size 无效');
+    if (options.endpoint && !options.token && !options.check) throw new Error('上传需要 --token 或环境变量 UPLOAD_TOKEN');
+    return options;
+}
+
+// 与边缘函数的 sanitizeKey 保持一致
+function sanitizeKey(name) {
+    return name.replace(/ /g, '_').replace(/，/g, '_').replace(/,/g, '_');
+}
+
+// ========== 校验 ==========
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let c = i;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        table[i] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(data) {
+    let c = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) c = CRC_TABLE[(c ^ data[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// 读取 ZIP 中央目录，返回 [{name, method, compressedSize, size, crc, offset}]
+function readZipEntries(buf) {
+    let eocd = -1;
+    for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xFFFF); i--) {
+        if (buf.readUInt32LE(i) === 0x06054B50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('ZIP 结构损坏（找不到目录结尾）');
+
+    const count = buf.readUInt16LE(eocd + 10);
+    let offset = buf.readUInt32LE(eocd + 16);
+    const entries = [];
+    for (let n = 0; n < count; n++) {
+        if (buf.readUInt32LE(offset) !== 0x02014B50) throw new Error('ZIP 中央目录损坏');
+        const nameLength = buf.readUInt16LE(offset + 28);
+        const extraLength = buf.readUInt16LE(offset + 30);
+        const commentLength = buf.readUInt16LE(offset + 32);
+        entries.push({
+            method: buf.readUInt16LE(offset + 10),
+            crc: buf.readUInt32LE(offset + 16),
+            compressedSize: buf.readUInt32LE(offset + 20),
+            size: buf.readUInt32LE(offset + 24),
+            offset: buf.readUInt32LE(offset + 42),
+            name: buf.subarray(offset + 46, offset + 46 + nameLength).toString('latin1')
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+function extractZipEntry(buf, entry) {
+    const header = entry.offset;
+    if (buf.readUInt32LE(header) !== 0x04034B50) throw new Error(`ZIP 条目头损坏: ${entry.name}`);
+    const start = header + 30 + buf.readUInt16LE(header + 26) + buf.readUInt16LE(header + 28);
+    const raw = buf.subarray(start, start + entry.compressedSize);
+
+    let data;
+    if (entry.method === 0) data = raw;
+    else if (entry.method === 8) data = inflateRawSync(raw);
+    else throw new Error(`不支持的压缩方式 ${entry.method}: ${entry.name}`);
+
+    if (data.length !== entry.size || crc32(data) !== entry.crc) {
+        throw new Error(`CRC 校验失败: ${entry.name}`);
+    }
+    return data;
+}
+
+// 检查 iNES 头，返回 {mapper, prgSize, chrSize, crc32}
+// crc32 为整个 .nes 文件的 CRC32，与浏览器端 emulator.romHash 一致
+function inspectNes(data) {
+    if (data.length < 16 || data.readUInt32BE(0) !== 0x4E45531A) {
+        throw new Error('不是有效的 iNES 文件');
+    }
+    const prgSize = data[4] * 16384;
+    const chrSize = data[5] * 8192;
+    const trainer = (data[6] & 0x04) ? 512 : 0;
+    const mapper = (data[6] >> 4) | (data[7] & 0xF0);
+    if (prgSize === 0) throw new Error('PRG 大小为 0');
+    if (16 + trainer + prgSize + chrSize > data.length) {
+        throw new Error(`文件不完整（头部声明 ${16 + trainer + prgSize + chrSize} 字节，实际 ${data.length}）`);
+    }
+    return { mapper, prgSize, chrSize, crc32: crc32(data).toString(16).toUpperCase().padStart(8, '0') };
+}
+
+// 检查 FDS 磁碟镜像，返回 {mapper: null, diskSides, crc32}
+// crc32 为去掉 16 字节 fwNES 文件头后的磁碟数据，与浏览器端 emulator.romHash 一致
+function inspectFds(data) {
+    const body = data.length >= 4 && data.readUInt32BE(0) === 0x4644531A ? data.subarray(16) : data;
+    const diskSides = Math.floor(body.length / FDS_SIDE_SIZE);
+    if (diskSides === 0) throw new Error(`磁碟镜像不完整（每面 ${FDS_SIDE_SIZE} 字节，实际 ${body.length}）`);
+    if (body[0] !== 0x01 || body.toString('latin1', 1, 15) !== '*NINTENDO-HVC*') {
+        throw new Error('不是有效的 FDS 磁碟镜像');
+    }
+    const crc = crc32(body.subarray(0, diskSides * FDS_SIDE_SIZE));
+    return { mapper: null, diskSides, crc32: crc.toString(16).toUpperCase().padStart(8, '0') };
+}
+
+function inspectRom(name, buf) {
+    const ext = path.extname(name).toLowerCase();
+    if (ext === '.nes') {
+        return { ...inspectNes(buf), contentType: 'application/x-nes-rom', ext: '.nes' };
+    }
+    if (ext === '.fds') {
+        return { ...inspectFds(buf), contentType: 'application/x-fds-disk', ext: '.fds' };
+    }
+    if (ext === '.zip') {
+        // 与浏览器端 extractNesFromZip 的优先顺序一致：先 .nes，再 .fds
+        const entries = readZipEntries(buf);
+        const nesEntry = entries.find(e => e.name.toLowerCase().endsWith('.nes'));
+        const fdsEntry = entries.find(e => e.name.toLowerCase().endsWith('.fds'));
+        if (!nesEntry && !fdsEntry) throw new Error('ZIP 中没有 .nes / .fds 文件');
+        const info = nesEntry ? inspectNes(extractZipEntry(buf, nesEntry)) : inspectFds(extractZipEntry(buf, fdsEntry));
+        return { ...info, contentType: 'application/zip', ext: '.zip' };
+    }
+    throw new Error(`不支持的文件类型: ${ext}`);
+}
+
+// ========== KV 写入 ==========
+function buildRecords(file, buf, info, chunkSize) {
+    const sha256 = createHash('sha256').update(buf).digest('hex');
+    const chunks = Math.max(1, Math.ceil(buf.length / chunkSize));
+    const records = [];
+    for (let i = 0; i < chunks; i++) {
+        records.push({
+            key: `romchunk:${file}:${i}`,
+            value: buf.subarray(i * chunkSize, (i + 1) * chunkSize).toString('base64')
+        });
+    }
+    // 索引最后写入，保证读取时分块都已就绪
+    const index = {
+        file,
+        size: buf.length,
+        chunkSize,
+        chunks,
+        sha256,
+        contentType: info.contentType,
+        ext: info.ext,
+        mapper: info.mapper
+    };
+    records.push({ key: `romidx:${file}`, value: JSON.stringify(index) });
+    return { records, index };
+}
+
+async function putKv(options, key, value) {
+    if (options.out) {
+        await writeFile(path.join(options.out, encodeURIComponent(key)), value);
+        return;
+    }
+
+    const url = `${options.endpoint}/api/admin/kv/${encodeURIComponent(key)}`;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const res = await fetch(url, {
+                method: 'PUT',
+                headers: { 'Authorization': `Bearer ${options.token}`, 'Content-Type': 'text/plain' },
+                body: value
+            });
+            if (res.ok) return;
+            // 4xx 不重试
+            if (res.status < 500) throw Object.assign(new Error(`HTTP ${res.status}: ${await res.text()}`), { fatal: true });
+            throw new Error(`HTTP ${res.status}`);
+        } catch (error) {
+            if (error.fatal || attempt >= RETRIES) throw error;
+            await new Promise(r => setTimeout(r, 1000 * attempt));
+        }
+    }
+}
+
+async function runPool(items, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(CONCURRENCY, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+}
+
+// 上传后用 HEAD 核对
+async function verifyUpload(options, entry) {
+    const id = entry.name.replace(/\.(zip|nes|fds)$/i, '');
+    const res = await fetch(`${options.endpoint}/api/rom/${encodeURIComponent(id)}`, { method: 'HEAD' });
+    if (!res.ok) throw new Error(`HEAD 返回 ${res.status}`);
+    const etag = `"${entry.sha256.slice(0, 32)}"`;
+    if (res.headers.get('etag') !== etag) throw new Error(`ETag 不一致: ${res.headers.get('etag')} != ${etag}`);
+    if (Number(res.headers.get('content-length')) !== entry.size) throw new Error('大小不一致');
+}
+
+// ========== 元数据 ==========
+function guessRegion(name) {
+    return REGION_TAGS.find(([tag]) => name.includes(tag))?.[1] || null;
+}
+
+// 合并进已有的元数据文件：人工填写的字段保留，Mapper 以 ROM 头为准
+async function updateMetadata(options, files) {
+    let data = { version: METADATA_VERSION, games: {} };
+    try {
+        data = JSON.parse(await readFile(options.metadata, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw new Error(`无法读取 ${options.metadata}: ${error.message}`);
+    }
+
+    let added = 0;
+    for (const file of files) {
+        const id = file.name.replace(/\.(zip|nes|fds)$/i, '');
+        const existing = data.games[file.crc32];
+        if (!existing) added++;
+        data.games[file.crc32] = { name: id, region: guessRegion(id), ...existing, mapper: file.mapper };
+    }
+
+    const games = Object.fromEntries(Object.keys(data.games).sort().map(hash => [hash, data.games[hash]]));
+    const text = JSON.stringify({ version: METADATA_VERSION, games }, null, 2) + '\n';
+    await writeFile(options.metadata, text);
+    console.log(`已更新 ${options.metadata}（新增 ${added} 条）`);
+    return text;
+}
+
+// ========== 主流程 ==========
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const upload = !options.check && (options.endpoint || options.out);
+    if (options.out) await mkdir(options.out, { recursive: true });
+
+    const names = (await readdir(options.romDir))
+        .filter(name => /\.(zip|nes|fds)$/i.test(name))
+        .sort((a, b) => a.localeCompare(b, 'zh-Hans-CN'));
+    console.log(`找到 ${names.length} 个 ROM 文件`);
+
+    const manifestFiles = [];
+    const failures = [];
+    let done = 0;
+
+    await runPool(names, async (name) => {
+        try {
+            const buf = await readFile(path.join(options.romDir, name));
+            const info = inspectRom(name, buf);
+            const file = sanitizeKey(name);
+            const { records, index } = buildRecords(file, buf, info, options.chunkSize);
+
+            if (upload) {
+                for (const record of records) await putKv(options, record.key, record.value);
+            }
+            const entry = {
+                name,
+                key: `romidx:${file}`,
+                size: buf.length,
+                sha256: index.sha256,
+                crc32: info.crc32,
+                mapper: info.mapper
+            };
+            if (upload && options.verify && options.endpoint) await verifyUpload(options, entry);
+            manifestFiles.push(entry);
+        } catch (error) {
+            failures.push({ name, message: error.message });
+            console.error(`✗ ${name}: ${error.message}`);
+        }
+        done++;
+        if (done % 50 === 0 || done === names.length) console.log(`进度 ${done}/${names.length}`);
+    });
+
+    manifestFiles.sort((a, b) => a.name.localeCompare(b.name, 'zh-Hans-CN'));
+    const manifest = {
+        total: manifestFiles.length,
+        total_size: manifestFiles.reduce((sum, f) => sum + f.size, 0),
+        files: manifestFiles
+    };
+
+    if (!options.check) {
+        await writeFile(options.manifest, JSON.stringify(manifest, null, 2));
+        console.log(`已写入 ${options.manifest}，请运行 node scripts/build-search-index.mjs 更新搜索索引`);
+        if (upload) await putKv(options, 'meta:catalog', JSON.stringify(manifest));
+
+        const metadata = await updateMetadata(options, manifestFiles);
+        if (upload) await putKv(options, 'meta:games', metadata);
+    }
+
+    console.log(`完成: ${manifestFiles.length} 个成功，${failures.length} 个失败`);
+    if (failures.length > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+    console.error('错误:', error.message);
+    process.exit(1);
+});
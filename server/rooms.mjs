@@ -0,0 +1,283 @@
+// 房间管理 - 信令协议的状态机，与传输层无关
+// 客户端 -> 服务器: create / join / rejoin / leave / signal
+// 服务器 -> 客户端: created / joined / player-joined / player-left / room-closed / rejoined / host-migrated / error
+import { randomBytes, randomInt } from 'node:crypto';
+
+export const MAX_PLAYERS = 4;
+export const HOST_SEAT = 1;
+
+// 去掉容易混淆的 0/O/1/I
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// 默认的房主选举：在线玩家中座位号最小的一个，没有在线玩家时关闭房间
+// 与 aliyun-edge/signaling.js 的 electNewHost 规则必须保持一致（边缘函数单文件部署，无法共用模块）
+export function electNewHost(room) {
+    const online = [...room.seats.entries()]
+        .filter(([, seat]) => seat.client)
+        .map(([playerNum]) => playerNum);
+    return online.length > 0 ? Math.min(...online) : null;
+}
+
+export const DEFAULT_OPTIONS = {
+    idleTimeout: 30 * 60 * 1000, // 房间无任何消息多久后关闭
+    rejoinGrace: 30 * 1000,      // 断线后保留座位的时间，覆盖客户端的重连退避
+    // 房主离开时调用 (room, leftPlayerNum) => 新房主座位号，返回 null 则关闭房间
+    migrateHost: electNewHost,
+    now: () => Date.now(),
+    log: (...args) => console.log(...args)
+};
+
+export class RoomRegistry {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.rooms = new Map(); // roomCode -> room
+    }
+
+    generateCode() {
+        for (let attempt = 0; attempt < 100; attempt++) {
+            let code = '';
+            for (let i = 0; i < CODE_LENGTH; i++) {
+                code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+            }
+            if (!this.rooms.has(code)) return code;
+        }
+        throw new Error('无法生成房间号');
+    }
+
+    // client: { send(data) }，由本类写入 roomCode / playerNum
+    handleMessage(client, data) {
+        if (!data || typeof data.type !== 'string') {
+            this.sendError(client, '无效的消息');
+            return;
+        }
+
+        const room = client.roomCode ? this.rooms.get(client.roomCode) : null;
+        if (room) room.lastActivity = this.options.now();
+
+        switch (data.type) {
+            case 'create':
+                this.createRoom(client);
+                break;
+            case 'join':
+                this.joinRoom(client, data.roomCode);
+                break;
+            case 'rejoin':
+                this.rejoinRoom(client, data.roomCode, data.playerNum, data.peerId);
+                break;
+            case 'leave':
+                this.leaveRoom(client);
+                break;
+            case 'signal':
+                this.relaySignal(client, data.toPlayer, data.data);
+                break;
+            default:
+                this.sendError(client, `未知消息类型: ${data.type}`);
+        }
+    }
+
+    // 连接断开（未发送 leave）：保留座位等待重连
+    handleDisconnect(client) {
+        const room = this.rooms.get(client.roomCode);
+        const seat = room?.seats.get(client.playerNum);
+        if (!seat || seat.client !== client) return;
+
+        seat.client = null;
+        seat.disconnectedAt = this.options.now();
+        this.options.log(`[${room.code}] P${client.playerNum} 断线，保留座位`);
+    }
+
+    createRoom(client) {
+        this.leaveRoom(client);
+
+        const code = this.generateCode();
+        const now = this.options.now();
+        const room = {
+            code,
+            hostSeat: HOST_SEAT,
+            seats: new Map(),
+            createdAt: now,
+            lastActivity: now
+        };
+        this.rooms.set(code, room);
+        this.seatClient(room, client, HOST_SEAT, '房主');
+
+        client.send({ type: 'created', roomCode: code, playerNum: HOST_SEAT, peerId: client.peerId });
+        this.options.log(`[${code}] 房间已创建`);
+    }
+
+    joinRoom(client, roomCode) {
+        const code = String(roomCode || '').toUpperCase();
+        const room = this.rooms.get(code);
+        if (!room) {
+            this.sendError(client, '房间不存在');
+            return;
+        }
+        if (client.roomCode === code) {
+            this.sendError(client, '已在房间中');
+            return;
+        }
+
+        const playerNum = this.findFreeSeat(room);
+        if (!playerNum) {
+            this.sendError(client, '房间已满');
+            return;
+        }
+
+        this.leaveRoom(client);
+        this.seatClient(room, client, playerNum, `玩家${playerNum}`);
+        room.lastActivity = this.options.now();
+
+        client.send({
+            type: 'joined',
+            roomCode: code,
+            playerNum,
+            peerId: client.peerId,
+            hostSeat: room.hostSeat,
+            players: this.listPlayers(room)
+        });
+        this.broadcast(room, { type: 'player-joined', playerNum, name: `玩家${playerNum}` }, playerNum);
+        this.options.log(`[${code}] P${playerNum} 加入`);
+    }
+
+    // peerId 只发给座位的主人，作为重连凭证，防止其他玩家冒用座位号顶替
+    rejoinRoom(client, roomCode, playerNum, peerId) {
+        const code = String(roomCode || '').toUpperCase();
+        const room = this.rooms.get(code);
+        const seat = room?.seats.get(playerNum);
+        if (!seat || !peerId || seat.peerId !== peerId) {
+            this.sendError(client, '房间不存在或座位已失效');
+            return;
+        }
+
+        // 旧连接可能还没超时，直接顶替
+        if (seat.client && seat.client !== client) {
+            seat.client.roomCode = null;
+            seat.client.playerNum = 0;
+        }
+        seat.client = client;
+        seat.disconnectedAt = null;
+        client.roomCode = code;
+        client.playerNum = playerNum;
+        client.peerId = seat.peerId;
+        room.lastActivity = this.options.now();
+
+        client.send({ type: 'rejoined', roomCode: code, playerNum, peerId: seat.peerId, hostSeat: room.hostSeat });
+        this.options.log(`[${code}] P${playerNum} 重新连接`);
+    }
+
+    leaveRoom(client) {
+        const room = this.rooms.get(client.roomCode);
+        const playerNum = client.playerNum;
+        client.roomCode = null;
+        client.playerNum = 0;
+        if (!room || room.seats.get(playerNum)?.client !== client) return;
+
+        this.removeSeat(room, playerNum);
+    }
+
+    removeSeat(room, playerNum) {
+        room.seats.delete(playerNum);
+        this.options.log(`[${room.code}] P${playerNum} 离开`);
+
+        if (playerNum !== room.hostSeat) {
+            this.broadcast(room, { type: 'player-left', playerNum });
+            return;
+        }
+
+        // 房主离开：交给迁移钩子决定新房主，否则关闭房间
+        const newHost = room.seats.size > 0 && this.options.migrateHost
+            ? this.options.migrateHost(room, playerNum)
+            : null;
+        if (newHost && room.seats.has(newHost)) {
+            room.hostSeat = newHost;
+            this.broadcast(room, { type: 'player-left', playerNum });
+            this.broadcast(room, { type: 'host-migrated', playerNum: newHost, players: this.listPlayers(room) });
+            this.options.log(`[${room.code}] 房主迁移到 P${newHost}`);
+            return;
+        }
+
+        this.closeRoom(room, '房主已离开，房间已关闭');
+    }
+
+    closeRoom(room, message) {
+        this.broadcast(room, { type: 'room-closed', message });
+        for (const seat of room.seats.values()) {
+            if (seat.client) {
+                seat.client.roomCode = null;
+                seat.client.playerNum = 0;
+            }
+        }
+        room.seats.clear();
+        this.rooms.delete(room.code);
+        this.options.log(`[${room.code}] 房间关闭: ${message}`);
+    }
+
+    relaySignal(client, toPlayer, signalData) {
+        const room = this.rooms.get(client.roomCode);
+        if (!room) {
+            this.sendError(client, '未加入房间');
+            return;
+        }
+        const target = room.seats.get(toPlayer)?.client;
+        if (!target) {
+            this.options.log(`[${room.code}] P${toPlayer} 不在线，丢弃信令`);
+            return;
+        }
+        target.send({ type: 'signal', fromPlayer: client.playerNum, data: signalData });
+    }
+
+    // 定期调用：清理超时未重连的座位和长时间无活动的房间
+    sweep() {
+        const now = this.options.now();
+        for (const room of [...this.rooms.values()]) {
+            if (now - room.lastActivity > this.options.idleTimeout) {
+                this.closeRoom(room, '房间长时间无活动，已关闭');
+                continue;
+            }
+            for (const [playerNum, seat] of [...room.seats]) {
+                if (!this.rooms.has(room.code)) break;
+                if (!seat.client && now - seat.disconnectedAt > this.options.rejoinGrace) {
+                    this.removeSeat(room, playerNum);
+                }
+            }
+        }
+    }
+
+    seatClient(room, client, playerNum, name) {
+        client.roomCode = room.code;
+        client.playerNum = playerNum;
+        client.peerId = randomBytes(8).toString('hex');
+        room.seats.set(playerNum, { client, name, peerId: client.peerId, disconnectedAt: null });
+    }
+
+    findFreeSeat(room) {
+        for (let n = 1; n <= MAX_PLAYERS; n++) {
+            if (!room.seats.has(n)) return n;
+        }
+        return 0;
+    }
+
+    // 字段与 aliyun-edge/signaling.js 的 listPlayers 保持一致
+    listPlayers(room) {
+        return [...room.seats.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([playerNum, seat]) => ({ playerNum, name: seat.name, connected: !!seat.client }));
+    }
+
+    broadcast(room, data, excludePlayer = null) {
+        for (const [playerNum, seat] of room.seats) {
+            if (playerNum !== excludePlayer && seat.client) seat.client.send(data);
+        }
+    }
+
+    sendError(client, message) {
+        client.send({ type: 'error', message });
+    }
+
+    getStats() {
+        let players = 0;
+        for (const room of this.rooms.values()) players += room.seats.size;
+        return { rooms: this.rooms.size, players };
+    }
+}
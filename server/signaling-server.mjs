@@ -0,0 +1,116 @@
+// 信令服务器 - 转发 WebRTC 握手，管理房间
+// 用法: node server/signaling-server.mjs
+// 环境变量: PORT（默认 8765）、TLS_CERT / TLS_KEY（设置后启用 wss）
+import http from 'node:http';
+import https from 'node:https';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { acceptUpgrade } from './websocket.mjs';
+import { RoomRegistry } from './rooms.mjs';
+
+export const DEFAULT_PORT = 8765;
+const HEARTBEAT_INTERVAL = 30 * 1000;
+const SWEEP_INTERVAL = 5 * 1000;
+
+export function createSignalingServer(options = {}) {
+    const log = options.log || ((...args) => console.log(...args));
+    const registry = new RoomRegistry({ ...options, log });
+    const connections = new Set();
+
+    const handleHttp = (req, res) => {
+        // 健康检查
+        if (req.url === '/health') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: true, ...registry.getStats() }));
+            return;
+        }
+        res.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('需要 WebSocket 连接');
+    };
+
+    const server = options.tls
+        ? https.createServer(options.tls, handleHttp)
+        : http.createServer(handleHttp);
+
+    server.on('upgrade', (req, socket, head) => {
+        const ws = acceptUpgrade(req, socket, head);
+        if (!ws) return;
+
+        const client = {
+            ws,
+            roomCode: null,
+            playerNum: 0,
+            peerId: null,
+            send(data) {
+                ws.send(JSON.stringify(data));
+            }
+        };
+        connections.add(client);
+
+        ws.on('message', (text) => {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                registry.sendError(client, '消息格式错误');
+                return;
+            }
+            registry.handleMessage(client, data);
+        });
+
+        ws.on('close', () => {
+            connections.delete(client);
+            registry.handleDisconnect(client);
+        });
+    });
+
+    // 心跳：上一轮 ping 没有回应的连接视为断线
+    const heartbeatTimer = setInterval(() => {
+        for (const client of connections) {
+            if (!client.ws.isAlive) {
+                client.ws.terminate();
+                continue;
+            }
+            client.ws.ping();
+        }
+    }, options.heartbeatInterval || HEARTBEAT_INTERVAL);
+
+    const sweepTimer = setInterval(() => registry.sweep(), options.sweepInterval || SWEEP_INTERVAL);
+
+    return {
+        server,
+        registry,
+        listen(port = DEFAULT_PORT, host) {
+            return new Promise((resolve) => {
+                server.listen(port, host, () => resolve(server.address().port));
+            });
+        },
+        close() {
+            clearInterval(heartbeatTimer);
+            clearInterval(sweepTimer);
+            for (const client of connections) client.ws.terminate();
+            connections.clear();
+            return new Promise((resolve) => server.close(() => resolve()));
+        }
+    };
+}
+
+// 直接运行时启动服务
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+    const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+    const tls = process.env.TLS_CERT && process.env.TLS_KEY
+        ? { cert: readFileSync(process.env.TLS_CERT), key: readFileSync(process.env.TLS_KEY) }
+        : null;
+
+    const signaling = createSignalingServer({ tls });
+    signaling.listen(port).then((actualPort) => {
+        console.log(`🎮 信令服务器已启动: ${tls ? 'wss' : 'ws'}://localhost:${actualPort}`);
+    });
+
+    const shutdown = () => {
+        console.log('正在关闭信令服务器...');
+        signaling.close().then(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,202 @@
+// 最小 WebSocket 实现（RFC 6455）- 只用 Node 内置模块，信令只需要文本消息
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 64 * 1024; // SDP 和 ICE 候选都很小
+
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_BINARY = 0x2;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xA;
+
+export class WebSocketConnection extends EventEmitter {
+    constructor(socket, head = null) {
+        super();
+        this.socket = socket;
+        this.buffer = head && head.length ? Buffer.from(head) : Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentSize = 0;
+        this.closed = false;
+        this.isAlive = true;
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => {
+            this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+            this.parse();
+        });
+        socket.on('close', () => this.finish(1006, ''));
+        socket.on('error', () => this.finish(1006, ''));
+
+        if (this.buffer.length) setImmediate(() => this.parse());
+    }
+
+    get isOpen() {
+        return !this.closed && !this.socket.destroyed;
+    }
+
+    parse() {
+        while (!this.closed && this.buffer.length >= 2) {
+            const b0 = this.buffer[0];
+            const b1 = this.buffer[1];
+            const fin = (b0 & 0x80) !== 0;
+            const opcode = b0 & 0x0F;
+            const masked = (b1 & 0x80) !== 0;
+            let length = b1 & 0x7F;
+            let offset = 2;
+
+            if (!masked) {
+                // 客户端发来的帧必须掩码
+                this.close(1002, 'unmasked frame');
+                return;
+            }
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                const high = this.buffer.readUInt32BE(2);
+                length = this.buffer.readUInt32BE(6);
+                if (high !== 0) length = Infinity;
+                offset = 10;
+            }
+
+            if (length > MAX_MESSAGE_SIZE) {
+                this.close(1009, 'message too big');
+                return;
+            }
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OP_TEXT:
+            case OP_CONTINUATION:
+                if (opcode === OP_TEXT && this.fragments.length) {
+                    this.close(1002, 'unexpected text frame');
+                    return;
+                }
+                this.fragments.push(payload);
+                this.fragmentSize += payload.length;
+                if (this.fragmentSize > MAX_MESSAGE_SIZE) {
+                    this.close(1009, 'message too big');
+                    return;
+                }
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentSize = 0;
+                    this.emit('message', text);
+                }
+                break;
+            case OP_BINARY:
+                this.close(1003, 'binary not supported');
+                break;
+            case OP_CLOSE: {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+                const reason = payload.length > 2 ? payload.subarray(2).toString('utf8') : '';
+                this.close(code === 1005 ? 1000 : code, reason);
+                break;
+            }
+            case OP_PING:
+                this.writeFrame(OP_PONG, payload);
+                break;
+            case OP_PONG:
+                this.isAlive = true;
+                this.emit('pong');
+                break;
+            default:
+                this.close(1002, 'unknown opcode');
+        }
+    }
+
+    writeFrame(opcode, payload) {
+        if (this.socket.destroyed) return;
+        const length = payload.length;
+        let header;
+        if (length < 126) {
+            header = Buffer.from([0x80 | opcode, length]);
+        } else if (length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeUInt32BE(0, 2);
+            header.writeUInt32BE(length, 6);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(text) {
+        if (!this.isOpen) return false;
+        this.writeFrame(OP_TEXT, Buffer.from(text, 'utf8'));
+        return true;
+    }
+
+    ping() {
+        if (!this.isOpen) return;
+        this.isAlive = false;
+        this.writeFrame(OP_PING, Buffer.alloc(0));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        const reasonBytes = Buffer.from(reason, 'utf8');
+        const payload = Buffer.alloc(2 + reasonBytes.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBytes.copy(payload, 2);
+        this.writeFrame(OP_CLOSE, payload);
+        this.socket.end();
+        this.finish(code, reason);
+    }
+
+    // 直接断开（心跳超时）
+    terminate() {
+        this.socket.destroy();
+        this.finish(1006, '');
+    }
+
+    finish(code, reason) {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close', code, reason);
+    }
+}
+
+// 处理 HTTP upgrade 请求，握手失败返回 null
+export function acceptUpgrade(req, socket, head) {
+    const key = req.headers['sec-websocket-key'];
+    const upgrade = (req.headers.upgrade || '').toLowerCase();
+    if (upgrade !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = createHash('sha1').update(key + GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket, head);
+}
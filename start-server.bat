@@ -0,0 +1,5 @@
+@echo off
+chcp 65001 >nul
+echo 启动信令服务器...
+node "%~dp0server\signaling-server.mjs"
+pause
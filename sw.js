@@ -0,0 +1,117 @@
+// Service Worker - 离线模式
+// 安装时预缓存页面、脚本和 vendor/ 下的模拟器库，断网后单人模式仍可使用
+// 7z 解压库（wasm 约 1.6MB）只在导入 .7z 时加载，第一次用到时才缓存
+// 玩过的 ROM 保存在本地游戏库（IndexedDB，见 js/library.js），这里不重复缓存
+const VERSION = 'v2';
+const SHELL_CACHE = `shell-${VERSION}`;
+const FONT_CACHE = 'fonts'; // 像素字体，首次用到时缓存，不随 VERSION 清理
+
+// 新增 js 文件时需要加到这里
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/css/style.css',
+    '/manifest.webmanifest',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
+    '/search-index.json',
+    '/game-metadata.json',
+    '/roms-manifest.json',
+    '/js/main.js',
+    '/js/archive.js',
+    '/js/audio.js',
+    '/js/audiocodec.js',
+    '/js/audioring.js',
+    '/js/audioworklet.js',
+    '/js/binary.js',
+    '/js/chat.js',
+    '/js/emulator.js',
+    '/js/fds.js',
+    '/js/framecodec.js',
+    '/js/hash.js',
+    '/js/input.js',
+    '/js/library.js',
+    '/js/metadata.js',
+    '/js/netplay.js',
+    '/js/protocol.js',
+    '/js/rominfo.js',
+    '/js/romtransfer.js',
+    '/js/room.js',
+    '/js/savestate.js',
+    '/js/search.js',
+    '/js/sram.js',
+    '/js/storage.js',
+    '/js/ui.js',
+    '/js/unif.js',
+    // 模拟器和解压库（目录名带版本号，升级时与 index.html、js/archive.js 一起改）
+    '/vendor/jsnes-1.2.1/jsnes.min.js',
+    '/vendor/jszip-3.10.1/jszip.min.js'
+];
+
+// 首次用到时再缓存的站内文件：目录名带版本号，内容不会变，有缓存就不再请求
+const LAZY_VENDOR = ['/vendor/7z-wasm-1.2.0/'];
+
+// 首次用到时再缓存的第三方资源：像素字体
+const RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// 只走网络的接口：信令、目录搜索、ROM 下载
+const NETWORK_ONLY = ['/ws', '/api/', '/roms/'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        for (const key of await caches.keys()) {
+            if (key.startsWith('shell-') && key !== SHELL_CACHE) await caches.delete(key);
+        }
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (NETWORK_ONLY.some(prefix => url.pathname.startsWith(prefix))) return;
+        if (LAZY_VENDOR.some(prefix => url.pathname.startsWith(prefix))) {
+            event.respondWith(cacheFirst(request, SHELL_CACHE));
+            return;
+        }
+        event.respondWith(networkFirst(request));
+    } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, FONT_CACHE));
+    }
+});
+
+// 站内文件：联网时总是取最新并更新缓存，断网时用缓存
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (e) {
+        const cached = await cache.match(request, { ignoreSearch: true })
+            || (request.mode === 'navigate' ? await cache.match('/index.html') : null);
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+// 字体和按需加载的库：有缓存就不再请求
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
@@ -0,0 +1,61 @@
+// 音频环形缓冲测试 - 模拟器按 60.0988fps 产出采样，音频线程按固定块读取
+// 运行: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioRingBuffer } from '../js/audioring.js';
+
+const NES_FPS = 60.0988;
+const QUANTUM = 128; // AudioWorklet 每次 process 的采样数
+
+// 按时间顺序交替写入和读取 seconds 秒；jsnes 每帧产出 producerRate / 60 个采样
+function simulate(ring, outputRate, producerRate, seconds) {
+    const perFrame = producerRate / 60;
+    const outLeft = new Float32Array(QUANTUM);
+    const outRight = new Float32Array(QUANTUM);
+    let frame = 0;
+    let block = 0;
+    let produced = 0;
+    let pending = 0;
+    let minLatency = Infinity;
+    let maxLatency = 0;
+
+    while (block * QUANTUM / outputRate < seconds) {
+        const frameTime = frame / NES_FPS;
+        const blockTime = block * QUANTUM / outputRate;
+        if (frameTime <= blockTime) {
+            pending += perFrame;
+            const count = Math.floor(pending);
+            pending -= count;
+            const samples = new Float32Array(count * 2);
+            for (let i = 0; i < samples.length; i++) samples[i] = Math.sin((produced + (i >> 1)) / 20);
+            produced += count;
+            ring.write(samples);
+            frame++;
+        } else {
+            ring.read(outLeft, outRight);
+            block++;
+            if (blockTime > 5) {
+                minLatency = Math.min(minLatency, ring.latency);
+                maxLatency = Math.max(maxLatency, ring.latency);
+            }
+        }
+    }
+    return { minLatency, maxLatency };
+}
+
+test('采样率一致时速率微调吸收 60.0988fps 的多余采样，不溢出', () => {
+    for (const rate of [44100, 48000]) {
+        const ring = new AudioRingBuffer(rate, 0.06);
+        const { minLatency, maxLatency } = simulate(ring, rate, rate, 120);
+        assert.equal(ring.overruns, 0, `${rate}Hz 溢出 ${ring.overruns} 次`);
+        assert.equal(ring.underruns, 0, `${rate}Hz 欠载 ${ring.underruns} 次`);
+        assert.ok(maxLatency < ring.maxFill / rate, `${rate}Hz 最大延迟 ${maxLatency}`);
+        assert.ok(minLatency > 0, `${rate}Hz 最小延迟 ${minLatency}`);
+    }
+});
+
+test('jsnes 默认 48000Hz 写入 44100Hz 输出会反复溢出', () => {
+    const ring = new AudioRingBuffer(44100, 0.06);
+    simulate(ring, 44100, 48000, 30);
+    assert.ok(ring.overruns > 0);
+});
@@ -0,0 +1,93 @@
+// 边缘函数游戏目录测试 - /api/games 只使用清单和元数据里的字段
+// 运行: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleRequest } from '../aliyun-edge/signaling.js';
+
+function memoryKv(entries) {
+    const store = new Map(Object.entries(entries));
+    return {
+        async get(key) { return store.get(key) ?? null; },
+        async put(key, value) { store.set(key, value); },
+        async delete(key) { store.delete(key); }
+    };
+}
+
+const manifest = {
+    total: 2,
+    total_size: 3,
+    files: [
+        { name: '魂斗罗(美版).zip', size: 1, crc32: '1A2B3C4D' },
+        { name: '坦克大战.zip', size: 2, crc32: '00C0FFEE' }
+    ]
+};
+const metadata = {
+    version: 1,
+    games: { '1A2B3C4D': { name: '魂斗罗(美版)', players: 2, genre: '射击', region: 'US', mapper: 2 } }
+};
+
+async function requestGames(query, kv) {
+    const context = { env: { UPLOAD_TOKEN: 'secret', KV: memoryKv(kv) } };
+    // 目录有模块级缓存，先用上传接口让它失效
+    await handleRequest(new Request('https://nes.example/api/admin/kv/meta%3Agames', {
+        method: 'PUT',
+        headers: { Authorization: 'Bearer secret' },
+        body: JSON.stringify(metadata)
+    }), context);
+    return handleRequest(new Request(`https://nes.example/api/games?${query}`), context);
+}
+
+async function listGames(query) {
+    const response = await requestGames(query, { 'meta:catalog': JSON.stringify(manifest) });
+    assert.equal(response.status, 200);
+    return (await response.json()).games;
+}
+
+// KV 里没有目录时读站点上的 roms-manifest.json，fetch 换成 handler
+async function withSiteFetch(handler, fn) {
+    const original = globalThis.fetch;
+    const requests = [];
+    globalThis.fetch = async (input, init) => {
+        const request = new Request(input, init);
+        requests.push(request);
+        return handler(request);
+    };
+    try {
+        return await fn(requests);
+    } finally {
+        globalThis.fetch = original;
+    }
+}
+
+test('人数、类型、地区来自元数据，没有记录的游戏不按名称推断', async () => {
+    const games = await listGames('sort=name');
+    const contra = games.find(g => g.id === '魂斗罗(美版)');
+    assert.deepEqual([contra.players, contra.verified, contra.genre, contra.region, contra.mapper], [2, true, '射击', 'US', 2]);
+
+    const tank = games.find(g => g.id === '坦克大战');
+    assert.deepEqual([tank.players, tank.verified, tank.genre, tank.region], [null, false, null, null]);
+});
+
+test('人数和类型筛选只匹配有元数据的游戏', async () => {
+    assert.deepEqual((await listGames('players=2')).map(g => g.id), ['魂斗罗(美版)']);
+    assert.deepEqual((await listGames('genre=射击')).map(g => g.id), ['魂斗罗(美版)']);
+    assert.equal((await listGames('sort=players')).length, 2);
+});
+
+test('KV 没有目录时读取站点上的清单', async () => {
+    await withSiteFetch(() => Response.json(manifest), async (requests) => {
+        const response = await requestGames('sort=name', {});
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).games.length, 2);
+        assert.deepEqual(requests.map(r => new URL(r.url).pathname), ['/roms-manifest.json']);
+    });
+});
+
+test('站点清单被路由回边缘函数时不会自己请求自己', async () => {
+    await withSiteFetch((request) => handleRequest(request, { env: { KV: memoryKv({}) } }), async (requests) => {
+        const response = await requestGames('sort=name', {});
+        assert.equal(response.status, 503);
+        assert.match((await response.json()).message, /meta:catalog/);
+        assert.equal(requests.length, 1);
+    });
+});
@@ -0,0 +1,148 @@
+// 磁碟机测试 - 合成的 .fds 镜像和 BIOS 桩程序跑在 jsnes 上，检查读盘和换面
+// 运行: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { FDS_SIDE_SIZE, FDS_BIOS_SIZE, isFds, sideName, parseFds, checkFdsBios, buildBiosCartridge, FdsDrive, attachFdsDrive } from '../js/fds.js';
+
+const jsnes = createRequire(import.meta.url)('../vendor/jsnes-1.2.1/jsnes.min.js');
+
+// 一面：磁盘信息块 + 文件数 + 一个文件（头 + 数据），其余为未使用空间
+function buildSide(sideNumber, fill) {
+    const side = new Uint8Array(FDS_SIDE_SIZE);
+    let pos = 0;
+    const block = (...bytes) => {
+        side.set(bytes, pos);
+        pos += bytes.length;
+    };
+    const info = new Uint8Array(56);
+    info[0] = 0x01;
+    info.set(Array.from('*NINTENDO-HVC*', c => c.charCodeAt(0)), 1);
+    info.set([0x01, 0x54, 0x53, 0x54, 0x20, 0x00, sideNumber], 15); // 厂商、游戏代码 "TST"、类型、版本、面号
+    block(...info);
+    block(0x02, 1);
+    const data = Array.from({ length: 32 }, (_, i) => (fill + i * 3) & 0xFF);
+    block(0x03, 0, 0, ...Array.from('TESTFILE', c => c.charCodeAt(0)), 0x00, 0x60, data.length, 0, 0);
+    block(0x04, ...data);
+    return side;
+}
+
+function buildImage() {
+    const sides = [buildSide(0, 0x10), buildSide(1, 0xA0)];
+    const image = new Uint8Array(16 + FDS_SIDE_SIZE * 2);
+    image.set([0x46, 0x44, 0x53, 0x1A, 2]);
+    sides.forEach((side, i) => image.set(side, 16 + i * FDS_SIDE_SIZE));
+    return { image, sides };
+}
+
+// 起始标记 + 磁盘信息块；之后是 CRC 和块间隙
+const READ_LENGTH = 57;
+
+// BIOS 桩：等磁碟插入 -> 开电机读 READ_LENGTH 字节到 $0300 -> 关电机、$00 计数加一 -> 等磁碟弹出后重来
+function buildBios() {
+    const bios = new Uint8Array(FDS_BIOS_SIZE);
+    let pc = 0;
+    const emit = (...bytes) => {
+        bios.set(bytes, pc);
+        pc += bytes.length;
+    };
+    const addr = () => 0xE000 + pc;
+    const branch = (opcode, target) => emit(opcode, (target - (addr() + 2)) & 0xFF);
+
+    emit(0x78, 0xD8, 0xA2, 0xFF, 0x9A, 0xA9, 0x00, 0x85, 0x00); // jsnes 的 RAM 初始为 $FF，先清零计数
+    const main = addr();
+    const inserted = addr();
+    emit(0xAD, 0x32, 0x40, 0x29, 0x01);                 // LDA $4032 / AND #$01
+    branch(0xD0, inserted);                             // BNE 无磁碟
+    emit(0xA9, 0x45, 0x8D, 0x25, 0x40, 0xA2, 0x00);     // 电机开、读模式、就绪 / LDX #0
+    const wait = addr();
+    emit(0xAD, 0x30, 0x40, 0x29, 0x02);                 // LDA $4030 / AND #$02
+    branch(0xF0, wait);                                 // BEQ 传送未完成
+    emit(0xAD, 0x31, 0x40, 0x9D, 0x00, 0x03, 0xE8, 0xE0, READ_LENGTH); // LDA $4031 / STA $0300,X / INX / CPX
+    branch(0xD0, wait);
+    emit(0xA9, 0x04, 0x8D, 0x25, 0x40, 0xE6, 0x00);     // 关电机 / INC $00
+    const ejected = addr();
+    emit(0xAD, 0x32, 0x40, 0x29, 0x01);
+    branch(0xF0, ejected);                              // BEQ 仍有磁碟
+    emit(0x4C, main & 0xFF, main >> 8);
+    const rti = addr();
+    emit(0x40);
+    bios.set([rti & 0xFF, rti >> 8, 0x00, 0xE0, rti & 0xFF, rti >> 8], 0x1FFA);
+    return bios;
+}
+
+function boot(sides) {
+    const nes = new jsnes.NES({ onFrame() {}, onAudioSample() {} });
+    nes.loadROM(Array.from(buildBiosCartridge(buildBios()), b => String.fromCharCode(b)).join(''));
+    const drive = new FdsDrive(sides);
+    attachFdsDrive(nes, drive);
+    return { nes, drive };
+}
+
+// 运行到第 count 次读盘完成，最多 maxFrames 帧
+function runUntilRead(nes, count, maxFrames) {
+    for (let frame = 1; frame <= maxFrames; frame++) {
+        nes.frame();
+        if (nes.cpu.mem[0x00] === count) return frame;
+    }
+    assert.fail(`${maxFrames} 帧内没有完成第 ${count} 次读盘`);
+}
+
+function expectedRead(side) {
+    return [0x80, ...side.subarray(0, READ_LENGTH - 1)];
+}
+
+test('解析带文件头的双面镜像', () => {
+    const { image, sides } = buildImage();
+    assert.ok(isFds(image));
+    assert.ok(isFds(sides[0]));
+    const disk = parseFds(image);
+    assert.deepEqual(disk.errors, []);
+    assert.deepEqual(disk.warnings, []);
+    assert.equal(disk.sides.length, 2);
+    assert.equal(disk.body.length, FDS_SIDE_SIZE * 2);
+    assert.deepEqual([disk.headered, disk.gameCode], [true, 'TST']);
+    assert.deepEqual([0, 1].map(i => sideName(i, 2)), ['A面', 'B面']);
+
+    const damaged = image.slice(0, 16 + FDS_SIDE_SIZE + 100);
+    damaged[16] = 0;
+    const result = parseFds(damaged);
+    assert.equal(result.sides.length, 1);
+    assert.equal(result.errors.length, 1);
+    assert.equal(result.warnings.length, 2);
+});
+
+test('BIOS 桩可用但不是官方版本', () => {
+    assert.deepEqual(checkFdsBios(buildBios()), { ok: true, official: false, error: null });
+    assert.equal(checkFdsBios(new Uint8Array(FDS_BIOS_SIZE)).ok, false);
+    assert.equal(checkFdsBios(new Uint8Array(100)).ok, false);
+});
+
+test('BIOS 通过 RAM 适配器读出磁碟内容，换面后读到另一面', () => {
+    const { image } = buildImage();
+    const { sides } = parseFds(image);
+    const { nes, drive } = boot(sides);
+
+    runUntilRead(nes, 1, 60);
+    assert.deepEqual(Array.from(nes.cpu.mem.slice(0x300, 0x300 + READ_LENGTH)), expectedRead(sides[0]));
+    assert.equal(drive.currentSide, 0);
+
+    // 换面：先弹出约 1 秒，BIOS 看到无磁碟后重新读盘
+    assert.ok(drive.insertSide(1));
+    assert.equal(drive.currentSide, 1);
+    nes.frame();
+    assert.equal(nes.mmap.load(0x4032) & 0x01, 0x01);
+    const frames = runUntilRead(nes, 2, 120);
+    assert.ok(frames >= 55, `换面后 ${frames} 帧就读完了`);
+    assert.deepEqual(Array.from(nes.cpu.mem.slice(0x300, 0x300 + READ_LENGTH)), expectedRead(sides[1]));
+
+    assert.equal(drive.insertSide(2), false);
+});
+
+test('BIOS 区只读，$6000-$DFFF 可写', () => {
+    const { nes } = boot(parseFds(buildImage().image).sides);
+    nes.mmap.write(0x8000, 0x5A);
+    nes.mmap.write(0xE000, 0x00);
+    assert.equal(nes.mmap.load(0x8000), 0x5A);
+    assert.equal(nes.mmap.load(0xE000), 0x78);
+});
@@ -0,0 +1,137 @@
+// 画面编解码测试 - decode(encode(frame)) 必须逐像素一致
+// 运行: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FrameEncoder, FrameDecoder, FRAME_WIDTH, FRAME_HEIGHT, FRAME_PIXELS } from '../js/framecodec.js';
+
+// NES 2C02 的 64 色调色板
+const NES_PALETTE = [
+    0x666666, 0x002A88, 0x1412A7, 0x3B00A4, 0x5C007E, 0x6E0040, 0x6C0600, 0x561D00,
+    0x333500, 0x0B4800, 0x005200, 0x004F08, 0x00404D, 0x000000, 0x000000, 0x000000,
+    0xADADAD, 0x155FD9, 0x4240FF, 0x7527FE, 0xA01ACC, 0xB71E7B, 0xB53120, 0x994E00,
+    0x6B6D00, 0x388700, 0x0C9300, 0x008F32, 0x007C8D, 0x000000, 0x000000, 0x000000,
+    0xFFFEFF, 0x64B0FF, 0x9290FF, 0xC676FF, 0xF36AFF, 0xFE6ECC, 0xFE8170, 0xEA9E22,
+    0xBCBE00, 0x88D800, 0x5CE430, 0x45E082, 0x48CDDE, 0x4F4F4F, 0x000000, 0x000000,
+    0xFFFEFF, 0xC0DFFF, 0xD3D2FF, 0xE8C8FF, 0xFBC2FF, 0xFEC4EA, 0xFECCC5, 0xF7D8A5,
+    0xE4E594, 0xCFEF96, 0xBDF4AB, 0xB3F3CC, 0xB5EBF2, 0xB8B8B8, 0x000000, 0x000000
+];
+
+function roundTrip(frames, basePalette = NES_PALETTE) {
+    const encoder = new FrameEncoder();
+    const decoder = new FrameDecoder();
+    encoder.setBasePalette(basePalette);
+
+    const sizes = [];
+    frames.forEach((frame, n) => {
+        const payload = encoder.encode(frame);
+        assert.ok(payload instanceof ArrayBuffer);
+        sizes.push(payload.byteLength);
+        const decoded = decoder.decode(payload);
+        for (let i = 0; i < FRAME_PIXELS; i++) {
+            if (decoded[i] !== (frame[i] & 0xFFFFFF)) {
+                assert.fail(`第 ${n} 帧像素 ${i} 不一致: ${decoded[i].toString(16)} != ${(frame[i] & 0xFFFFFF).toString(16)}`);
+            }
+        }
+    });
+    return sizes;
+}
+
+// 类似游戏画面：8×8 图块背景按 scroll 横向卷动，再叠一个 16×16 精灵
+function gameFrame(scroll, spriteX, spriteY) {
+    const frame = new Uint32Array(FRAME_PIXELS);
+    const background = [0x0F, 0x21, 0x1A, 0x30].map(i => NES_PALETTE[i]);
+    const sprite = [0x16, 0x27, 0x18].map(i => NES_PALETTE[i]);
+    for (let y = 0; y < FRAME_HEIGHT; y++) {
+        for (let x = 0; x < FRAME_WIDTH; x++) {
+            const wx = x + scroll;
+            const tile = ((wx >> 3) * 7 + (y >> 3) * 13) & 3;
+            const edge = (wx & 7) === (y & 7) ? 1 : 0;
+            frame[y * FRAME_WIDTH + x] = background[(tile + edge) & 3];
+        }
+    }
+    for (let y = 0; y < 16; y++) {
+        for (let x = 0; x < 16; x++) {
+            const px = spriteX + x;
+            const py = spriteY + y;
+            if (px >= FRAME_WIDTH || py >= FRAME_HEIGHT || ((x ^ y) & 3) === 0) continue;
+            frame[py * FRAME_WIDTH + px] = sprite[(x + y) % 3];
+        }
+    }
+    return frame;
+}
+
+test('合成画面往返一致', () => {
+    const base = [0x525252, 0xB40000, 0xA00000, 0xF8F8F8, 0x000000, 0xFFFFFF, 0x00E375, 0x476DFF];
+    roundTrip([
+        // 纯色
+        new Uint32Array(FRAME_PIXELS).fill(base[0]),
+        // 横条纹
+        Uint32Array.from({ length: FRAME_PIXELS }, (_, i) => base[(i >> 8) % base.length]),
+        // 伪随机噪点（无重复段）
+        Uint32Array.from({ length: FRAME_PIXELS }, (_, i) => base[(i * 2654435761 >>> 13) % base.length]),
+        // 含调色板外颜色
+        Uint32Array.from({ length: FRAME_PIXELS }, (_, i) => (i % 97 === 0 ? 0x123456 : base[i % 3]))
+    ], base);
+});
+
+test('卷动画面的关键帧和差分帧往返一致', () => {
+    const frames = [];
+    for (let n = 0; n < 30; n++) frames.push(gameFrame(n * 2, 40 + n * 3, 120 + (n % 5)));
+    const [key, ...deltas] = roundTrip(frames);
+    assert.ok(key < FRAME_PIXELS, `关键帧 ${key} 字节`);
+    // 画面不变时差分帧全是 0，只剩类型字节和最长游程（130）的控制字节
+    const still = roundTrip([gameFrame(0, 40, 120), gameFrame(0, 40, 120)]);
+    assert.equal(still[1], 1 + Math.ceil(FRAME_PIXELS / 130) * 2);
+    assert.ok(deltas.every(size => size > 0));
+});
+
+test('使用全部 64 色并在中途出现调色板外颜色', () => {
+    const full = Uint32Array.from({ length: FRAME_PIXELS }, (_, i) => NES_PALETTE[(i >> 4) & 63]);
+    // 色彩强调位会让颜色偏移，出现调色板外的颜色，编码器应追加调色板并发关键帧
+    const emphasized = full.map((c, i) => (i >= FRAME_PIXELS / 2 ? (c & 0xFEFEFE) >>> 1 : c));
+    roundTrip([full, emphasized, full]);
+});
+
+test('高位 alpha 字节被忽略', () => {
+    const frame = Uint32Array.from({ length: FRAME_PIXELS }, (_, i) => (0xFF000000 | NES_PALETTE[i & 63]) >>> 0);
+    roundTrip([frame]);
+});
+
+test('差分帧缺少关键帧时返回 null，损坏数据抛错', () => {
+    const encoder = new FrameEncoder();
+    encoder.setBasePalette(NES_PALETTE);
+    encoder.encode(gameFrame(0, 0, 0));
+    const delta = encoder.encode(gameFrame(1, 0, 0));
+    assert.equal(new FrameDecoder().decode(delta), null);
+
+    const key = new Uint8Array(new FrameEncoder().encode(gameFrame(0, 0, 0)));
+    assert.throws(() => new FrameDecoder().decode(key.slice(0, key.length - 10).buffer));
+});
+
+test('调色板外颜色累积超过 256 色时重建调色板，继续往返一致', () => {
+    // 每帧 120 种新颜色，第三帧起追加的颜色超出容量
+    const frames = [];
+    for (let n = 0; n < 5; n++) {
+        frames.push(Uint32Array.from({ length: FRAME_PIXELS }, (_, i) =>
+            (i & 1 ? NES_PALETTE[i & 63] : 0x800000 + n * 0x1000 + (i >> 1) % 120)));
+    }
+    frames.push(gameFrame(0, 40, 120), gameFrame(1, 40, 120));
+    const sizes = roundTrip(frames);
+    // 重建后的画面仍然先发关键帧，之后恢复差分帧
+    assert.ok(sizes[6] < sizes[5]);
+});
+
+test('单帧超过 256 色时取最接近的颜色，不中断编码', () => {
+    const encoder = new FrameEncoder();
+    const decoder = new FrameDecoder();
+    encoder.setBasePalette(NES_PALETTE);
+    // 300 种灰度两两只差 1，放不下的颜色映射到相邻的那一个
+    const frame = Uint32Array.from({ length: FRAME_PIXELS }, (_, i) => (i < 300 ? 0x010101 * (i % 150) + (i >= 150 ? 1 : 0) : NES_PALETTE[0x21]));
+    const decoded = decoder.decode(encoder.encode(frame));
+    for (let i = 0; i < FRAME_PIXELS; i++) {
+        const [a, b] = [decoded[i], frame[i]];
+        const distance = Math.abs((a & 0xFF) - (b & 0xFF)) + Math.abs(((a >> 8) & 0xFF) - ((b >> 8) & 0xFF)) + Math.abs((a >> 16) - (b >> 16));
+        assert.ok(distance <= 1, `像素 ${i}: ${a.toString(16)} != ${b.toString(16)}`);
+    }
+    roundTrip([gameFrame(0, 40, 120)]);
+});
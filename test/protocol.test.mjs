@@ -0,0 +1,56 @@
+// 数据通道协议测试 - 每种消息的二进制和 JSON 调试格式都能往返，未声明的字段发送前报错
+// 运行: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MESSAGE_SCHEMAS, encodeMessage, decodeMessage, encodeJsonMessage, decodeJsonMessage } from '../js/protocol.js';
+
+// 每种字段类型取一个接近上限的值
+const SAMPLES = {
+    u8: 0xFE,
+    u32: 0xFEDCBA98,
+    varint: 2 ** 31 + 5,
+    f64: 1718000000123.5,
+    bool: true,
+    string: '魂斗罗 Contra ✓',
+    bytes: Uint8Array.from({ length: 300 }, (_, i) => (i * 7) & 0xFF),
+    u8list: [0, 1, 0x80, 0xFF]
+};
+
+const codecs = [
+    ['二进制', encodeMessage, decodeMessage],
+    ['JSON', encodeJsonMessage, decodeJsonMessage]
+];
+
+function sampleMessage(type, fields) {
+    const data = { type };
+    for (const [name, kind] of fields) data[name] = SAMPLES[kind];
+    return data;
+}
+
+for (const [format, encode, decode] of codecs) {
+    test(`所有消息类型${format}格式往返一致`, () => {
+        for (const [, type, fields] of MESSAGE_SCHEMAS) {
+            const data = sampleMessage(type, fields);
+            assert.deepEqual(decode(encode(data, 300)), { ...data, seq: 300 }, type);
+
+            // 可选字段缺省时不出现在解码结果里
+            if (fields.length > 0) {
+                const { [fields[0][0]]: omitted, ...partial } = data;
+                assert.deepEqual(decode(encode(partial, 1)), { ...partial, seq: 1 }, `${type} 缺少 ${fields[0][0]}`);
+            }
+        }
+    });
+
+    test(`${format}格式发送未声明的字段时报错`, () => {
+        assert.throws(() => encode({ type: 'pause', paused: true, frame: 3 }, 1), /pause.*frame/);
+        assert.throws(() => encode({ type: 'reset', reason: 'x' }, 1), /未声明/);
+        // 接收端补上的 fromPlayer 原样转发时不算
+        const relayed = decode(encode({ type: 'chat', playerNum: 2, text: '你好', fromPlayer: 2 }, 4));
+        assert.equal(relayed.fromPlayer, undefined);
+    });
+}
+
+test('消息编号和类型名不重复', () => {
+    assert.equal(new Set(MESSAGE_SCHEMAS.map(([id]) => id)).size, MESSAGE_SCHEMAS.length);
+    assert.equal(new Set(MESSAGE_SCHEMAS.map(([, type]) => type)).size, MESSAGE_SCHEMAS.length);
+});
@@ -0,0 +1,87 @@
+// 边缘函数 ROM 接口测试 - ETag / 304 / Range，分块格式和旧格式
+// 运行: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { handleRequest } from '../aliyun-edge/signaling.js';
+
+function memoryKv(entries) {
+    const store = new Map(Object.entries(entries));
+    return {
+        async get(key) { return store.get(key) ?? null; },
+        async put(key, value) { store.set(key, value); },
+        async delete(key) { store.delete(key); }
+    };
+}
+
+function rom(fill, size = 1000) {
+    const data = Buffer.alloc(size, fill);
+    data.write('NES\x1a', 0, 'latin1');
+    return data;
+}
+
+function getRom(context, name, headers = {}, method = 'GET') {
+    return handleRequest(new Request(`https://nes.example/api/rom/${encodeURIComponent(name)}`, { method, headers }), context);
+}
+
+test('分块格式的 ETag 取自索引里的 sha256', async () => {
+    const data = rom(1);
+    const sha256 = createHash('sha256').update(data).digest('hex');
+    const index = { file: '魂斗罗.nes', size: data.length, chunkSize: 600, chunks: 2, sha256, contentType: 'application/x-nes-rom', ext: '.nes' };
+    const context = {
+        env: {
+            KV: memoryKv({
+                'romidx:魂斗罗.nes': JSON.stringify(index),
+                'romchunk:魂斗罗.nes:0': data.subarray(0, 600).toString('base64'),
+                'romchunk:魂斗罗.nes:1': data.subarray(600).toString('base64')
+            })
+        }
+    };
+
+    const full = await getRom(context, '魂斗罗');
+    assert.equal(full.headers.get('etag'), `"${sha256.slice(0, 32)}"`);
+    assert.deepEqual(Buffer.from(await full.arrayBuffer()), data);
+
+    const partial = await getRom(context, '魂斗罗', { Range: 'bytes=590-609' });
+    assert.equal(partial.status, 206);
+    assert.deepEqual(Buffer.from(await partial.arrayBuffer()), data.subarray(590, 610));
+
+    assert.equal((await getRom(context, '魂斗罗', { 'If-None-Match': full.headers.get('etag') })).status, 304);
+});
+
+test('旧格式覆盖为等长的新内容后 ETag 随之改变', async () => {
+    const kv = memoryKv({ 'roms:坦克.nes': rom(1).toString('base64') });
+    const context = { env: { KV: kv } };
+
+    const first = await getRom(context, '坦克', {}, 'HEAD');
+    const etag = first.headers.get('etag');
+    assert.equal(first.headers.get('content-length'), '1000');
+    assert.equal(first.headers.get('content-type'), 'application/x-nes-rom');
+    assert.equal((await getRom(context, '坦克', { 'If-None-Match': etag })).status, 304);
+
+    await kv.put('roms:坦克.nes', rom(2).toString('base64'));
+    const second = await getRom(context, '坦克');
+    assert.equal(second.status, 200);
+    assert.notEqual(second.headers.get('etag'), etag);
+    assert.deepEqual(Buffer.from(await second.arrayBuffer()), rom(2));
+    assert.equal((await getRom(context, '坦克', { 'If-None-Match': etag })).status, 200);
+});
+
+test('旧格式返回 304 时不解码 ROM', async () => {
+    const value = rom(3, 999).toString('base64');
+    const context = { env: { KV: memoryKv({ 'roms:雪人.nes': value }) } };
+    const etag = (await getRom(context, '雪人', {}, 'HEAD')).headers.get('etag');
+
+    const atob = globalThis.atob;
+    let decoded = 0;
+    globalThis.atob = (text) => {
+        decoded += text.length;
+        return atob(text);
+    };
+    try {
+        assert.equal((await getRom(context, '雪人', { 'If-None-Match': etag })).status, 304);
+    } finally {
+        globalThis.atob = atob;
+    }
+    assert.ok(decoded < 16, `解码了 ${decoded} 个字符`);
+});
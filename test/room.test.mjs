@@ -0,0 +1,72 @@
+// 数据通道消息测试 - 大消息分片发送，接收端拼回原消息
+// 运行: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.window = { location: new URL('https://nes.example/') };
+const { RoomManager, FRAGMENT_SIZE } = await import('../js/room.js');
+
+function channel(label = 'gameData') {
+    return { label, readyState: 'open', sent: [], send(payload) { this.sent.push(payload); } };
+}
+
+// 把 from 发出的消息交给 to，返回 to 收到的完整消息
+function deliver(from, to, fromPlayer = 1) {
+    const received = [];
+    to.handleGameMessage = (data) => received.push(data);
+    for (const payload of from.sent) to.handleChannelMessage(fromPlayer, from, { data: payload });
+    return received;
+}
+
+function size(payload) {
+    return typeof payload === 'string' ? new TextEncoder().encode(payload).length : payload.byteLength;
+}
+
+const state = Uint8Array.from({ length: 180 * 1024 }, (_, i) => (i * 31) & 0xFF);
+const gameStart = { type: 'game-start', gameName: '魂斗罗', netMode: 'lockstep', players: [1, 2], state, frame: 42, epoch: 1 };
+
+for (const json of [false, true]) {
+    test(`完整状态分片发送并拼回${json ? '（JSON 调试格式）' : ''}`, () => {
+        const host = new RoomManager();
+        const client = new RoomManager();
+        host.useJsonProtocol = json;
+        const out = channel();
+
+        host.sendToChannel(2, out, { type: 'chat', playerNum: 1, text: '准备' });
+        host.sendToChannel(2, out, gameStart);
+        host.sendToChannel(2, out, { type: 'pause', paused: true });
+        assert.ok(out.sent.length > 3);
+        for (const payload of out.sent) assert.ok(size(payload) <= FRAGMENT_SIZE * 1.5, `单条 ${size(payload)} 字节`);
+
+        const received = deliver(out, client);
+        assert.deepEqual(received.map(m => m.type), ['chat', 'game-start', 'pause']);
+        const start = received[1];
+        assert.deepEqual(Array.from(start.state), Array.from(state));
+        assert.deepEqual([start.gameName, start.netMode, start.players, start.frame, start.epoch], ['魂斗罗', 'lockstep', [1, 2], 42, 1]);
+        assert.equal(client.getLostMessageCount(1), 0);
+    });
+}
+
+test('画面通道不分片', () => {
+    const host = new RoomManager();
+    const out = channel('frames');
+    host.sendToChannel(2, out, { type: 'frame', frameSeq: 1, data: new Uint8Array(FRAGMENT_SIZE * 2) });
+    assert.equal(out.sent.length, 1);
+});
+
+test('分片缺失时丢弃整条消息', () => {
+    const host = new RoomManager();
+    const client = new RoomManager();
+    const out = channel();
+    host.sendToChannel(2, out, gameStart);
+    out.sent.splice(1, 1);
+    const errors = [];
+    const error = console.error;
+    console.error = (...args) => errors.push(args);
+    try {
+        assert.deepEqual(deliver(out, client), []);
+    } finally {
+        console.error = error;
+    }
+    assert.ok(errors.length > 0);
+});
@@ -0,0 +1,126 @@
+// 即时存档测试 - 用合成的 iNES 镜像跑 jsnes，读档/回滚后继续运行必须与不中断的运行一致
+// 运行: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { captureMachineState, restoreMachineState, restoreMachineStateInPlace, copyState, encodeState, decodeState } from '../js/savestate.js';
+import { applyInputBits, machineChecksum } from '../js/netplay.js';
+
+const jsnes = createRequire(import.meta.url)('../vendor/jsnes-1.2.1/jsnes.min.js');
+
+// 16KB PRG + 8KB CHR 的 NROM 程序：主循环不停写 RAM；NMI 读 1P 手柄，累加后写进名称表
+function buildRom() {
+    const prg = new Uint8Array(0x4000);
+    let pc = 0;
+    const emit = (...bytes) => {
+        prg.set(bytes, pc);
+        pc += bytes.length;
+    };
+    const addr = () => 0x8000 + pc;
+
+    // 复位：写调色板，打开 NMI 和背景/精灵显示
+    emit(0x78, 0xD8, 0xA2, 0xFF, 0x9A, 0xAD, 0x02, 0x20);
+    emit(0xA9, 0x3F, 0x8D, 0x06, 0x20, 0xA9, 0x00, 0x8D, 0x06, 0x20);
+    for (const color of [0x0F, 0x16, 0x27, 0x30]) emit(0xA9, color, 0x8D, 0x07, 0x20);
+    emit(0xA9, 0x80, 0x8D, 0x00, 0x20, 0xA9, 0x1E, 0x8D, 0x01, 0x20);
+    // 主循环: INC $10 / LDX $10 / TXA / STA $0200,X / JMP
+    const loop = addr();
+    emit(0xE6, 0x10, 0xA6, 0x10, 0x8A, 0x9D, 0x00, 0x02, 0x4C, loop & 0xFF, loop >> 8);
+    // NMI: 帧计数 $11，手柄 8 位读进 $12，累加到 $13，写到名称表 $2000 + $11
+    const nmi = addr();
+    emit(0xE6, 0x11, 0xA9, 0x01, 0x8D, 0x16, 0x40, 0xA9, 0x00, 0x8D, 0x16, 0x40, 0xA0, 0x08);
+    const read = addr();
+    emit(0xAD, 0x16, 0x40, 0x29, 0x01, 0x4A, 0x26, 0x12, 0x88);
+    emit(0xD0, (read - (addr() + 2)) & 0xFF);
+    emit(0xA5, 0x12, 0x18, 0x65, 0x13, 0x85, 0x13, 0xAD, 0x02, 0x20);
+    emit(0xA9, 0x20, 0x8D, 0x06, 0x20, 0xA5, 0x11, 0x8D, 0x06, 0x20, 0xA5, 0x13, 0x8D, 0x07, 0x20);
+    emit(0xA9, 0x00, 0x8D, 0x05, 0x20, 0x8D, 0x05, 0x20, 0x40);
+    prg.set([nmi & 0xFF, nmi >> 8, 0x00, 0x80, nmi & 0xFF, nmi >> 8], 0x3FFA);
+
+    const chr = Uint8Array.from({ length: 0x2000 }, (_, i) => (i * 37 + (i >> 4)) & 0xFF);
+    const rom = new Uint8Array(16 + prg.length + chr.length);
+    rom.set([0x4E, 0x45, 0x53, 0x1A, 1, 1]);
+    rom.set(prg, 16);
+    rom.set(chr, 16 + prg.length);
+    return rom;
+}
+
+const ROM = Array.from(buildRom(), b => String.fromCharCode(b)).join('');
+
+function createNes() {
+    const nes = new jsnes.NES({ onFrame() {}, onAudioSample() {} });
+    nes.loadROM(ROM);
+    return nes;
+}
+
+// 第 frame 帧 1P 的按键
+const inputAt = (frame) => (frame * 7) & 0xFF;
+
+function run(nes, from, to, input = inputAt) {
+    for (let frame = from; frame < to; frame++) {
+        applyInputBits(nes, 1, input(frame));
+        nes.frame();
+    }
+}
+
+function assertSameMachine(actual, expected) {
+    assert.deepEqual(actual.cpu.mem.slice(0, 0x800), expected.cpu.mem.slice(0, 0x800), '内部 RAM');
+    assert.deepEqual(actual.ppu.vramMem, expected.ppu.vramMem, '显存');
+    assert.deepEqual(actual.ppu.buffer, expected.ppu.buffer, '画面');
+    assert.equal(machineChecksum(actual), machineChecksum(expected));
+}
+
+test('原地回滚后重新模拟与不中断的运行一致', () => {
+    const expected = createNes();
+    run(expected, 0, 40);
+
+    const nes = createNes();
+    run(nes, 0, 20);
+    let snapshot = copyState(captureMachineState(nes, { frameBuffers: false }));
+    // 预测错误的 10 帧
+    run(nes, 20, 30, () => 0x01);
+    assert.notEqual(machineChecksum(nes), machineChecksum((() => {
+        const reference = createNes();
+        run(reference, 0, 30);
+        return reference;
+    })()));
+
+    restoreMachineStateInPlace(nes, snapshot);
+    run(nes, 20, 40);
+    assertSameMachine(nes, expected);
+
+    // 复用快照缓冲再来一轮，旧快照的数组不能被模拟器引用
+    snapshot = copyState(captureMachineState(nes, { frameBuffers: false }), snapshot);
+    assert.notEqual(snapshot.cpu.mem, nes.cpu.mem);
+    run(expected, 40, 50);
+    run(nes, 40, 45, () => 0x80);
+    restoreMachineStateInPlace(nes, snapshot);
+    run(nes, 40, 50);
+    assertSameMachine(nes, expected);
+});
+
+test('存档编码后在新载入的模拟器上读档，继续运行与不中断的运行一致', () => {
+    const expected = createNes();
+    run(expected, 0, 30);
+
+    const nes = createNes();
+    run(nes, 0, 30);
+    const saved = encodeState(captureMachineState(nes), 0x1234ABCD);
+    run(expected, 30, 60);
+    run(nes, 30, 35, () => 0xFF);
+
+    const { state, romCrc } = decodeState(saved, 0x1234ABCD);
+    assert.equal(romCrc, 0x1234ABCD);
+    const loaded = createNes();
+    run(loaded, 0, 3, () => 0x10);
+    restoreMachineState(loaded, state);
+    run(loaded, 30, 60);
+    assertSameMachine(loaded, expected);
+
+    // 在原来的模拟器上读档同样一致
+    restoreMachineState(nes, decodeState(saved).state);
+    run(nes, 30, 60);
+    assertSameMachine(nes, expected);
+
+    assert.throws(() => decodeState(saved, 0x1234ABCE), /不匹配/);
+});
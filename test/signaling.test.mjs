@@ -0,0 +1,447 @@
+// 信令服务器测试 - 同一套房间流程分别跑 Node 信令服务器（真实 WebSocket 连接）和边缘函数的 SignalingSession
+// 运行: node --test test/
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { createSignalingServer } from '../server/signaling-server.mjs';
+import { electNewHost } from '../server/rooms.mjs';
+import { electNewHost as electNewHostEdge, MemoryRoomStore, SignalingSession, configureSignaling } from '../aliyun-edge/signaling.js';
+
+// ========== 测试用 WebSocket 客户端 ==========
+// 客户端发出的帧必须掩码；服务器发来的帧不掩码
+function encodeFrame(opcode, payload) {
+    const mask = randomBytes(4);
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, 0x80 | length]);
+    } else if (length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 0x80 | 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 0x80 | 127;
+        header.writeUInt32BE(0, 2);
+        header.writeUInt32BE(length, 6);
+    }
+    const masked = Buffer.from(payload);
+    for (let i = 0; i < masked.length; i++) masked[i] ^= mask[i & 3];
+    return Buffer.concat([header, mask, masked]);
+}
+
+// 收到的消息排队，next(type) 取出第一条指定类型的消息（已收到的也算）
+class MessageQueue {
+    constructor() {
+        this.messages = [];
+        this.waiters = [];
+    }
+
+    receive(message) {
+        this.messages.push(message);
+        this.flush();
+    }
+
+    flush() {
+        for (const waiter of [...this.waiters]) {
+            const index = this.messages.findIndex(waiter.match);
+            if (index < 0) continue;
+            const [message] = this.messages.splice(index, 1);
+            this.waiters.splice(this.waiters.indexOf(waiter), 1);
+            clearTimeout(waiter.timer);
+            waiter.resolve(message);
+        }
+    }
+
+    next(type, timeout = 2000) {
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                match: (m) => m.type === type,
+                resolve,
+                timer: setTimeout(() => {
+                    this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                    reject(new Error(`等待 ${type} 超时`));
+                }, timeout)
+            };
+            this.waiters.push(waiter);
+            this.flush();
+        });
+    }
+
+    has(type) {
+        return this.messages.some(m => m.type === type);
+    }
+}
+
+class TestClient extends MessageQueue {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.closeCode = null;
+        this.closed = new Promise((resolve) => { this.onClosed = resolve; });
+
+        socket.on('data', (chunk) => {
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            this.parse();
+        });
+        socket.on('close', () => this.onClosed(this.closeCode));
+    }
+
+    static connect(port) {
+        return new Promise((resolve, reject) => {
+            const req = http.request({
+                port,
+                host: '127.0.0.1',
+                headers: {
+                    Connection: 'Upgrade',
+                    Upgrade: 'websocket',
+                    'Sec-WebSocket-Key': randomBytes(16).toString('base64'),
+                    'Sec-WebSocket-Version': '13'
+                }
+            });
+            req.on('upgrade', (res, socket) => resolve(new TestClient(socket)));
+            req.on('error', reject);
+            req.end();
+        });
+    }
+
+    parse() {
+        while (this.buffer.length >= 2) {
+            const opcode = this.buffer[0] & 0x0F;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+            if (length === 126) {
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                length = this.buffer.readUInt32BE(6);
+                offset = 10;
+            }
+            if (this.buffer.length < offset + length) return;
+            const payload = this.buffer.subarray(offset, offset + length);
+            this.buffer = this.buffer.subarray(offset + length);
+
+            if (opcode === 0x1) {
+                this.receive(JSON.parse(payload.toString('utf8')));
+            } else if (opcode === 0x8) {
+                this.closeCode = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+            }
+        }
+    }
+
+    send(data) {
+        this.sendRaw(Buffer.from(JSON.stringify(data), 'utf8'));
+    }
+
+    sendRaw(payload) {
+        this.socket.write(encodeFrame(0x1, payload));
+    }
+
+    async close() {
+        this.socket.destroy();
+        await this.closed;
+        await new Promise(resolve => setTimeout(resolve, 50)); // 等服务器处理断线
+    }
+}
+
+// ========== 边缘函数替身 ==========
+// 每次读写都序列化，模拟 KV：改了房间却没有 putRoom 的分支会在测试里暴露出来
+class SerializingRoomStore extends MemoryRoomStore {
+    async getRoom(code) {
+        const room = await super.getRoom(code);
+        return room && structuredClone(room);
+    }
+
+    async putRoom(room) {
+        await super.putRoom(structuredClone(room));
+    }
+}
+
+// 直接驱动 SignalingSession，与 handleWebSocket 一样把消息交给 onMessage、断开时调用 onClose
+class EdgeClient extends MessageQueue {
+    constructor(store) {
+        super();
+        this.session = new SignalingSession({ send: (text) => this.receive(JSON.parse(text)) }, store);
+    }
+
+    send(data) {
+        this.session.onMessage(JSON.stringify(data)).catch((error) => {
+            this.receive({ type: 'error', message: error.message });
+        });
+    }
+
+    close() {
+        return this.session.onClose();
+    }
+}
+
+// ========== 两套实现 ==========
+// connect() 新建连接；advance(ms) 拨快时钟并执行过期清理；hasRoom(code) 房间是否还在
+const implementations = [
+    {
+        name: 'Node 信令服务器',
+        async setup() {
+            let clock = 1_000_000;
+            const signaling = createSignalingServer({ log() {}, now: () => clock, sweepInterval: 60 * 60 * 1000 });
+            const port = await signaling.listen(0, '127.0.0.1');
+            const clients = [];
+            return {
+                async connect() {
+                    const client = await TestClient.connect(port);
+                    clients.push(client);
+                    return client;
+                },
+                async advance(ms) {
+                    clock += ms;
+                    signaling.registry.sweep();
+                },
+                hasRoom: (code) => signaling.registry.rooms.has(code),
+                async teardown() {
+                    for (const client of clients) client.socket.destroy();
+                    await signaling.close();
+                }
+            };
+        }
+    },
+    {
+        name: '边缘函数信令',
+        async setup() {
+            let clock = 1_000_000;
+            configureSignaling({ now: () => clock });
+            const store = new SerializingRoomStore();
+            return {
+                async connect() {
+                    return new EdgeClient(store);
+                },
+                // 边缘环境没有定时器，过期清理发生在下一次读取房间时
+                async advance(ms) {
+                    clock += ms;
+                    const probe = new SignalingSession({ send() {} }, store);
+                    for (const code of [...store.rooms.keys()]) await probe.loadRoom(code);
+                    await probe.onClose();
+                },
+                hasRoom: (code) => store.rooms.has(code),
+                // 只拨时钟，不主动清理
+                tick(ms) {
+                    clock += ms;
+                },
+                async teardown() {
+                    configureSignaling({ now: () => Date.now() });
+                }
+            };
+        }
+    }
+];
+
+for (const implementation of implementations) {
+    describe(implementation.name, () => {
+        let env;
+
+        beforeEach(async () => {
+            env = await implementation.setup();
+        });
+
+        afterEach(async () => {
+            await env.teardown();
+        });
+
+        async function createRoom() {
+            const host = await env.connect();
+            host.send({ type: 'create' });
+            const created = await host.next('created');
+            return { host, created, roomCode: created.roomCode };
+        }
+
+        async function joinRoom(roomCode) {
+            const client = await env.connect();
+            client.send({ type: 'join', roomCode });
+            const joined = await client.next('joined');
+            return { client, joined };
+        }
+
+        // ========== 房间流程 ==========
+        test('创建、加入并转发信令', async () => {
+            const { host, created, roomCode } = await createRoom();
+            assert.equal(created.playerNum, 1);
+            assert.match(roomCode, /^[A-Z2-9]{6}$/);
+
+            const { client: guest, joined } = await joinRoom(roomCode.toLowerCase());
+            assert.equal(joined.playerNum, 2);
+            assert.equal(joined.hostSeat, 1);
+            assert.deepEqual(joined.players.map(p => p.playerNum), [1, 2]);
+            assert.ok(joined.players.every(p => !('peerId' in p)), '玩家列表不能泄露重连凭证');
+
+            const announced = await host.next('player-joined');
+            assert.equal(announced.playerNum, 2);
+
+            host.send({ type: 'signal', toPlayer: 2, data: { type: 'offer', offer: { sdp: 'x' } } });
+            const offer = await guest.next('signal');
+            assert.equal(offer.fromPlayer, 1);
+            assert.deepEqual(offer.data, { type: 'offer', offer: { sdp: 'x' } });
+
+            guest.send({ type: 'signal', toPlayer: 1, data: { type: 'answer' } });
+            const answer = await host.next('signal');
+            assert.equal(answer.fromPlayer, 2);
+        });
+
+        test('加入不存在的房间返回错误', async () => {
+            const client = await env.connect();
+            client.send({ type: 'join', roomCode: 'ZZZZZZ' });
+            const error = await client.next('error');
+            assert.equal(error.message, '房间不存在');
+        });
+
+        test('房间满员后拒绝加入', async () => {
+            const { roomCode } = await createRoom();
+            for (let i = 0; i < 3; i++) await joinRoom(roomCode);
+            const late = await env.connect();
+            late.send({ type: 'join', roomCode });
+            assert.equal((await late.next('error')).message, '房间已满');
+        });
+
+        test('房主离开后迁移到座位号最小的在线玩家', async () => {
+            const { host, roomCode } = await createRoom();
+            const { client: p2 } = await joinRoom(roomCode);
+            const { client: p3 } = await joinRoom(roomCode);
+
+            host.send({ type: 'leave' });
+            assert.equal((await p2.next('player-left')).playerNum, 1);
+            const migrated = await p3.next('host-migrated');
+            assert.equal(migrated.playerNum, 2);
+            assert.deepEqual(migrated.players.map(p => p.playerNum), [2, 3]);
+            assert.equal((await p2.next('host-migrated')).playerNum, 2);
+
+            // 新加入的玩家拿到新房主
+            const { joined } = await joinRoom(roomCode);
+            assert.equal(joined.playerNum, 1);
+            assert.equal(joined.hostSeat, 2);
+        });
+
+        test('最后一个玩家是房主时离开关闭房间', async () => {
+            const { host, roomCode } = await createRoom();
+            host.send({ type: 'leave' });
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.equal(env.hasRoom(roomCode), false);
+        });
+
+        test('长时间无活动的房间被关闭', async () => {
+            const { host, roomCode } = await createRoom();
+            await env.advance(30 * 60 * 1000 + 1);
+            await host.next('room-closed');
+            assert.equal(env.hasRoom(roomCode), false);
+        });
+
+        // ========== 断线重连 ==========
+        test('保留期内凭 peerId 重连回原座位', async () => {
+            const { host, roomCode } = await createRoom();
+            const { client: guest, joined } = await joinRoom(roomCode);
+            await guest.close();
+            await env.advance(10 * 1000);
+
+            const again = await env.connect();
+            again.send({ type: 'rejoin', roomCode, playerNum: 2, peerId: joined.peerId });
+            const rejoined = await again.next('rejoined');
+            assert.equal(rejoined.playerNum, 2);
+            assert.equal(rejoined.peerId, joined.peerId);
+            assert.equal(rejoined.hostSeat, 1);
+
+            host.send({ type: 'signal', toPlayer: 2, data: { type: 'offer' } });
+            assert.equal((await again.next('signal')).fromPlayer, 1);
+        });
+
+        test('没有正确 peerId 不能顶替座位', async () => {
+            const { host, roomCode } = await createRoom();
+            const { client: guest } = await joinRoom(roomCode);
+
+            guest.send({ type: 'rejoin', roomCode, playerNum: 1 });
+            await guest.next('error');
+            guest.send({ type: 'rejoin', roomCode, playerNum: 1, peerId: 'guess' });
+            await guest.next('error');
+
+            // 座位 1 仍属于房主
+            guest.send({ type: 'signal', toPlayer: 1, data: { type: 'answer' } });
+            assert.equal((await host.next('signal')).fromPlayer, 2);
+        });
+
+        test('超过保留期的座位被清理，房主座位触发迁移', async () => {
+            const { host, roomCode } = await createRoom();
+            const { client: guest } = await joinRoom(roomCode);
+            await host.close();
+
+            await env.advance(29 * 1000);
+            assert.equal(guest.has('host-migrated'), false);
+
+            await env.advance(2 * 1000);
+            assert.equal((await guest.next('host-migrated')).playerNum, 2);
+
+            // 清理结果已写回：新玩家拿到空出来的座位 1，房主是 P2
+            const { joined } = await joinRoom(roomCode);
+            assert.equal(joined.playerNum, 1);
+            assert.equal(joined.hostSeat, 2);
+        });
+    });
+}
+
+test('边缘函数读取房间时的清理在请求出错时也写回', async () => {
+    const env = await implementations[1].setup();
+    try {
+        const host = await env.connect();
+        host.send({ type: 'create' });
+        const { roomCode } = await host.next('created');
+        const [p2, p3] = [await env.connect(), await env.connect()];
+        p2.send({ type: 'join', roomCode });
+        await p2.next('joined');
+        p3.send({ type: 'join', roomCode });
+        await p3.next('joined');
+        await p2.close();
+
+        // P3 重复加入会出错返回，但这次读取房间时座位 2 已过期被清理
+        env.tick(31 * 1000);
+        p3.send({ type: 'join', roomCode });
+        assert.equal((await p3.next('error')).message, '已在房间中');
+        assert.equal((await host.next('player-left')).playerNum, 2);
+
+        const late = await env.connect();
+        late.send({ type: 'join', roomCode });
+        const joined = await late.next('joined');
+        assert.equal(joined.playerNum, 2);
+    } finally {
+        await env.teardown();
+    }
+});
+
+// ========== 传输层 ==========
+test('超大消息以 1009 关闭连接', async () => {
+    const env = await implementations[0].setup();
+    try {
+        const client = await env.connect();
+        client.sendRaw(Buffer.alloc(65 * 1024, 0x20));
+        assert.equal(await client.closed, 1009);
+    } finally {
+        await env.teardown();
+    }
+});
+
+// 两套信令的房主选举规则必须一致
+test('Node 与边缘函数的房主选举结果相同', () => {
+    const layouts = [[], [2], [3, 4], [2, 3, 4], [4, 2]];
+    for (const online of layouts) {
+        for (const offline of [[], [2], [3]]) {
+            const seats = new Map();
+            const edgeSeats = {};
+            for (const n of offline) {
+                seats.set(n, { client: null });
+                edgeSeats[n] = { connected: false };
+            }
+            for (const n of online) {
+                seats.set(n, { client: {} });
+                edgeSeats[n] = { connected: true };
+            }
+            assert.equal(electNewHost({ seats }), electNewHostEdge({ seats: edgeSeats }), `在线 ${online} 离线 ${offline}`);
+        }
+    }
+});